@@ -0,0 +1,83 @@
+/**
+ * Shared Command Helpers
+ */
+
+const TaskProcessor = require('../task-processor');
+
+/**
+ * Checks whether the --wallet or --index filter was given
+ * @param {Object} options - Parsed command options
+ * @returns {boolean} True if a wallet filter was given
+ */
+function hasWalletFilter(options) {
+  return options.wallet !== undefined || options.index !== undefined;
+}
+
+/**
+ * Validates the --wallet / --index filters
+ * @param {Object} options - Parsed command options
+ * @returns {Object|null} { address, index }, or null without filters
+ * @throws {Error} If --wallet isn't a non-empty string or --index isn't a positive integer
+ */
+function parseWalletFilter(options) {
+  if (!hasWalletFilter(options)) return null;
+
+  const { wallet, index } = options;
+
+  if (wallet !== undefined && (typeof wallet !== 'string' || wallet.trim() === '')) {
+    throw new Error('Invalid --wallet: expected an address or label');
+  }
+
+  if (index !== undefined && !/^[1-9]\d*$/.test(String(index))) {
+    throw new Error(`Invalid --index: ${index === true ? '(missing)' : index} (expected a wallet position from 1)`);
+  }
+
+  return {
+    address: wallet !== undefined ? wallet.trim() : null,
+    index: index !== undefined ? Number(index) : null
+  };
+}
+
+/**
+ * Creates a task processor honoring the --wallet / --index filters and --concurrency
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ * @returns {TaskProcessor} Task processor
+ * @throws {Error} If a wallet filter is invalid
+ */
+function createProcessor(options, logger) {
+  const walletFilter = parseWalletFilter(options);
+
+  // Undefined keeps the WALLET_CONCURRENCY default
+  const concurrency = options.concurrency !== undefined ? Number(options.concurrency) : undefined;
+
+  return new TaskProcessor({ logger, walletFilter, concurrency });
+}
+
+/**
+ * Resolves exactly one wallet from the --wallet / --index filters
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { processor, wallet }
+ */
+async function selectSingleWallet(options, logger) {
+  if (!hasWalletFilter(options)) {
+    throw new Error('Select a wallet with --wallet <address or label> or --index <n>');
+  }
+
+  const processor = createProcessor(options, logger);
+  const wallets = await processor.initializeWallets();
+
+  if (wallets.length !== 1) {
+    throw new Error(`Expected exactly one wallet to match, found ${wallets.length}; use --index to pick one`);
+  }
+
+  return { processor, wallet: wallets[0] };
+}
+
+module.exports = {
+  hasWalletFilter,
+  parseWalletFilter,
+  createProcessor,
+  selectSingleWallet
+};
@@ -0,0 +1,65 @@
+/**
+ * Config Command
+ *
+ * Shows the effective configuration and where each value came from
+ */
+
+const config = require('../config');
+const { schema } = require('../config/schema');
+const { formatTable } = require('../utils/table');
+
+module.exports = {
+  name: 'config',
+  summary: 'Show or validate the effective configuration',
+  usage: `
+Usage:
+  node index.js config show       Print every setting with its value and source
+  node index.js config validate   Check the config file and OFC_* variables
+
+Settings are layered: defaults, then ofc.config.json, .yaml or .yml (or the
+file named by OFC_CONFIG), then OFC_<SETTING> environment variables.
+
+Options:
+  -h, --help               Show this help message
+  `,
+  options: {},
+  // Lets "config validate" report problems instead of failing up front
+  skipValidation: true,
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @returns {Promise<number|undefined>} Exit code
+   */
+  async run(args) {
+    const [action = 'show'] = args.positionals;
+
+    if (action === 'validate') {
+      if (config.errors.length > 0) {
+        console.error(`Invalid configuration:\n${config.errors.map(error => `  - ${error}`).join('\n')}`);
+        return 1;
+      }
+      console.log(`Configuration is valid${config.configFile ? ` (${config.configFile})` : ''}`);
+      return 0;
+    }
+
+    if (action !== 'show') {
+      throw new Error(`Unknown config action: ${action}`);
+    }
+
+    console.log(`Config file: ${config.configFile || 'none'}\n`);
+    console.log(formatTable(Object.keys(schema).map(key => ({
+      key,
+      value: schema[key].secret && config[key] ? '"********"' : JSON.stringify(config[key]),
+      source: config.sources[key]
+    })), [
+      { key: 'key', header: 'Setting' },
+      { key: 'value', header: 'Value' },
+      { key: 'source', header: 'Source' }
+    ]));
+
+    if (config.errors.length > 0) {
+      console.error(`\nIgnored invalid values:\n${config.errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Command Registry
+ *
+ * Every subcommand exports { name, summary, usage, options, run }
+ */
+
+const commands = [
+  require('./run'),
+  require('./status'),
+  require('./wallets'),
+  require('./tasks'),
+  require('./verify'),
+  require('./quiz'),
+  require('./login'),
+  require('./keys'),
+  require('./config')
+];
+
+/**
+ * Finds a command by name
+ * @param {string} name - Command name
+ * @returns {Object|null} Command module
+ */
+function getCommand(name) {
+  return commands.find(command => command.name === name) || null;
+}
+
+module.exports = {
+  commands,
+  getCommand
+};
@@ -0,0 +1,153 @@
+/**
+ * Keys Command
+ *
+ * Manages encrypted private key storage:
+ * - import: move plaintext keys into the vault (or V3 keystore files)
+ * - export: decrypt and print or write the stored keys
+ * - rotate-passphrase: re-encrypt stored keys under a new passphrase
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const KeyStore = require('../services/key-store');
+
+const NEW_PASSPHRASE_ENV = 'OFC_KEYSTORE_NEW_PASSPHRASE';
+
+/**
+ * Gets a new passphrase for encrypting keys
+ * @param {KeyStore} keyStore - Key store
+ * @returns {Promise<string>} New passphrase
+ */
+async function getNewPassphrase(keyStore) {
+  if (process.env[NEW_PASSPHRASE_ENV]) {
+    return process.env[NEW_PASSPHRASE_ENV];
+  }
+
+  return keyStore.getPassphrase({
+    message: 'New passphrase: ',
+    confirm: true,
+    useEnvironment: false
+  });
+}
+
+/**
+ * Imports plaintext keys into encrypted storage
+ * @param {KeyStore} keyStore - Key store
+ * @param {Object} options - Parsed command options
+ */
+async function importKeys(keyStore, options) {
+  const sourceFile = options.from || keyStore.walletsFile;
+  const toKeystore = Boolean(options.keystore);
+
+  const imported = keyStore.readPlaintextKeys(sourceFile).map(KeyStore.normalizePrivateKey);
+  if (imported.length === 0) {
+    throw new Error(`No private keys found in ${sourceFile}`);
+  }
+
+  if (toKeystore) {
+    const passphrase = await keyStore.getPassphrase({ confirm: true });
+    const written = await keyStore.writeKeystoreFiles(imported, passphrase);
+    console.log(`Wrote ${written.length} keystore files to ${keyStore.keystoreDir}`);
+  } else {
+    // Merge with an existing vault rather than replacing it
+    const vaultExists = fs.existsSync(keyStore.vaultFile);
+    const passphrase = await keyStore.getPassphrase({ confirm: !vaultExists });
+    const existing = vaultExists ? await keyStore.readVault(passphrase) : [];
+    const merged = [...new Set([...existing, ...imported])];
+
+    await keyStore.writeVault(merged, passphrase);
+    console.log(`Vault ${keyStore.vaultFile} now holds ${merged.length} keys (${merged.length - existing.length} added)`);
+  }
+
+  console.log(`You can now delete the plaintext file: ${sourceFile}`);
+}
+
+/**
+ * Exports decrypted keys
+ * @param {KeyStore} keyStore - Key store
+ * @param {Object} options - Parsed command options
+ */
+async function exportKeys(keyStore, options) {
+  const source = keyStore.getSource();
+  if (source !== 'vault' && source !== 'keystore') {
+    throw new Error('No encrypted keys found to export');
+  }
+
+  const privateKeys = await keyStore.loadPrivateKeys();
+  const outFile = options.out;
+
+  if (outFile) {
+    fs.writeFileSync(outFile, `${privateKeys.join('\n')}\n`, { mode: 0o600 });
+    console.log(`Exported ${privateKeys.length} keys to ${outFile}`);
+  } else {
+    privateKeys.forEach(privateKey => console.log(privateKey));
+  }
+}
+
+/**
+ * Re-encrypts stored keys under a new passphrase
+ * @param {KeyStore} keyStore - Key store
+ */
+async function rotatePassphrase(keyStore) {
+  const source = keyStore.getSource();
+  if (source !== 'vault' && source !== 'keystore') {
+    throw new Error('No encrypted keys found to re-encrypt');
+  }
+
+  const privateKeys = await keyStore.loadPrivateKeys();
+  const newPassphrase = await getNewPassphrase(keyStore);
+
+  if (source === 'vault') {
+    await keyStore.writeVault(privateKeys, newPassphrase);
+  } else {
+    // Rewrite each file in place: new files beside the old ones would leave those under the old passphrase
+    await keyStore.rotateKeystoreFiles(await keyStore.unlock(), newPassphrase);
+  }
+
+  console.log(`Re-encrypted ${privateKeys.length} keys with the new passphrase`);
+}
+
+module.exports = {
+  name: 'keys',
+  summary: 'Import, export or re-encrypt private keys',
+  usage: `
+Usage:
+  node index.js keys <action> [options]
+
+Actions:
+  import [--from FILE] [--keystore]   Encrypt plaintext keys (default: ${config.WALLETS_FILE})
+                                      into the vault, or into V3 keystore files with --keystore
+  export [--out FILE]                 Decrypt stored keys to stdout or to FILE (mode 600)
+  rotate-passphrase                   Re-encrypt stored keys under a new passphrase
+
+Passphrases are read from OFC_KEYSTORE_PASSPHRASE, from the file descriptor in
+OFC_KEYSTORE_PASSPHRASE_FD, or prompted for. rotate-passphrase reads the new
+passphrase from ${NEW_PASSPHRASE_ENV} or prompts for it.
+  `,
+  options: {
+    boolean: ['keystore']
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   * @returns {Promise<number|undefined>} Exit code
+   */
+  async run(args, context) {
+    const [action] = args.positionals;
+    const keyStore = new KeyStore({ logger: context.logger });
+
+    switch (action) {
+      case 'import':
+        return importKeys(keyStore, args.options);
+      case 'export':
+        return exportKeys(keyStore, args.options);
+      case 'rotate-passphrase':
+        return rotatePassphrase(keyStore);
+      default:
+        throw new Error(action ? `Unknown keys action: ${action}` : 'A keys action is required');
+    }
+  }
+};
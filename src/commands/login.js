@@ -0,0 +1,45 @@
+/**
+ * Login Command
+ *
+ * Authenticates a single wallet to test credentials, proxy and session cache
+ */
+
+const { selectSingleWallet } = require('./common');
+
+module.exports = {
+  name: 'login',
+  summary: 'Test authentication for a wallet',
+  usage: `
+Usage:
+  node index.js login (--wallet ADDRESS | --index N) [options]
+
+Options:
+  -w, --wallet ADDRESS     Wallet to authenticate
+  --index N                Wallet position (1-based) to authenticate
+  --fresh                  Ignore any cached session and sign in again
+  -h, --help               Show this help message
+  `,
+  options: {
+    boolean: ['fresh'],
+    alias: { w: 'wallet' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   */
+  async run(args, context) {
+    const { processor, wallet } = await selectSingleWallet(args.options, context.logger);
+    const { authResult } = await processor.authenticateWallet(wallet, {
+      fresh: Boolean(args.options.fresh)
+    });
+
+    const session = processor.sessionStore.load(wallet.getEthersWallet());
+    console.log(`Authenticated ${wallet.getAddress()} ${authResult.fromCache ? 'using cached session' : 'with a full login'}`);
+    if (session) {
+      console.log(`Session valid until ${new Date(session.expiresAt).toISOString()}`);
+    }
+  }
+};
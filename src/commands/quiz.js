@@ -0,0 +1,259 @@
+/**
+ * Quiz Command
+ *
+ * Manages the quiz answers file against the live campaign:
+ * - pending: quizzes without configured answers, with their questions
+ * - validate: check configured answers against the live question and answer IDs
+ * - add: choose the answers for a quiz interactively
+ */
+
+const config = require('../config');
+const QuizStore = require('../services/quiz-store');
+const { hasWalletFilter, selectSingleWallet } = require('./common');
+const { formatTable } = require('../utils/table');
+const { isInteractive, prompt } = require('../utils/prompt');
+
+/**
+ * Fetches every quiz activity visible to the selected wallet (the first wallet by default)
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<Object>} { processor, quizzes }
+ */
+async function fetchQuizzes(options, logger) {
+  const selection = hasWalletFilter(options) ? options : { ...options, index: 1 };
+  const { processor, wallet } = await selectSingleWallet(selection, logger);
+
+  const activities = await processor.getWalletTasks(wallet, {
+    includeUnavailable: true,
+    campaignId: options.campaign || null
+  });
+
+  return { processor, quizzes: activities.filter(activity => activity.type === 'QUIZ') };
+}
+
+/**
+ * Prints a quiz's questions and answer options
+ * @param {Object} quiz - QUIZ activity
+ */
+function printQuestions(quiz) {
+  const questions = QuizStore.getQuestions(quiz);
+
+  if (questions.length === 0) {
+    console.log('  (no questions in the activity properties)');
+    return;
+  }
+
+  questions.forEach(question => {
+    console.log(`  ${question.id}: ${question.text}`);
+    question.answers.forEach((answer, index) => {
+      console.log(`    ${index + 1}. [${answer.id}] ${answer.text}`);
+    });
+  });
+}
+
+/**
+ * Lists available quizzes that have no configured answers
+ * @param {QuizStore} store - Quiz answer store
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ */
+async function listPending(store, options, logger) {
+  const { quizzes } = await fetchQuizzes(options, logger);
+  const pending = quizzes.filter(quiz => quiz.availability.available && !store.hasAnswers(quiz.id));
+
+  if (pending.length === 0) {
+    console.log('Every available quiz has configured answers');
+    return;
+  }
+
+  pending.forEach(quiz => {
+    console.log(`\n${quiz.title} (${quiz.id}, campaign ${quiz.campaignId})`);
+    printQuestions(quiz);
+  });
+
+  console.log(`\n${pending.length} quizzes without answers. Add them with: node index.js quiz add <activityId>`);
+}
+
+/**
+ * Checks the configured answers against the live quizzes
+ * @param {QuizStore} store - Quiz answer store
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<number>} Exit code (1 if any answers are invalid)
+ */
+async function validateAnswers(store, options, logger) {
+  const { processor, quizzes } = await fetchQuizzes(options, logger);
+
+  const results = quizzes
+    .filter(quiz => store.hasAnswers(quiz.id))
+    .map(quiz => store.validate(quiz));
+
+  // Answers for quizzes the campaign doesn't list (any more)
+  store.getActivityIds()
+    .filter(activityId => !quizzes.some(quiz => quiz.id === activityId))
+    .forEach(activityId => results.push({
+      activityId,
+      title: '',
+      status: 'not found',
+      problems: ['Not a quiz in the selected campaigns']
+    }));
+
+  if (results.length === 0) {
+    console.log(`No quiz answers configured in ${store.filePath}`);
+    return 0;
+  }
+
+  /**
+   * Describes the most recent verification of a quiz
+   * @param {string} activityId - Activity ID
+   * @returns {string} accepted, rejected or empty if never verified
+   */
+  const lastVerify = activityId => {
+    const attempts = processor.historyStore.query({ activityId })
+      .filter(record => record.details?.answersAccepted !== undefined);
+    const last = attempts[attempts.length - 1];
+    return last ? `${last.details.answersAccepted ? 'accepted' : 'rejected'} ${last.timestamp}` : '';
+  };
+
+  console.log(formatTable(results.map(result => ({
+    id: result.activityId,
+    title: result.title,
+    status: result.status,
+    lastVerify: lastVerify(result.activityId),
+    problems: result.problems.join('; ')
+  })), [
+    { key: 'id', header: 'Activity ID' },
+    { key: 'title', header: 'Title' },
+    { key: 'status', header: 'Status' },
+    { key: 'lastVerify', header: 'Last verify' },
+    { key: 'problems', header: 'Problems' }
+  ]));
+
+  return results.some(result => result.status === 'invalid') ? 1 : 0;
+}
+
+/**
+ * Asks which answers to give for one question
+ * @param {Object} question - Question from QuizStore.getQuestions
+ * @returns {Promise<string[]>} Chosen answer IDs (empty to skip the question)
+ */
+async function askQuestion(question) {
+  for (;;) {
+    const input = await prompt(`Answer for ${question.id} (number or ID, comma separated; empty to skip): `);
+    const tokens = input.split(',').map(token => token.trim()).filter(token => token);
+
+    const ids = tokens.map(token => {
+      const byNumber = /^\d+$/.test(token) ? question.answers[Number(token) - 1] : null;
+      return (byNumber || question.answers.find(answer => answer.id === token))?.id;
+    });
+
+    if (ids.every(id => id)) {
+      return [...new Set(ids)];
+    }
+
+    console.log(`Unknown answer in "${input}", choose from 1-${question.answers.length} or the IDs in brackets`);
+  }
+}
+
+/**
+ * Chooses and saves the answers for a quiz interactively
+ * @param {QuizStore} store - Quiz answer store
+ * @param {string} activityId - Quiz activity ID
+ * @param {Object} options - Parsed command options
+ * @param {Object} logger - Logger instance
+ */
+async function addAnswers(store, activityId, options, logger) {
+  if (!activityId) {
+    throw new Error('A quiz activity ID is required');
+  }
+
+  if (!isInteractive()) {
+    throw new Error(`quiz add needs an interactive terminal; edit ${store.filePath} by hand instead`);
+  }
+
+  const { quizzes } = await fetchQuizzes(options, logger);
+  const quiz = quizzes.find(candidate => candidate.id === activityId);
+
+  if (!quiz) {
+    throw new Error(`Quiz ${activityId} was not found in the selected campaigns`);
+  }
+
+  const questions = QuizStore.getQuestions(quiz);
+  if (questions.length === 0) {
+    throw new Error(`Quiz ${activityId} has no questions in its properties; edit ${store.filePath} by hand instead`);
+  }
+
+  if (store.hasAnswers(activityId)) {
+    const replace = await prompt(`${activityId} already has answers. Replace them? [y/N] `);
+    if (!/^y(es)?$/i.test(replace.trim())) {
+      console.log('Kept the existing answers');
+      return;
+    }
+  }
+
+  console.log(`\n${quiz.title} (${quiz.id})`);
+
+  const choices = {};
+  for (const question of questions) {
+    console.log(`\n${question.text}`);
+    question.answers.forEach((answer, index) => console.log(`  ${index + 1}. [${answer.id}] ${answer.text}`));
+    choices[question.id] = await askQuestion(question);
+  }
+
+  const responses = store.buildResponses(quiz, choices);
+  if (responses.length === 0) {
+    console.log('No answers chosen, nothing saved');
+    return;
+  }
+
+  store.setAnswers(activityId, responses);
+  console.log(`Saved answers for ${responses.length} of ${questions.length} questions to ${store.filePath}`);
+}
+
+module.exports = {
+  name: 'quiz',
+  summary: 'List, validate or add quiz answers',
+  usage: `
+Usage:
+  node index.js quiz <action> [options]
+
+Actions:
+  pending                  List available quizzes without answers, with their questions
+  validate                 Check the answers file against the live question and answer IDs
+  add ACTIVITY_ID          Choose the answers for a quiz interactively
+
+Options:
+  -w, --wallet ADDRESS     Wallet used to fetch the quizzes (default: the first wallet)
+  --index N                Wallet position (1-based) used to fetch the quizzes
+  --campaign ID            Only this campaign (default: all of the wallet's campaigns)
+  -h, --help               Show this help message
+
+Answers are stored in ${config.QUIZ_ANSWERS_FILE}.
+  `,
+  options: {
+    alias: { w: 'wallet' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   * @returns {Promise<number|undefined>} Exit code
+   */
+  async run(args, context) {
+    const [action, activityId] = args.positionals;
+    const store = new QuizStore({ logger: context.logger });
+
+    switch (action) {
+      case 'pending':
+        return listPending(store, args.options, context.logger);
+      case 'validate':
+        return validateAnswers(store, args.options, context.logger);
+      case 'add':
+        return addAnswers(store, activityId, args.options, context.logger);
+      default:
+        throw new Error(action ? `Unknown quiz action: ${action}` : 'A quiz action is required');
+    }
+  }
+};
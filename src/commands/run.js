@@ -0,0 +1,212 @@
+/**
+ * Run Command
+ *
+ * Processes tasks for all (or filtered) wallets, either once or on a schedule
+ */
+
+const config = require('../config');
+const TaskScheduler = require('../scheduler');
+const MetricsServer = require('../services/metrics-server');
+const ControlServer = require('../services/control-server');
+const { NotificationManager } = require('../notifiers');
+const { metrics } = require('../services/metrics');
+const { createProcessor } = require('./common');
+const { formatTable } = require('../utils/table');
+
+/**
+ * Prints the dry-run plan of every wallet
+ * @param {Array} plans - Plans from TaskProcessor.planAllWallets
+ * @returns {number} Exit code (1 if any wallet could not be planned)
+ */
+function printPlans(plans) {
+  let exitCode = 0;
+  
+  plans.forEach(plan => {
+    console.log(`\nWallet ${plan.label ? `${plan.label} (${plan.wallet})` : plan.wallet}${plan.group ? ` (group ${plan.group})` : ''}`);
+    
+    if (plan.error) {
+      console.log(`  Could not build plan: ${plan.error}`);
+      exitCode = 1;
+      return;
+    }
+    
+    plan.campaigns.forEach(campaign => {
+      console.log(`\nCampaign ${campaign.campaignId}: ${campaign.tasks.length} activities, ${campaign.totalReward} points expected`);
+      
+      if (campaign.tasks.length === 0) return;
+      
+      console.log(formatTable(campaign.tasks.map((task, index) => ({
+        order: index + 1,
+        id: task.id,
+        type: task.type,
+        reward: task.reward,
+        handler: task.handler,
+        title: task.title,
+        note: task.unmetPrerequisites.join('; ')
+      })), [
+        { key: 'order', header: '#' },
+        { key: 'id', header: 'Activity ID' },
+        { key: 'type', header: 'Type' },
+        { key: 'reward', header: 'Reward' },
+        { key: 'handler', header: 'Handler' },
+        { key: 'title', header: 'Title' },
+        { key: 'note', header: 'Note' }
+      ]));
+    });
+  });
+  
+  const blocked = plans.flatMap(plan => plan.campaigns.flatMap(campaign => campaign.tasks))
+    .filter(task => task.unmetPrerequisites.length > 0);
+  const blockedIds = [...new Set(blocked.map(task => task.id))];
+  
+  if (blockedIds.length > 0) {
+    console.log(`\nActivities that won't be verified until their prerequisites are met: ${blockedIds.join(', ')}`);
+  }
+  
+  return exitCode;
+}
+
+module.exports = {
+  name: 'run',
+  summary: 'Process tasks once or as a scheduled daemon (default command)',
+  usage: `
+Usage:
+  node index.js run [options]
+
+Options:
+  -r, --once, --run-once   Run tasks once and exit
+  -n, --dry-run            Print the plan for each wallet without verifying anything
+  -i, --interval HOURS     Run every HOURS instead of the configured schedules (default: ${config.INTERVAL_HOURS}h)
+  -c, --cron EXPR          Run on this cron schedule instead of the configured ones
+  -j, --concurrency N      Process N wallets at a time (default: ${config.WALLET_CONCURRENCY})
+  -w, --wallet ADDRESS     Only process the wallet with this address or label
+  --index N                Only process the Nth wallet (1-based)
+  -h, --help               Show this help message
+  `,
+  options: {
+    boolean: ['once', 'dry-run'],
+    alias: { r: 'once', 'run-once': 'once', n: 'dry-run', i: 'interval', c: 'cron', j: 'concurrency', w: 'wallet' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   * @returns {Promise<number|undefined>} Exit code for dry runs
+   */
+  async run(args, context) {
+    const { options } = args;
+    const { logger } = context;
+
+    let intervalHours = config.INTERVAL_HOURS;
+    let schedules = config.SCHEDULES;
+    if (options.interval !== undefined) {
+      intervalHours = parseFloat(options.interval);
+      if (isNaN(intervalHours) || intervalHours <= 0) {
+        throw new Error(`Invalid interval: ${options.interval}`);
+      }
+      schedules = [];
+    }
+    if (options.cron !== undefined) {
+      if (options.interval !== undefined) {
+        throw new Error('Use either --interval or --cron, not both');
+      }
+      schedules = [{ name: 'cli', cron: String(options.cron) }];
+    }
+
+    if (options.concurrency !== undefined) {
+      const concurrency = Number(options.concurrency);
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`Invalid concurrency: ${options.concurrency}`);
+      }
+    }
+
+    logger.info('Starting OFC Multi-Account Automation');
+
+    const processor = createProcessor(options, logger);
+
+    // Dry run: show what would happen, never send VerifyActivity
+    if (options['dry-run']) {
+      logger.info('Dry run: building plan without verifying activities');
+      return printPlans(await processor.planAllWallets());
+    }
+
+    const notifications = new NotificationManager({ logger });
+
+    // Run once mode
+    if (options.once) {
+      logger.info('Running in single execution mode');
+      let results;
+      try {
+        results = await processor.processAllWallets();
+      } catch (error) {
+        await notifications.notifyFailure(error);
+        throw error;
+      }
+      await notifications.notifyCycle(processor.getLatestReport());
+      if (results.some(result => result.deferred)) {
+        logger.warn('Some wallets were deferred because the API is unavailable; run again once it recovers');
+      }
+      logger.info('Execution completed');
+      return;
+    }
+
+    // Create task scheduler
+    const scheduler = new TaskScheduler({
+      logger,
+      processor: async () => {
+        const results = await processor.processAllWallets();
+        
+        // Wallets deferred by the circuit breaker get an earlier retry run
+        const deferred = results.filter(result => result.deferred).length;
+        if (deferred > 0) {
+          scheduler.requestRetry(config.CIRCUIT_BREAKER_RETRY_MINUTES * 60 * 1000, `${deferred} wallets deferred during an API outage`);
+        }
+        
+        return results;
+      },
+      intervalHours,
+      schedules
+    });
+    notifications.attach(scheduler, processor);
+
+    // Expose /metrics while the daemon runs, if enabled
+    let metricsServer = null;
+    if (config.METRICS_PORT > 0) {
+      metrics.nextRunTimestamp.setCollector(() => {
+        const { nextRunTime } = scheduler.getStatus();
+        return nextRunTime ? nextRunTime.getTime() / 1000 : 0;
+      });
+      metricsServer = await new MetricsServer({ logger }).start();
+    }
+
+    // Local control API, if enabled
+    let controlServer = null;
+    if (config.CONTROL_PORT > 0) {
+      controlServer = await new ControlServer({ logger, scheduler, processor }).start();
+    }
+
+    // Handle process signals
+    process.on('SIGINT', () => {
+      logger.info('Received SIGINT signal, shutting down...');
+      scheduler.stop();
+      if (metricsServer) metricsServer.stop();
+      if (controlServer) controlServer.stop();
+      setTimeout(() => process.exit(0), 1000);
+    });
+
+    process.on('SIGTERM', () => {
+      logger.info('Received SIGTERM signal, shutting down...');
+      scheduler.stop();
+      if (metricsServer) metricsServer.stop();
+      if (controlServer) controlServer.stop();
+      setTimeout(() => process.exit(0), 1000);
+    });
+
+    // Start scheduler
+    await scheduler.start();
+
+    logger.info(`Scheduler running with ${scheduler.describeSchedules()}`);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Status Command
+ *
+ * Shows key source, cached sessions and the outcome of the last recorded cycle
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const HistoryStore = require('../services/history-store');
+const SessionStore = require('../services/session-store');
+const KeyStore = require('../services/key-store');
+
+module.exports = {
+  name: 'status',
+  summary: 'Show key source, cached sessions and the last run',
+  usage: `
+Usage:
+  node index.js status
+
+Options:
+  -h, --help               Show this help message
+  `,
+  options: {},
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   */
+  async run(args, context) {
+    const { logger } = context;
+    const keyStore = new KeyStore({ logger });
+    const sessionStore = new SessionStore({ logger });
+    const history = new HistoryStore({ logger }).readAll();
+
+    const sessionFiles = fs.existsSync(sessionStore.sessionsDir)
+      ? fs.readdirSync(sessionStore.sessionsDir).filter(name => name.endsWith('.json'))
+      : [];
+
+    console.log(`Key source:       ${keyStore.getSource() || 'none'}`);
+    console.log(`Data directory:   ${config.DATA_DIR}`);
+    console.log(`Cached sessions:  ${sessionFiles.length}`);
+
+    const lastRunId = [...history].reverse().find(record => record.runId)?.runId;
+    if (!lastRunId) {
+      console.log('Last run:         none recorded');
+      return;
+    }
+
+    const attempts = history.filter(record => record.runId === lastRunId);
+    const completed = attempts.filter(record => record.status === 'COMPLETED');
+    const wallets = new Set(attempts.map(record => record.wallet));
+    const points = completed.reduce((sum, record) => sum + (record.points || 0), 0);
+
+    console.log(`Last run:         ${lastRunId}`);
+    console.log(`  Wallets:        ${wallets.size}`);
+    console.log(`  Attempts:       ${attempts.length} (${completed.length} completed, ${attempts.length - completed.length} failed)`);
+    console.log(`  Points earned:  ${points}`);
+  }
+};
@@ -0,0 +1,77 @@
+/**
+ * Tasks Command
+ *
+ * Lists the pending activities for a single wallet
+ */
+
+const { selectSingleWallet } = require('./common');
+const { formatTable } = require('../utils/table');
+
+module.exports = {
+  name: 'tasks',
+  summary: 'List pending activities for a wallet',
+  usage: `
+Usage:
+  node index.js tasks list (--wallet ADDRESS | --index N) [options]
+
+Options:
+  -w, --wallet ADDRESS     Wallet to list activities for
+  --index N                Wallet position (1-based) to list activities for
+  --campaign ID            Only this campaign (default: all of the wallet's campaigns)
+  --include-skipped        Also list activities that require manual action
+  -a, --all                List every activity with why it is or isn't available
+  -h, --help               Show this help message
+  `,
+  options: {
+    boolean: ['include-skipped', 'all'],
+    alias: { w: 'wallet', a: 'all' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   */
+  async run(args, context) {
+    const [action = 'list'] = args.positionals;
+    if (action !== 'list') {
+      throw new Error(`Unknown tasks action: ${action}`);
+    }
+
+    const { processor, wallet } = await selectSingleWallet(args.options, context.logger);
+    const all = Boolean(args.options.all);
+    const tasks = await processor.getWalletTasks(wallet, {
+      includeSkipped: Boolean(args.options['include-skipped']),
+      includeUnavailable: all,
+      campaignId: args.options.campaign || null
+    });
+
+    if (tasks.length === 0) {
+      console.log(`No ${all ? '' : 'pending '}activities for ${wallet.getDisplayName()}`);
+      return;
+    }
+
+    const columns = [
+      { key: 'campaign', header: 'Campaign' },
+      { key: 'id', header: 'Activity ID' },
+      { key: 'type', header: 'Type' },
+      { key: 'reward', header: 'Reward' },
+      { key: 'title', header: 'Title' }
+    ];
+    if (all) {
+      columns.push({ key: 'available', header: 'Available' }, { key: 'why', header: 'Why' });
+    }
+
+    console.log(`${all ? 'Activities' : 'Pending activities'} for ${wallet.getDisplayName()}:\n`);
+    console.log(formatTable(tasks.map(task => ({
+      campaign: task.campaignId,
+      id: task.id,
+      type: task.type,
+      reward: task.reward?.quantity ?? '',
+      title: task.title,
+      available: task.availability.available ? 'yes' : 'no',
+      why: task.availability.message
+    })), columns));
+  }
+};
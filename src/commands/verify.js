@@ -0,0 +1,50 @@
+/**
+ * Verify Command
+ *
+ * Verifies a single activity for a single wallet
+ */
+
+const { selectSingleWallet } = require('./common');
+
+module.exports = {
+  name: 'verify',
+  summary: 'Verify one activity for a wallet',
+  usage: `
+Usage:
+  node index.js verify ACTIVITY_ID (--wallet ADDRESS | --index N)
+
+Options:
+  -w, --wallet ADDRESS     Wallet to verify the activity for
+  --index N                Wallet position (1-based) to verify the activity for
+  --campaign ID            Campaign holding the activity (default: search all)
+  -h, --help               Show this help message
+  `,
+  options: {
+    alias: { w: 'wallet' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   * @returns {Promise<number>} Exit code
+   */
+  async run(args, context) {
+    const [activityId] = args.positionals;
+    if (!activityId) {
+      throw new Error('An activity ID is required');
+    }
+
+    const { processor, wallet } = await selectSingleWallet(args.options, context.logger);
+    const { task, result } = await processor.verifyWalletTask(wallet, activityId, {
+      campaignId: args.options.campaign || null
+    });
+
+    const status = result?.status || 'FAILED';
+    const points = result?.rewardRecords?.[0]?.appliedRewardQuantity || 0;
+    console.log(`${task.title} (${task.type}): ${status}${status === 'COMPLETED' ? `, ${points} points` : ''}`);
+
+    return status === 'COMPLETED' ? 0 : 1;
+  }
+};
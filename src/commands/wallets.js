@@ -0,0 +1,57 @@
+/**
+ * Wallets Command
+ *
+ * Lists configured wallets with their proxy and cached session state
+ */
+
+const { createProcessor } = require('./common');
+const { formatTable } = require('../utils/table');
+
+module.exports = {
+  name: 'wallets',
+  summary: 'List configured wallets',
+  usage: `
+Usage:
+  node index.js wallets list [options]
+
+Options:
+  -w, --wallet ADDRESS     Only show the wallet with this address or label
+  --index N                Only show the Nth wallet (1-based)
+  -h, --help               Show this help message
+  `,
+  options: {
+    alias: { w: 'wallet' }
+  },
+
+  /**
+   * Runs the command
+   * @param {Object} args - Parsed arguments
+   * @param {Object} context - Command context
+   * @param {Object} context.logger - Logger instance
+   */
+  async run(args, context) {
+    const [action = 'list'] = args.positionals;
+    if (action !== 'list') {
+      throw new Error(`Unknown wallets action: ${action}`);
+    }
+
+    const processor = createProcessor(args.options, context.logger);
+    const wallets = await processor.describeWallets();
+
+    const rows = wallets.map(wallet => ({
+      ...wallet,
+      campaigns: wallet.campaigns.length,
+      session: wallet.sessionExpiresAt ? `valid until ${wallet.sessionExpiresAt}` : 'none'
+    }));
+
+    console.log(formatTable(rows, [
+      { key: 'index', header: '#' },
+      { key: 'address', header: 'Address' },
+      { key: 'label', header: 'Label' },
+      { key: 'group', header: 'Group' },
+      { key: 'campaigns', header: 'Campaigns' },
+      { key: 'proxy', header: 'Proxy' },
+      { key: 'session', header: 'Cached session' }
+    ]));
+  }
+};
@@ -1,18 +1,34 @@
 /**
  * Configuration Manager
  * 
- * Centralizes application configuration with support for:
- * - File-based configurations
+ * Centralizes application configuration with support for layered sources,
+ * applied in order (later layers win):
  * - Sensible defaults
+ * - A JSON or YAML config file (ofc.config.json, .yaml or .yml in the working
+ *   directory, or OFC_CONFIG)
+ * - OFC_* environment variables (e.g. OFC_MAX_RETRIES=5)
+ * 
+ * Every value is validated against the schema; invalid values are reported
+ * through config.errors / config.assertValid() and the default is kept.
  * 
  * Provides a unified interface for configuration throughout the application.
  */
 
 const fs = require('fs');
 const path = require('path');
+const YAML = require('yaml');
+const { schema, coerceEnvValue, validateSetting } = require('./schema');
+
+// Looked up in this order when OFC_CONFIG isn't set
+const CONFIG_FILE_NAMES = ['ofc.config.json', 'ofc.config.yaml', 'ofc.config.yml'];
+const ENV_PREFIX = 'OFC_';
 
-// Default configuration values
-const defaults = {
+/**
+ * Creates the default configuration values
+ * @param {string} cwd - Directory that relative default paths resolve against
+ * @returns {Object} Default configuration
+ */
+const createDefaults = (cwd = process.cwd()) => ({
   // API endpoints
   BASE_URL: 'https://api.deform.cc/',
   PRIVY_AUTH_URL: 'https://auth.privy.io/api/v1/siwe',
@@ -24,24 +40,165 @@ const defaults = {
   // Campaign ID
   CAMPAIGN_ID: '30ea55e5-cf99-4f21-a577-5c304b0c61e2',
   
-  // Retry mechanism
+  // Time zone that daily, weekly and monthly activity periods follow
+  CAMPAIGN_TIMEZONE: 'UTC',
+  
+  // Campaigns processed by every wallet (empty means just CAMPAIGN_ID)
+  CAMPAIGN_IDS: [],
+  
+  // Wallet groups with their own campaign lists, e.g.
+  // [{ name: 'main', wallets: ['0xabc...', 3], campaigns: ['<campaign id>'] }]
+  WALLET_GROUPS: [],
+  
+  // Retry mechanism: attempts and base delay of transient errors, per-class
+  // overrides, e.g. { server: { attempts: 3, baseDelay: 2000, maxDelay: 10000 } },
+  // and the retries allowed per cycle (0 means unlimited)
   MAX_RETRIES: 10,
   RETRY_DELAY: 5000, // 5 seconds
+  RETRY_POLICIES: {},
+  RETRY_BUDGET: 200,
+  
+  // Consecutive upstream failures that stop a cycle (0 disables the breaker),
+  // and how soon the deferred wallets are retried
+  CIRCUIT_BREAKER_THRESHOLD: 5,
+  CIRCUIT_BREAKER_RETRY_MINUTES: 15,
+  
+  // Wallets processed at the same time, and the request ceiling they share for each API host (0 disables it)
+  WALLET_CONCURRENCY: 1,
+  MAX_REQUESTS_PER_SECOND: 5,
   
   // Scheduler configuration
   INTERVAL_HOURS: 25,
   
+  // Cron or reset-aligned schedules, e.g. ['0 */6 * * *', { name: 'dailies', afterResetMinutes: 10 }]
+  // (empty means a run every INTERVAL_HOURS)
+  SCHEDULES: [],
+  SCHEDULE_TIMEZONE: 'UTC',
+  DAILY_RESET_UTC: '00:00',
+  RUN_ON_START: true,
+  
   // Files
-  WALLETS_FILE: path.resolve(process.cwd(), 'pk.txt'),
-  PROXIES_FILE: path.resolve(process.cwd(), 'proxy.txt'),
+  WALLETS_FILE: path.resolve(cwd, 'pk.txt'),
+  PROXIES_FILE: path.resolve(cwd, 'proxy.txt'),
   QUIZ_ANSWERS_FILE: path.resolve(__dirname, '../data/quiz-answers.json'),
   
+  // Wallet labels, groups, campaigns and task rules (.json, .yaml or .yml)
+  WALLET_DEFINITIONS_FILE: path.resolve(cwd, 'wallets.json'),
+  
+  // Extra task handler modules (see src/handlers)
+  HANDLERS_DIR: path.resolve(cwd, 'handlers'),
+  
+  // Encrypted key sources (take precedence over WALLETS_FILE when present)
+  VAULT_FILE: path.resolve(cwd, 'wallets.vault'),
+  KEYSTORE_DIR: path.resolve(cwd, 'keystore'),
+  
+  // Refuse to read a plaintext key file that other users can access
+  STRICT_KEY_PERMISSIONS: false,
+  
   // User agent
   USER_AGENT: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36',
   
   // Logs directory
-  LOGS_DIR: path.resolve(process.cwd(), 'logs'),
-};
+  LOGS_DIR: path.resolve(cwd, 'logs'),
+  
+  // Data directory (task history and other persistent state)
+  DATA_DIR: path.resolve(cwd, 'data'),
+  
+  // Run reports written after every cycle
+  REPORTS_DIR: path.resolve(cwd, 'reports'),
+  REPORT_FORMATS: ['json', 'csv', 'md'],
+  REPORT_RETENTION_DAYS: 30,
+  
+  // Prometheus /metrics endpoint for the scheduled daemon (0 disables it)
+  METRICS_PORT: 0,
+  METRICS_HOST: '127.0.0.1',
+  
+  // Local control API for the scheduled daemon (0 disables it; requires CONTROL_TOKEN)
+  CONTROL_PORT: 0,
+  CONTROL_HOST: '127.0.0.1',
+  CONTROL_TOKEN: null,
+  
+  // Notifications when a cycle ends or fails (each sink is enabled by its setting)
+  NOTIFY_WEBHOOK_URL: null,
+  NOTIFY_WEBHOOK_TEMPLATE: null,
+  NOTIFY_SMTP_URL: null,
+  NOTIFY_EMAIL_FROM: null,
+  NOTIFY_EMAIL_TO: null,
+  NOTIFY_COMMAND: null,
+  NOTIFY_FAILED_WALLETS_AT_LEAST: 0,
+});
+
+/**
+ * Loads and merges all configuration layers
+ * @param {Object} options - Load options
+ * @param {Object} options.env - Environment variables
+ * @param {string} options.cwd - Working directory
+ * @returns {Object} { settings, sources, errors, configFile }
+ */
+function loadSettings(options = {}) {
+  const { env = process.env, cwd = process.cwd() } = options;
+  
+  const settings = createDefaults(cwd);
+  const sources = Object.fromEntries(Object.keys(settings).map(key => [key, 'default']));
+  const errors = [];
+  
+  /**
+   * Validates and applies one value from a layer
+   * @param {string} key - Setting key
+   * @param {*} value - Setting value
+   * @param {string} source - Layer description
+   * @param {string} baseDir - Directory relative paths resolve against
+   */
+  const apply = (key, value, source, baseDir) => {
+    const error = validateSetting(key, value, source);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    
+    settings[key] = schema[key].type === 'path' ? path.resolve(baseDir, value) : value;
+    sources[key] = source;
+  };
+  
+  // Layer 2: config file
+  const explicitFile = env[`${ENV_PREFIX}CONFIG`];
+  const configFile = explicitFile
+    ? path.resolve(cwd, explicitFile)
+    : CONFIG_FILE_NAMES.map(name => path.resolve(cwd, name)).find(file => fs.existsSync(file)) ||
+      path.resolve(cwd, CONFIG_FILE_NAMES[0]);
+  let loadedFile = null;
+  
+  if (fs.existsSync(configFile)) {
+    try {
+      const yaml = ['.yaml', '.yml'].includes(path.extname(configFile).toLowerCase());
+      const text = fs.readFileSync(configFile, 'utf8');
+      const values = yaml ? YAML.parse(text) : JSON.parse(text);
+      
+      if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        throw new Error(`expected a ${yaml ? 'YAML mapping' : 'JSON object'}`);
+      }
+      
+      loadedFile = configFile;
+      Object.entries(values).forEach(([key, value]) => {
+        apply(key, value, path.basename(configFile), path.dirname(configFile));
+      });
+    } catch (error) {
+      errors.push(`${configFile}: could not parse config file (${error.message})`);
+    }
+  } else if (explicitFile) {
+    errors.push(`${ENV_PREFIX}CONFIG: config file not found: ${configFile}`);
+  }
+  
+  // Layer 3: environment variables
+  Object.keys(schema).forEach(key => {
+    const envName = `${ENV_PREFIX}${key}`;
+    if (env[envName] !== undefined && env[envName] !== '') {
+      apply(key, coerceEnvValue(env[envName], schema[key]), envName, cwd);
+    }
+  });
+  
+  return { settings, sources, errors, configFile: loadedFile };
+}
 
 /**
  * Safely reads a file's content if it exists
@@ -60,10 +217,11 @@ function safeReadFile(filePath, defaultContent = '') {
 
 /**
  * Gets array of private keys from file
+ * @param {string} filePath - Private key file path
  * @returns {string[]} Array of private keys
  */
-function getPrivateKeys() {
-  return safeReadFile(defaults.WALLETS_FILE)
+function getPrivateKeys(filePath) {
+  return safeReadFile(filePath)
     .trim()
     .split('\n')
     .map(pk => pk.trim())
@@ -72,10 +230,11 @@ function getPrivateKeys() {
 
 /**
  * Gets array of proxy configurations from file
+ * @param {string} filePath - Proxy file path
  * @returns {object[]} Array of proxy configurations
  */
-function getProxyConfigs() {
-  return safeReadFile(defaults.PROXIES_FILE)
+function getProxyConfigs(filePath) {
+  return safeReadFile(filePath)
     .trim()
     .split('\n')
     .map(proxyStr => {
@@ -94,13 +253,14 @@ function getProxyConfigs() {
 
 /**
  * Loads quiz answers from file or provides default hardcoded values
+ * @param {string} filePath - Quiz answers file path
  * @returns {object} Quiz answers mapped by activity ID
  */
-function loadQuizAnswers() {
+function loadQuizAnswers(filePath) {
   try {
     // Try to load quiz answers from file
-    if (fs.existsSync(defaults.QUIZ_ANSWERS_FILE)) {
-      return JSON.parse(fs.readFileSync(defaults.QUIZ_ANSWERS_FILE, 'utf8'));
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     }
   } catch (error) {
     console.warn('Warning: Could not load quiz answers from file', error.message);
@@ -130,14 +290,96 @@ function loadQuizAnswers() {
   };
 }
 
+/**
+ * Re-reads the quiz answers file into an existing answers object, updating it
+ * in place so stores and handlers holding a reference see the changes
+ * @param {string} filePath - Quiz answers file path
+ * @param {object} answers - Currently loaded answers
+ * @returns {object} Activity IDs { added, updated, removed }, plus error if the file couldn't be read
+ */
+function reloadQuizAnswers(filePath, answers) {
+  const changes = { added: [], updated: [], removed: [] };
+  
+  // Without a file the loaded answers (possibly the defaults) stay in use
+  if (!fs.existsSync(filePath)) {
+    return changes;
+  }
+  
+  let loaded;
+  try {
+    loaded = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    // Keep the current answers rather than dropping them while the file is mid-edit
+    return { ...changes, error: error.message };
+  }
+  
+  Object.keys(answers)
+    .filter(activityId => !(activityId in loaded))
+    .forEach(activityId => {
+      changes.removed.push(activityId);
+      delete answers[activityId];
+    });
+  
+  Object.entries(loaded).forEach(([activityId, responses]) => {
+    if (!(activityId in answers)) {
+      changes.added.push(activityId);
+    } else if (JSON.stringify(answers[activityId]) !== JSON.stringify(responses)) {
+      changes.updated.push(activityId);
+    }
+    answers[activityId] = responses;
+  });
+  
+  return changes;
+}
+
+// Merge defaults, config file and environment
+const { settings, sources, errors, configFile } = loadSettings();
+
 // Create config object
 const config = {
-  ...defaults,
+  ...settings,
   
   // Dynamic configurations
-  privateKeys: getPrivateKeys(),
-  proxyConfigs: getProxyConfigs(),
-  quizAnswers: loadQuizAnswers(),
+  privateKeys: getPrivateKeys(settings.WALLETS_FILE),
+  proxyConfigs: getProxyConfigs(settings.PROXIES_FILE),
+  quizAnswers: loadQuizAnswers(settings.QUIZ_ANSWERS_FILE),
+  
+  // Where each setting came from, and any validation problems
+  sources,
+  errors,
+  configFile,
+  
+  // Loaders, exposed for reuse and testing
+  loadSettings,
+  getProxyConfigs,
+  
+  /**
+   * Re-reads the wallet, proxy and quiz answer files so a running daemon
+   * picks up edits made between cycles
+   * @returns {object} { proxiesChanged, quizzes: { added, updated, removed, error? } }
+   */
+  reloadSources: () => {
+    const proxyConfigs = getProxyConfigs(config.PROXIES_FILE);
+    const proxiesChanged = JSON.stringify(proxyConfigs) !== JSON.stringify(config.proxyConfigs);
+    
+    config.privateKeys = getPrivateKeys(config.WALLETS_FILE);
+    config.proxyConfigs = proxyConfigs;
+    
+    return {
+      proxiesChanged,
+      quizzes: reloadQuizAnswers(config.QUIZ_ANSWERS_FILE, config.quizAnswers)
+    };
+  },
+  
+  /**
+   * Throws if any configuration layer contained invalid values
+   * @throws {Error} Listing every problem found
+   */
+  assertValid: () => {
+    if (config.errors.length > 0) {
+      throw new Error(`Invalid configuration:\n${config.errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+  },
   
   // Auto-create logs directory if it doesn't exist
   ensureLogsDirectory: () => {
@@ -126,5 +126,6 @@ function createLogger(service = 'ofc-automation', level = 'info') {
 }
 
 module.exports = {
-  createLogger
+  createLogger,
+  maskSensitiveData
 };
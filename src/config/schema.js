@@ -0,0 +1,286 @@
+/**
+ * Configuration Schema
+ *
+ * Declares the type and constraints of every configuration key so that
+ * values from the config file and OFC_* environment variables can be
+ * coerced and validated with clear error messages.
+ */
+
+const { isScheduleList } = require('../utils/schedule');
+const { isTimeZone } = require('../utils/time-zone');
+const { ERROR_CLASSES } = require('../utils/retry');
+
+/**
+ * Checks that a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isStringList = value =>
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+/**
+ * Checks the shape of WALLET_GROUPS entries
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isWalletGroupList = value =>
+  Array.isArray(value) && value.every(group =>
+    group && typeof group === 'object' &&
+    typeof group.name === 'string' && group.name.trim() !== '' &&
+    Array.isArray(group.wallets) &&
+    group.wallets.every(wallet =>
+      (typeof wallet === 'string' && wallet.trim() !== '') || (Number.isInteger(wallet) && wallet > 0)
+    ) &&
+    (group.campaigns === undefined || isStringList(group.campaigns))
+  );
+
+/**
+ * Checks that a value is a list of supported report formats
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isReportFormatList = value =>
+  isStringList(value) && value.every(format => ['json', 'csv', 'md', 'html'].includes(format));
+
+/**
+ * Checks the shape of RETRY_POLICIES
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isRetryPolicyMap = value =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.entries(value).every(([errorClass, policy]) =>
+    ERROR_CLASSES.includes(errorClass) &&
+    policy !== null && typeof policy === 'object' && !Array.isArray(policy) &&
+    Object.entries(policy).every(([key, number]) =>
+      ['attempts', 'baseDelay', 'maxDelay'].includes(key) &&
+      Number.isInteger(number) && number >= (key === 'attempts' ? 1 : 0)
+    )
+  );
+
+// Supported types: string, url, integer, number, boolean, path, json
+// (json values come from the config file as-is, or from env vars as JSON text).
+// String rules may restrict their values with a pattern or a validate function.
+// Secret values are masked by "config show".
+const schema = {
+  BASE_URL: { type: 'url', description: 'Deform GraphQL endpoint' },
+  PRIVY_AUTH_URL: { type: 'url', description: 'Privy SIWE endpoint' },
+  PRIVY_APP_ID: { type: 'string', description: 'Privy app ID' },
+  PRIVY_CLIENT: { type: 'string', description: 'Privy client identifier' },
+  CAMPAIGN_ID: { type: 'string', description: 'Default OFC campaign ID' },
+  CAMPAIGN_TIMEZONE: {
+    type: 'string',
+    validate: isTimeZone,
+    expected: 'an IANA time zone such as UTC or America/New_York',
+    description: 'Time zone that recurring activity periods follow'
+  },
+  CAMPAIGN_IDS: {
+    type: 'json',
+    validate: isStringList,
+    expected: 'a list of campaign IDs',
+    description: 'Campaigns every wallet processes (overrides CAMPAIGN_ID)'
+  },
+  WALLET_GROUPS: {
+    type: 'json',
+    validate: isWalletGroupList,
+    expected: 'a list of { name, wallets: [address or index], campaigns: [id] } groups',
+    description: 'Named wallet groups with their own campaign lists'
+  },
+  MAX_RETRIES: { type: 'integer', min: 1, description: 'Attempts per request' },
+  RETRY_DELAY: { type: 'integer', min: 0, description: 'Base retry delay in milliseconds' },
+  RETRY_POLICIES: {
+    type: 'json',
+    validate: isRetryPolicyMap,
+    expected: `an object of { attempts, baseDelay, maxDelay } policies keyed by error class (${ERROR_CLASSES.join(', ')})`,
+    description: 'Retry policy overrides per error class'
+  },
+  RETRY_BUDGET: { type: 'integer', min: 0, description: 'Retries allowed per cycle across all requests (0 disables the limit)' },
+  CIRCUIT_BREAKER_THRESHOLD: {
+    type: 'integer',
+    min: 0,
+    description: 'Consecutive network, timeout or 5xx failures that defer the rest of a cycle (0 disables it)'
+  },
+  CIRCUIT_BREAKER_RETRY_MINUTES: {
+    type: 'number',
+    min: 0,
+    exclusiveMin: true,
+    description: 'Minutes until the retry run of wallets deferred by the circuit breaker'
+  },
+  WALLET_CONCURRENCY: { type: 'integer', min: 1, description: 'Wallets processed at the same time' },
+  MAX_REQUESTS_PER_SECOND: {
+    type: 'number',
+    min: 0,
+    description: 'API requests per second to each host across all wallets (0 disables the limit)'
+  },
+  INTERVAL_HOURS: { type: 'number', min: 0, exclusiveMin: true, description: 'Hours between scheduled runs' },
+  SCHEDULES: {
+    type: 'json',
+    validate: isScheduleList,
+    expected: 'a list of cron strings or { name, cron } / { name, afterResetMinutes } schedules',
+    description: 'Run schedules (overrides INTERVAL_HOURS when not empty)'
+  },
+  SCHEDULE_TIMEZONE: {
+    type: 'string',
+    pattern: /^(UTC|local)$/,
+    expected: 'UTC or local',
+    description: 'Time zone cron schedules are evaluated in'
+  },
+  DAILY_RESET_UTC: {
+    type: 'string',
+    pattern: /^([01]?\d|2[0-3]):[0-5]\d$/,
+    expected: 'a UTC time as HH:MM',
+    description: 'Time of the campaign\'s daily reset, for afterResetMinutes schedules'
+  },
+  RUN_ON_START: { type: 'boolean', description: 'Run a cycle as soon as the scheduler starts' },
+  WALLETS_FILE: { type: 'path', description: 'Plaintext private key file' },
+  PROXIES_FILE: { type: 'path', description: 'Proxy list file' },
+  WALLET_DEFINITIONS_FILE: { type: 'path', description: 'Wallet definitions file (JSON or YAML)' },
+  QUIZ_ANSWERS_FILE: { type: 'path', description: 'Quiz answers JSON file' },
+  HANDLERS_DIR: { type: 'path', description: 'Directory of extra task handler modules' },
+  VAULT_FILE: { type: 'path', description: 'Encrypted key vault file' },
+  KEYSTORE_DIR: { type: 'path', description: 'Directory of V3 keystore files' },
+  STRICT_KEY_PERMISSIONS: { type: 'boolean', description: 'Refuse world-readable plaintext key files' },
+  USER_AGENT: { type: 'string', description: 'HTTP User-Agent header' },
+  LOGS_DIR: { type: 'path', description: 'Log directory' },
+  DATA_DIR: { type: 'path', description: 'Persistent state directory' },
+  REPORTS_DIR: { type: 'path', description: 'Directory for per-cycle run reports' },
+  REPORT_FORMATS: {
+    type: 'json',
+    validate: isReportFormatList,
+    expected: 'a list of report formats (json, csv, md, html)',
+    description: 'Formats written for every run report'
+  },
+  REPORT_RETENTION_DAYS: { type: 'integer', min: 0, description: 'Days to keep run reports (0 keeps them forever)' },
+  METRICS_PORT: { type: 'integer', min: 0, description: 'Port for the /metrics endpoint (0 disables it)' },
+  METRICS_HOST: { type: 'string', description: 'Interface the /metrics endpoint binds to' },
+  CONTROL_PORT: { type: 'integer', min: 0, description: 'Port for the local control API (0 disables it)' },
+  CONTROL_HOST: { type: 'string', description: 'Interface the control API binds to' },
+  CONTROL_TOKEN: { type: 'string', secret: true, description: 'Bearer token required by the control API' },
+  NOTIFY_WEBHOOK_URL: { type: 'url', secret: true, description: 'Webhook notified when a cycle ends or fails' },
+  NOTIFY_WEBHOOK_TEMPLATE: {
+    type: 'json',
+    validate: value => value !== null && typeof value === 'object',
+    expected: 'a JSON object or array with {{placeholders}}',
+    description: 'Webhook body template (default: the whole notification)'
+  },
+  NOTIFY_SMTP_URL: { type: 'string', secret: true, description: 'SMTP URL for email notifications' },
+  NOTIFY_EMAIL_FROM: { type: 'string', description: 'Sender of email notifications' },
+  NOTIFY_EMAIL_TO: { type: 'string', description: 'Recipients of email notifications (comma separated)' },
+  NOTIFY_COMMAND: { type: 'string', description: 'Shell command run for every notification' },
+  NOTIFY_FAILED_WALLETS_AT_LEAST: { type: 'integer', min: 0, description: 'Notify a completed cycle only when at least this many wallets failed (0 notifies every cycle)' }
+};
+
+/**
+ * Describes what a rule expects, for error messages
+ * @param {Object} rule - Schema rule
+ * @returns {string} Description such as "an integer >= 1"
+ */
+function describeRule(rule) {
+  const names = {
+    string: 'a non-empty string',
+    url: 'an http(s) URL',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'true or false',
+    path: 'a file system path',
+    json: rule.expected
+  };
+
+  let description = rule.expected || names[rule.type];
+  if (rule.min !== undefined) {
+    description += ` ${rule.exclusiveMin ? '>' : '>='} ${rule.min}`;
+  }
+  return description;
+}
+
+/**
+ * Converts an environment variable string to the rule's type
+ * @param {string} raw - Raw environment value
+ * @param {Object} rule - Schema rule
+ * @returns {*} Coerced value (left as a string if it can't be converted)
+ */
+function coerceEnvValue(raw, rule) {
+  const value = raw.trim();
+
+  switch (rule.type) {
+    case 'integer':
+    case 'number':
+      return value !== '' && !isNaN(Number(value)) ? Number(value) : raw;
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      return raw;
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        // Allow plain comma-separated lists for convenience
+        return value.startsWith('[') || value.startsWith('{')
+          ? raw
+          : value.split(',').map(item => item.trim()).filter(item => item);
+      }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validates a value against its rule
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema rule
+ * @returns {boolean} True if the value is valid
+ */
+function isValid(value, rule) {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' &&
+        (!rule.pattern || rule.pattern.test(value)) &&
+        (!rule.validate || rule.validate(value));
+    case 'path':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/[^\s]+$/i.test(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'json':
+      return rule.validate(value);
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !isFinite(value)) return false;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return false;
+      if (rule.min !== undefined) {
+        return rule.exclusiveMin ? value > rule.min : value >= rule.min;
+      }
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Validates a configuration value
+ * @param {string} key - Configuration key
+ * @param {*} value - Value to check
+ * @param {string} source - Where the value came from (for the message)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSetting(key, value, source) {
+  const rule = schema[key];
+
+  if (!rule) {
+    return `${source}: unknown setting "${key}"`;
+  }
+
+  if (!isValid(value, rule)) {
+    return `${source}: ${key} must be ${describeRule(rule)}, got ${JSON.stringify(value)}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  schema,
+  coerceEnvValue,
+  validateSetting
+};
@@ -0,0 +1,21 @@
+/**
+ * Check-in Handler
+ *
+ * Daily GM and check-in activities only need a plain verify.
+ */
+
+module.exports = {
+  name: 'check-in',
+  types: ['GM', 'CHECK_IN'],
+  priority: 10,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    return context.verify();
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * External Link Handler
+ */
+
+module.exports = {
+  name: 'external-link',
+  types: ['EXTERNAL_LINK'],
+  priority: 50,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    context.logger.info(`Visiting external link: ${task.properties?.link || 'unknown'}`);
+    return context.verify();
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Generic Handler
+ *
+ * Verifies an activity without any metadata. Used for activity types that
+ * have no registered handler.
+ */
+
+module.exports = {
+  name: 'generic',
+  types: [],
+  priority: 0,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    return context.verify();
+  }
+};
@@ -0,0 +1,188 @@
+/**
+ * Task Handler Registry
+ *
+ * Every activity type is verified by a handler module exporting:
+ * - name: handler name shown in plans and logs
+ * - types: activity types the handler verifies
+ * - priority: processing order, lower runs first
+ * - manual: true if the activity needs a manual action and is skipped in cycles
+ * - prerequisites(task, context): optional, returns the unmet prerequisites
+ *   (the activity is not verified while any are unmet)
+ * - verify(task, context): sends the verification and returns the record
+ * - describeResult(task, record): optional, returns details stored with the
+ *   attempt in the task history
+ *
+ * Handlers in HANDLERS_DIR are loaded after the built-in ones, so a user
+ * handler can add a new activity type or replace a built-in handler.
+ * Activity types without a handler use the generic handler.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const genericHandler = require('./generic');
+
+const builtInHandlers = [
+  require('./check-in'),
+  require('./twitter-follow'),
+  require('./twitter-retweet'),
+  require('./external-link'),
+  require('./quiz'),
+  require('./manual')
+];
+
+/**
+ * Checks the shape of a handler module
+ * @param {Object} handler - Handler module
+ * @returns {string|null} What is wrong with it, or null if valid
+ */
+function validateHandler(handler) {
+  if (!handler || typeof handler !== 'object') return 'expected an object';
+  if (typeof handler.name !== 'string' || handler.name.trim() === '') return 'name must be a non-empty string';
+  if (!Array.isArray(handler.types) || handler.types.length === 0 ||
+      !handler.types.every(type => typeof type === 'string' && type.trim() !== '')) {
+    return 'types must be a non-empty list of activity types';
+  }
+  if (typeof handler.priority !== 'number' || !isFinite(handler.priority)) return 'priority must be a number';
+  if (typeof handler.verify !== 'function') return 'verify must be a function';
+  if (handler.prerequisites !== undefined && typeof handler.prerequisites !== 'function') {
+    return 'prerequisites must be a function';
+  }
+  if (handler.describeResult !== undefined && typeof handler.describeResult !== 'function') {
+    return 'describeResult must be a function';
+  }
+  if (handler.manual !== undefined && typeof handler.manual !== 'boolean') return 'manual must be true or false';
+  return null;
+}
+
+class HandlerRegistry {
+  /**
+   * Creates a new handler registry
+   * @param {Object} options - Registry options
+   * @param {Object} options.logger - Logger instance
+   * @param {Object} options.fallback - Handler for activity types without one
+   */
+  constructor(options = {}) {
+    const { logger = console, fallback = genericHandler } = options;
+
+    this.logger = logger;
+    this.fallback = fallback;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Registers a handler for each of its types, replacing earlier handlers
+   * @param {Object} handler - Handler module
+   * @param {string} source - Where the handler came from (for messages)
+   * @throws {Error} If the handler is invalid
+   */
+  register(handler, source = 'built-in') {
+    const problem = validateHandler(handler);
+    if (problem) {
+      throw new Error(`Invalid task handler (${source}): ${problem}`);
+    }
+
+    handler.types.forEach(type => {
+      const existing = this.handlers.get(type);
+      if (existing) {
+        this.logger.info(`Task handler "${handler.name}" (${source}) replaces "${existing.name}" for ${type}`);
+      }
+      this.handlers.set(type, handler);
+    });
+  }
+
+  /**
+   * Loads every handler module (*.js) in a directory
+   * @param {string} dir - Directory to load
+   * @returns {number} Number of handler modules loaded
+   * @throws {Error} If a module can't be loaded or is invalid
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+
+    files.forEach(file => {
+      const filePath = path.join(dir, file);
+      let exported;
+      try {
+        exported = require(filePath);
+      } catch (error) {
+        throw new Error(`Could not load task handler ${filePath}: ${error.message}`);
+      }
+
+      // A module may export one handler or a list of them
+      [].concat(exported).forEach(handler => this.register(handler, filePath));
+    });
+
+    if (files.length > 0) {
+      this.logger.info(`Loaded ${files.length} task handler module(s) from ${dir}`);
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Checks whether an activity type has a registered handler
+   * @param {string} type - Activity type
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * Gets the handler for an activity type
+   * @param {string} type - Activity type
+   * @returns {Object} Registered handler, or the fallback
+   */
+  get(type) {
+    return this.handlers.get(type) || this.fallback;
+  }
+
+  /**
+   * Lists the registered handlers with the types they handle
+   * @returns {Array} [{ name, types, priority, manual }]
+   */
+  list() {
+    const byHandler = new Map();
+    this.handlers.forEach((handler, type) => {
+      if (!byHandler.has(handler)) byHandler.set(handler, []);
+      byHandler.get(handler).push(type);
+    });
+
+    return [...byHandler].map(([handler, types]) => ({
+      name: handler.name,
+      types,
+      priority: handler.priority,
+      manual: Boolean(handler.manual)
+    }));
+  }
+}
+
+/**
+ * Creates a registry with the built-in handlers and those in the user directory
+ * @param {Object} options - Registry options
+ * @param {Object} options.logger - Logger instance
+ * @param {string} options.handlersDir - Directory of user handler modules
+ * @returns {HandlerRegistry} Registry
+ */
+function createHandlerRegistry(options = {}) {
+  const { logger = console, handlersDir = config.HANDLERS_DIR } = options;
+
+  const registry = new HandlerRegistry({ logger });
+  builtInHandlers.forEach(handler => registry.register(handler));
+
+  if (handlersDir) {
+    registry.loadDirectory(handlersDir);
+  }
+
+  return registry;
+}
+
+module.exports = {
+  HandlerRegistry,
+  createHandlerRegistry,
+  builtInHandlers
+};
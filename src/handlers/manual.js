@@ -0,0 +1,24 @@
+/**
+ * Manual Activities
+ *
+ * Activity types that need an action outside the campaign page. They are
+ * skipped during cycles and only verified on request (e.g. the verify
+ * command), once the action has been done by hand.
+ */
+
+module.exports = {
+  name: 'manual',
+  types: ['FARCASTER_FOLLOW', 'REFERRAL', 'REFEREE_SIGNUP_BONUS'],
+  priority: 70,
+  manual: true,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    return context.verify();
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Quiz Handler
+ *
+ * Submits the answers from the quiz answers file. Quizzes without answers
+ * are not submitted, since a verify without responses always fails. Each
+ * verification records whether the answers were accepted.
+ */
+
+module.exports = {
+  name: 'quiz',
+  types: ['QUIZ'],
+  priority: 60,
+
+  /**
+   * Lists the prerequisites the quiz is missing
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {string[]} Unmet prerequisites
+   */
+  prerequisites(task, context) {
+    const answers = context.quizAnswers[task.id] || [];
+    return answers.length === 0 ? ['No answers configured for this quiz'] : [];
+  },
+
+  /**
+   * Verifies the activity with the configured answers
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  async verify(task, context) {
+    context.logger.info(`Completing quiz task: ${task.id}`);
+    const result = await context.verify({ responses: context.quizAnswers[task.id] });
+    
+    if (result && result.status !== 'COMPLETED') {
+      context.logger.warn(`Quiz answers for ${task.id} were not accepted (status ${result.status}); check them with "quiz validate"`);
+    }
+    
+    return result;
+  },
+
+  /**
+   * Describes a verification record for the task history
+   * @param {Object} task - Verified activity
+   * @param {Object} result - Verification record
+   * @returns {Object} Whether the answers were accepted
+   */
+  describeResult(task, result) {
+    return { answersAccepted: result.status === 'COMPLETED' };
+  }
+};
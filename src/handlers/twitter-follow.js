@@ -0,0 +1,20 @@
+/**
+ * Twitter Follow Handler
+ */
+
+module.exports = {
+  name: 'twitter-follow',
+  types: ['TWITTER_FOLLOW'],
+  priority: 20,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    context.logger.info(`Following Twitter user: ${task.properties?.username || 'unknown'}`);
+    return context.verify();
+  }
+};
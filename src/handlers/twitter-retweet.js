@@ -0,0 +1,20 @@
+/**
+ * Twitter Retweet Handler
+ */
+
+module.exports = {
+  name: 'twitter-retweet',
+  types: ['TWEET_RETWEET'],
+  priority: 40,
+
+  /**
+   * Verifies the activity
+   * @param {Object} task - Activity to verify
+   * @param {Object} context - Handler context
+   * @returns {Promise<Object|null>} Verification record
+   */
+  verify(task, context) {
+    context.logger.info(`Retweeting: ${task.properties?.link || 'unknown'}`);
+    return context.verify();
+  }
+};
@@ -4,115 +4,122 @@
  * 
  * Main application entry point that:
  * - Handles command line arguments
- * - Initializes components
+ * - Dispatches to subcommands
  * - Starts automation process
  */
 
 const config = require('./config');
 const { createLogger } = require('./config/logger');
-const TaskProcessor = require('./task-processor');
-const TaskScheduler = require('./scheduler');
+const { commands, getCommand } = require('./commands');
+const { parseArgs } = require('./utils/args');
 
-// Create logger
-const logger = createLogger('ofc-automation', 'info');
-
-/**
- * Parses command line arguments
- * @returns {Object} Parsed arguments
- */
-function parseArgs() {
-  const args = process.argv.slice(2);
-  const options = {
-    runOnce: args.includes('--run-once') || args.includes('-r'),
-    help: args.includes('--help') || args.includes('-h'),
-    interval: config.INTERVAL_HOURS
-  };
-  
-  // Parse --interval or -i argument
-  const intervalIndex = args.findIndex(arg => arg === '--interval' || arg === '-i');
-  if (intervalIndex !== -1 && args[intervalIndex + 1]) {
-    const interval = parseFloat(args[intervalIndex + 1]);
-    if (!isNaN(interval) && interval > 0) {
-      options.interval = interval;
-    }
-  }
-  
-  return options;
-}
+// Options understood by every command
+const GLOBAL_OPTIONS = {
+  boolean: ['help'],
+  alias: { h: 'help' }
+};
 
 /**
  * Displays help message
  */
 function showHelp() {
+  const commandList = commands
+    .map(command => `  ${command.name.padEnd(22)} ${command.summary}`)
+    .join('\n');
+  
   console.log(`
 OFC Multi-Account Automation
 
 Usage:
-  node index.js [options]
+  node index.js [command] [options]
 
-Options:
-  -r, --run-once         Run tasks once and exit
-  -i, --interval HOURS   Set interval between runs (default: ${config.INTERVAL_HOURS}h)
-  -h, --help             Show this help message
+Commands:
+${commandList}
+
+Global options:
+  --log-level LEVEL      Log level (default: info for run, warn otherwise)
+  -h, --help             Show help (use "<command> --help" for command help)
+
+Without a command, "run" is assumed, so "node index.js --run-once" still works.
   `);
 }
 
+/**
+ * Resolves the command and its arguments from argv
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @returns {Object} { command, args } or { command: null } for top-level help
+ */
+function resolveCommand(argv) {
+  const [first, ...rest] = argv;
+  
+  if (first === 'help') {
+    return { command: rest[0] ? getCommand(rest[0]) : null, argv: ['--help'], name: rest[0] };
+  }
+  
+  // No command (or only options) means the default "run" command
+  if (!first || first.startsWith('-')) {
+    const isTopLevelHelp = argv.includes('--help') || argv.includes('-h');
+    return { command: isTopLevelHelp ? null : getCommand('run'), argv };
+  }
+  
+  return { command: getCommand(first), argv: rest, name: first };
+}
+
 /**
  * Main application entry point
  */
 async function main() {
-  // Parse command line arguments
-  const args = parseArgs();
+  const { command, argv, name } = resolveCommand(process.argv.slice(2));
   
-  // Show help and exit if requested
-  if (args.help) {
+  if (!command) {
     showHelp();
+    if (name) {
+      console.error(`Unknown command: ${name}`);
+      process.exitCode = 1;
+    }
     return;
   }
   
-  try {
-    logger.info('Starting OFC Multi-Account Automation');
-    
-    // Create task processor
-    const processor = new TaskProcessor({ logger });
-    
-    // Run once mode
-    if (args.runOnce) {
-      logger.info('Running in single execution mode');
-      await processor.processAllWallets();
-      logger.info('Execution completed');
+  const commandOptions = command.options || {};
+  const args = parseArgs(argv, {
+    boolean: [...GLOBAL_OPTIONS.boolean, ...(commandOptions.boolean || [])],
+    alias: { ...GLOBAL_OPTIONS.alias, ...(commandOptions.alias || {}) }
+  });
+  
+  // Show per-command help and exit if requested
+  if (args.options.help) {
+    console.log(command.usage);
+    return;
+  }
+  
+  // Refuse to start with an invalid configuration
+  if (!command.skipValidation) {
+    try {
+      config.assertValid();
+    } catch (error) {
+      console.error(error.message);
+      process.exitCode = 1;
       return;
     }
-    
-    // Create task scheduler
-    const scheduler = new TaskScheduler({
-      logger,
-      processor: () => processor.processAllWallets(),
-      intervalHours: args.interval
-    });
-    
-    // Handle process signals
-    process.on('SIGINT', () => {
-      logger.info('Received SIGINT signal, shutting down...');
-      scheduler.stop();
-      setTimeout(() => process.exit(0), 1000);
-    });
-    
-    process.on('SIGTERM', () => {
-      logger.info('Received SIGTERM signal, shutting down...');
-      scheduler.stop();
-      setTimeout(() => process.exit(0), 1000);
-    });
-    
-    // Start scheduler
-    await scheduler.start();
-    
-    logger.info(`Scheduler running with ${args.interval}-hour interval`);
+  }
+  
+  const logLevel = args.options['log-level'] || (command.name === 'run' ? 'info' : 'warn');
+  const logger = createLogger('ofc-automation', logLevel);
+  
+  try {
+    const exitCode = await command.run(args, { logger });
+    if (typeof exitCode === 'number') {
+      process.exitCode = exitCode;
+    }
   } catch (error) {
-    logger.error('Fatal error in application', { 
-      error: error.message,
-      stack: error.stack 
-    });
+    if (command.name === 'run') {
+      logger.error('Fatal error in application', { 
+        error: error.message,
+        stack: error.stack 
+      });
+    } else {
+      console.error(`Error: ${error.message}`);
+    }
     process.exit(1);
   }
 }
@@ -125,4 +132,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { main };
\ No newline at end of file
+module.exports = { main };
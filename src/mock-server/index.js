@@ -0,0 +1,601 @@
+#!/usr/bin/env node
+/**
+ * Mock API Server
+ *
+ * Local stand-in for the Privy SIWE and Deform GraphQL endpoints:
+ * - POST /api/v1/siwe/init and /api/v1/siwe/authenticate (Privy)
+ * - POST / with UserLogin, CampaignActivitiesPanel, VerifyActivity and CampaignSpot (Deform)
+ * - Scriptable faults: HTTP errors (429, 5xx), GraphQL errors and expired tokens
+ *
+ * Point the app at it with:
+ *   OFC_BASE_URL=http://127.0.0.1:4000/
+ *   OFC_PRIVY_AUTH_URL=http://127.0.0.1:4000/api/v1/siwe
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ethers = require('ethers');
+
+const DEFAULT_FIXTURES_FILE = path.resolve(__dirname, 'fixtures/default.json');
+const PRIVY_PREFIX = '/api/v1/siwe';
+
+/**
+ * Loads a fixtures file
+ * @param {string} filePath - Fixtures JSON file
+ * @returns {Object} Fixtures
+ */
+function loadFixtures(filePath = DEFAULT_FIXTURES_FILE) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Creates an unsigned JWT-shaped token
+ * @param {Object} payload - Token claims
+ * @returns {string} Token
+ */
+function createToken(payload) {
+  const encode = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+}
+
+/**
+ * Gets the UTC day key for a date
+ * @param {Date|string} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+function utcDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+class MockServer {
+  /**
+   * Creates a new mock server
+   * @param {Object} options - Server options
+   * @param {Object} options.fixtures - Fixtures (defaults to fixtures/default.json)
+   * @param {Object} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    const { fixtures = loadFixtures(), logger = null } = options;
+
+    this.logger = logger;
+    this.fixtures = fixtures;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.reset();
+  }
+
+  /**
+   * Clears all state: issued tokens, records, request log and faults
+   */
+  reset() {
+    this.nonces = new Map();
+    this.tokens = new Map();
+    this.records = new Map();
+    this.requests = [];
+    this.faults = (this.fixtures.faults || []).map(fault => ({ ...fault }));
+  }
+
+  /**
+   * Schedules a fault for matching requests
+   * @param {Object} fault - Fault definition
+   * @param {string} fault.operation - GraphQL operation, "siwe/init", "siwe/authenticate" or "*"
+   * @param {number} fault.times - How many requests to affect (default 1)
+   * @param {number} fault.status - HTTP status to respond with
+   * @param {Object} fault.headers - Extra response headers (e.g. Retry-After)
+   * @param {Array} fault.graphqlErrors - GraphQL errors to return with HTTP 200
+   * @param {boolean} fault.expireToken - Reject the request as if its token expired
+   */
+  addFault(fault) {
+    this.faults.push({ times: 1, ...fault });
+  }
+
+  /**
+   * Starts listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Bind address
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}`;
+        this.log(`Mock server listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Logs a message if a logger is configured
+   * @param {string} message - Message
+   */
+  log(message) {
+    if (this.logger) this.logger.info(message);
+  }
+
+  /**
+   * Gets the app configuration overrides that target this server
+   * @returns {Object} BASE_URL and PRIVY_AUTH_URL
+   */
+  getConfigOverrides() {
+    return {
+      BASE_URL: `${this.url}/`,
+      PRIVY_AUTH_URL: `${this.url}${PRIVY_PREFIX}`
+    };
+  }
+
+  /**
+   * Takes the next fault matching an operation
+   * @param {string} operation - Operation name
+   * @returns {Object|null} Fault or null
+   */
+  takeFault(operation) {
+    const fault = this.faults.find(f =>
+      f.times > 0 && (f.operation === operation || f.operation === '*')
+    );
+
+    if (!fault) return null;
+
+    fault.times -= 1;
+    return fault;
+  }
+
+  /**
+   * Sends a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   * @param {Object} headers - Extra headers
+   */
+  send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Routes an incoming request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = {};
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch (error) {
+        return this.send(res, 400, { error: 'Invalid JSON body' });
+      }
+
+      const url = req.url.split('?')[0];
+
+      try {
+        if (req.method === 'POST' && url === '/__mock/faults') {
+          this.addFault(body);
+          return this.send(res, 200, { faults: this.faults });
+        }
+
+        if (req.method === 'POST' && url === '/__mock/reset') {
+          this.reset();
+          return this.send(res, 200, { ok: true });
+        }
+
+        if (req.method === 'POST' && url.startsWith(PRIVY_PREFIX)) {
+          return this.handlePrivy(url.slice(PRIVY_PREFIX.length), body, req, res);
+        }
+
+        if (req.method === 'POST' && (url === '/' || url === '/graphql')) {
+          return this.handleGraphql(body, req, res);
+        }
+
+        this.send(res, 404, { error: `No mock route for ${req.method} ${url}` });
+      } catch (error) {
+        this.send(res, 500, { error: error.message });
+      }
+    });
+  }
+
+  /**
+   * Applies a scripted fault, if one matches
+   * @param {string} operation - Operation name
+   * @param {http.ServerResponse} res - Response
+   * @returns {Object} Whether a response was sent, and whether to treat the token as expired
+   */
+  applyFault(operation, res) {
+    const fault = this.takeFault(operation);
+    if (!fault) return { handled: false };
+
+    this.log(`Injecting fault into ${operation}`);
+
+    if (fault.expireToken) {
+      return { handled: false, expireToken: true };
+    }
+
+    if (fault.graphqlErrors) {
+      this.send(res, 200, { data: null, errors: fault.graphqlErrors }, fault.headers);
+      return { handled: true };
+    }
+
+    this.send(res, fault.status || 500, fault.body || { error: 'Injected fault' }, fault.headers);
+    return { handled: true };
+  }
+
+  /**
+   * Handles Privy SIWE endpoints
+   * @param {string} endpoint - "/init" or "/authenticate"
+   * @param {Object} body - Request body
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handlePrivy(endpoint, body, req, res) {
+    const operation = `siwe${endpoint}`;
+    this.requests.push({ operation, body });
+
+    if (this.applyFault(operation, res).handled) return;
+
+    if (endpoint === '/init') {
+      if (!body.address) {
+        return this.send(res, 400, { error: 'address is required' });
+      }
+
+      const nonce = crypto.randomBytes(16).toString('hex');
+      this.nonces.set(nonce, body.address.toLowerCase());
+      return this.send(res, 200, {
+        nonce,
+        address: body.address,
+        expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString()
+      });
+    }
+
+    if (endpoint === '/authenticate') {
+      const nonce = /Nonce: (\S+)/.exec(body.message || '')?.[1];
+      const expected = nonce && this.nonces.get(nonce);
+
+      let recovered = null;
+      try {
+        recovered = ethers.utils.verifyMessage(body.message, body.signature).toLowerCase();
+      } catch (error) {
+        recovered = null;
+      }
+
+      if (!expected || recovered !== expected) {
+        return this.send(res, 401, { error: 'Invalid SIWE signature or nonce' });
+      }
+
+      this.nonces.delete(nonce);
+      return this.send(res, 200, {
+        user: { id: `did:privy:${recovered}` },
+        token: this.issueToken(recovered, 'privy'),
+        identity_token: this.issueToken(recovered, 'privy-id')
+      });
+    }
+
+    this.send(res, 404, { error: `Unknown Privy endpoint ${endpoint}` });
+  }
+
+  /**
+   * Issues a token for an address
+   * @param {string} address - Wallet address (lowercase)
+   * @param {string} kind - Token kind
+   * @returns {string} Token
+   */
+  issueToken(address, kind) {
+    const now = Math.floor(Date.now() / 1000);
+    const token = createToken({
+      sub: address,
+      kind,
+      iat: now,
+      exp: now + (this.fixtures.tokenTtlSeconds || 3600),
+      jti: crypto.randomBytes(8).toString('hex')
+    });
+
+    this.tokens.set(token, { address, kind, expiresAt: (now + (this.fixtures.tokenTtlSeconds || 3600)) * 1000 });
+    return token;
+  }
+
+  /**
+   * Resolves the address for a valid, unexpired token
+   * @param {string} token - Token
+   * @param {string} kind - Expected token kind
+   * @returns {string|null} Address or null
+   */
+  resolveToken(token, kind) {
+    const entry = token && this.tokens.get(token);
+    if (!entry || entry.kind !== kind || entry.expiresAt <= Date.now()) return null;
+    return entry.address;
+  }
+
+  /**
+   * Expires every token issued to an address
+   * @param {string} address - Wallet address
+   */
+  expireTokensFor(address) {
+    for (const entry of this.tokens.values()) {
+      if (entry.address === address) entry.expiresAt = 0;
+    }
+  }
+
+  /**
+   * Handles a Deform GraphQL request
+   * @param {Object} body - GraphQL request body
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleGraphql(body, req, res) {
+    const { operationName, variables = {} } = body;
+    this.requests.push({ operation: operationName, body });
+
+    const fault = this.applyFault(operationName, res);
+    if (fault.handled) return;
+
+    if (operationName === 'UserLogin') {
+      const address = this.resolveToken(variables.data?.externalAuthToken, 'privy');
+      if (!address) {
+        return this.sendGraphqlError(res, 'Invalid external auth token', 'UNAUTHENTICATED');
+      }
+      return this.send(res, 200, { data: { userLogin: this.issueToken(address, 'deform') } });
+    }
+
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const address = this.resolveToken(bearer, 'deform');
+
+    if (fault.expireToken && address) {
+      this.expireTokensFor(address);
+    }
+
+    if (!address || fault.expireToken) {
+      return this.sendGraphqlError(res, 'Unauthorized: jwt expired', 'UNAUTHENTICATED');
+    }
+
+    switch (operationName) {
+      case 'CampaignActivitiesPanel':
+        return this.handleActivities(address, variables, res);
+      case 'VerifyActivity':
+        return this.handleVerify(address, variables, res);
+      case 'CampaignSpot':
+        return this.handleCampaignSpot(address, variables, res);
+      default:
+        return this.sendGraphqlError(res, `Unknown operation ${operationName}`, 'BAD_REQUEST');
+    }
+  }
+
+  /**
+   * Sends a GraphQL error response
+   * @param {http.ServerResponse} res - Response
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   */
+  sendGraphqlError(res, message, code) {
+    this.send(res, 200, { data: null, errors: [{ message, extensions: { code } }] });
+  }
+
+  /**
+   * Finds an activity across all campaigns
+   * @param {string} activityId - Activity ID
+   * @returns {Object|null} Activity fixture
+   */
+  findActivity(activityId) {
+    for (const campaign of Object.values(this.fixtures.campaigns || {})) {
+      const activity = campaign.activities.find(a => a.id === activityId);
+      if (activity) return activity;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the stored records for an address and activity
+   * @param {string} address - Wallet address
+   * @param {string} activityId - Activity ID
+   * @returns {Array} Records
+   */
+  getRecords(address, activityId) {
+    return this.records.get(`${address}:${activityId}`) || [];
+  }
+
+  /**
+   * Serializes an activity for a user (drops fixture-only fields)
+   * @param {Object} activity - Activity fixture
+   * @param {string} address - Wallet address
+   * @returns {Object} Activity as returned by the API
+   */
+  serializeActivity(activity, address) {
+    const { answers, ...fields } = activity;
+    return {
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-01T00:00:00.000Z',
+      startDateTimeAt: null,
+      endDateTimeAt: null,
+      description: '',
+      recurringPeriod: null,
+      recurringMaxCount: null,
+      properties: {},
+      isHidden: false,
+      tags: [],
+      ...fields,
+      records: this.getRecords(address, activity.id)
+    };
+  }
+
+  /**
+   * Handles CampaignActivitiesPanel
+   * @param {string} address - Wallet address
+   * @param {Object} variables - Query variables
+   * @param {http.ServerResponse} res - Response
+   */
+  handleActivities(address, variables, res) {
+    const campaign = this.fixtures.campaigns?.[variables.campaignId];
+    if (!campaign) {
+      return this.send(res, 200, { data: { campaign: null } });
+    }
+
+    this.send(res, 200, {
+      data: {
+        campaign: {
+          id: variables.campaignId,
+          activities: campaign.activities.map(activity => this.serializeActivity(activity, address))
+        }
+      }
+    });
+  }
+
+  /**
+   * Sums the points an address has earned in a campaign
+   * @param {string} address - Wallet address
+   * @param {Object} campaign - Campaign fixture
+   * @returns {number} Points
+   */
+  getCampaignPoints(address, campaign) {
+    return campaign.activities
+      .flatMap(activity => this.getRecords(address, activity.id))
+      .flatMap(record => record.rewardRecords || [])
+      .filter(reward => reward.status === 'COMPLETED')
+      .reduce((sum, reward) => sum + (reward.appliedRewardQuantity || 0), 0);
+  }
+
+  /**
+   * Handles CampaignSpot (balance and leaderboard rank)
+   * @param {string} address - Wallet address
+   * @param {Object} variables - Query variables
+   * @param {http.ServerResponse} res - Response
+   */
+  handleCampaignSpot(address, variables, res) {
+    const campaign = this.fixtures.campaigns?.[variables.campaignId];
+    if (!campaign) {
+      return this.send(res, 200, { data: { campaign: null } });
+    }
+
+    // Rank against the fixture leaderboard and every address seen so far
+    const addresses = new Set([...this.records.keys()].map(key => key.split(':')[0]));
+    const others = [
+      ...(campaign.leaderboard || []),
+      ...[...addresses].filter(other => other !== address).map(other => this.getCampaignPoints(other, campaign))
+    ];
+    const points = this.getCampaignPoints(address, campaign);
+
+    this.send(res, 200, {
+      data: {
+        campaign: {
+          id: variables.campaignId,
+          userSpot: {
+            id: `${variables.campaignId}:${address}`,
+            points,
+            rank: 1 + others.filter(other => other > points).length
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Checks submitted quiz responses against the fixture answers
+   * @param {Object} activity - Activity fixture
+   * @param {Array} responses - Submitted responses
+   * @returns {boolean} True if every question was answered correctly
+   */
+  checkQuizAnswers(activity, responses = []) {
+    return (activity.answers || []).every(expected => {
+      const response = responses.find(r => r.questionId === expected.questionId);
+      const given = (response?.answers || []).map(a => a.id).sort();
+      return JSON.stringify(given) === JSON.stringify([...expected.answerIds].sort());
+    });
+  }
+
+  /**
+   * Handles VerifyActivity
+   * @param {string} address - Wallet address
+   * @param {Object} variables - Mutation variables
+   * @param {http.ServerResponse} res - Response
+   */
+  handleVerify(address, variables, res) {
+    const { activityId, metadata } = variables.data || {};
+    const activity = this.findActivity(activityId);
+
+    if (!activity) {
+      return this.sendGraphqlError(res, `Activity ${activityId} not found`, 'NOT_FOUND');
+    }
+
+    const records = this.getRecords(address, activityId);
+    const completed = records.filter(record => record.status === 'COMPLETED');
+    const isDaily = activity.recurringPeriod?.type === 'DAY';
+
+    if (isDaily
+      ? completed.some(record => utcDay(record.createdAt) === utcDay(new Date()))
+      : completed.length > 0) {
+      return this.sendGraphqlError(res, 'Activity already completed', 'ALREADY_COMPLETED');
+    }
+
+    const passed = activity.type !== 'QUIZ' || this.checkQuizAnswers(activity, metadata?.responses);
+    const quantity = activity.reward?.quantity || 0;
+    const createdAt = new Date().toISOString();
+
+    const record = {
+      id: crypto.randomUUID(),
+      activityId,
+      status: passed ? 'COMPLETED' : 'FAILED',
+      properties: metadata || {},
+      createdAt,
+      rewardRecords: passed ? [{
+        id: crypto.randomUUID(),
+        status: 'COMPLETED',
+        appliedRewardType: activity.reward?.type || 'POINTS',
+        appliedRewardQuantity: quantity,
+        appliedRewardMetadata: {},
+        error: null,
+        rewardId: `${activityId}-reward`,
+        reward: { id: `${activityId}-reward`, quantity, type: activity.reward?.type || 'POINTS', properties: {} }
+      }] : []
+    };
+
+    this.records.set(`${address}:${activityId}`, [...records, record]);
+    this.send(res, 200, { data: { verifyActivity: { record, missionRecord: null } } });
+  }
+}
+
+/**
+ * Creates a mock server
+ * @param {Object} options - Server options (see MockServer)
+ * @returns {MockServer} Mock server
+ */
+function createMockServer(options = {}) {
+  return new MockServer(options);
+}
+
+// Run standalone: node src/mock-server [--port 4000] [--fixtures file.json]
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+  };
+
+  const port = parseInt(flag('--port') || '4000', 10);
+  const fixturesFile = flag('--fixtures');
+  const mockServer = createMockServer({
+    fixtures: loadFixtures(fixturesFile ? path.resolve(fixturesFile) : undefined),
+    logger: console
+  });
+
+  mockServer.start(port).then(() => {
+    const overrides = mockServer.getConfigOverrides();
+    console.log(`OFC_BASE_URL=${overrides.BASE_URL}`);
+    console.log(`OFC_PRIVY_AUTH_URL=${overrides.PRIVY_AUTH_URL}`);
+  });
+}
+
+module.exports = {
+  MockServer,
+  createMockServer,
+  loadFixtures
+};
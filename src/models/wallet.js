@@ -15,9 +15,22 @@ class Wallet {
    * @param {Object} options - Wallet options
    * @param {string} options.privateKey - Ethereum private key
    * @param {Object} options.proxyConfig - Optional proxy configuration
+   * @param {number} options.index - Optional 1-based position in the key list
+   * @param {string} options.group - Optional wallet group name
+   * @param {string[]} options.campaigns - Optional campaign IDs for this wallet
+   * @param {string} options.label - Optional name shown in logs and reports
+   * @param {Object} options.taskRules - Optional task include/exclude rules (see WalletDefinitions)
    */
   constructor(options = {}) {
-    const { privateKey, proxyConfig = null } = options;
+    const {
+      privateKey,
+      proxyConfig = null,
+      index = null,
+      group = null,
+      campaigns = null,
+      label = null,
+      taskRules = null
+    } = options;
     
     if (!privateKey) {
       throw new Error('Private key is required for wallet');
@@ -26,6 +39,11 @@ class Wallet {
     this.ethersWallet = new ethers.Wallet(privateKey);
     this.proxyConfig = proxyConfig;
     this.address = this.ethersWallet.address;
+    this.index = index;
+    this.group = group;
+    this.campaigns = campaigns;
+    this.label = label;
+    this.taskRules = taskRules;
     this.authenticated = false;
     this.tokens = {
       privy: null,
@@ -58,6 +76,30 @@ class Wallet {
     return this.proxyConfig;
   }
   
+  /**
+   * Gets the campaigns this wallet is assigned to
+   * @returns {string[]|null} Campaign IDs, or null to use the global list
+   */
+  getCampaigns() {
+    return this.campaigns;
+  }
+  
+  /**
+   * Gets the name used for the wallet in logs and reports
+   * @returns {string} "label (address)", or the address if the wallet has no label
+   */
+  getDisplayName() {
+    return this.label ? `${this.label} (${this.address})` : this.address;
+  }
+  
+  /**
+   * Gets the wallet's task include/exclude rules
+   * @returns {Object|null} Task rules, or null to run every task
+   */
+  getTaskRules() {
+    return this.taskRules;
+  }
+  
   /**
    * Sets authentication state and tokens
    * @param {Object} authResult - Authentication result
@@ -108,7 +150,7 @@ class Wallet {
    * @returns {string} Wallet string representation
    */
   toString() {
-    return `Wallet(${this.address})`;
+    return `Wallet(${this.getDisplayName()})`;
   }
   
   /**
@@ -117,7 +159,11 @@ class Wallet {
    */
   toJSON() {
     return {
+      index: this.index,
       address: this.address,
+      label: this.label,
+      group: this.group,
+      campaigns: this.campaigns,
       authenticated: this.authenticated,
       hasProxy: Boolean(this.proxyConfig),
       proxyHost: this.proxyConfig?.host || null
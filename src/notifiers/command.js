@@ -0,0 +1,81 @@
+/**
+ * Command Notifier
+ *
+ * Runs a local shell command for every notification. The notification is
+ * written to the command's stdin as JSON, and OFC_EVENT, OFC_RUN_ID and
+ * OFC_SUMMARY are set in its environment.
+ */
+
+const { spawn } = require('child_process');
+
+class CommandNotifier {
+  /**
+   * Creates a new command notifier
+   * @param {Object} options - Notifier options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.command - Shell command to run
+   * @param {number} options.timeout - Milliseconds before the command is killed
+   */
+  constructor(options = {}) {
+    const { logger = console, command, timeout = 30000 } = options;
+
+    if (!command) {
+      throw new Error('Command is required for command notifications');
+    }
+
+    this.logger = logger;
+    this.name = 'command';
+    this.command = command;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Sends a notification
+   * @param {Object} notification - Notification from NotificationManager
+   * @returns {Promise} Resolves when the command exits with code 0
+   */
+  send(notification) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        env: {
+          ...process.env,
+          OFC_EVENT: notification.event,
+          OFC_RUN_ID: notification.runId || '',
+          OFC_SUMMARY: notification.summary
+        }
+      });
+
+      let stderr = '';
+      child.stderr.on('data', chunk => {
+        stderr += chunk;
+      });
+
+      const timer = setTimeout(() => {
+        child.kill();
+        reject(new Error(`Notification command timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      child.on('error', error => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', code => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Notification command exited with code ${code}${stderr ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+
+      // The command may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(notification));
+    });
+  }
+}
+
+module.exports = CommandNotifier;
@@ -0,0 +1,190 @@
+/**
+ * Notifications
+ *
+ * Sends a summary to every configured sink when a cycle ends or fails:
+ * - Webhook: JSON POST with an optional body template
+ * - Email: SMTP through nodemailer
+ * - Command: a local shell command receiving the notification on stdin
+ *
+ * Completed cycles are only notified when at least NOTIFY_FAILED_WALLETS_AT_LEAST
+ * wallets failed (0 notifies every cycle, N + 1 notifies when more than N
+ * failed); failed cycles are always notified.
+ */
+
+const config = require('../config');
+const WebhookNotifier = require('./webhook');
+const EmailNotifier = require('./email');
+const CommandNotifier = require('./command');
+
+/**
+ * Creates the notifiers enabled in the configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Array} Notifiers, each with a name and a send(notification) method
+ */
+function createNotifiers(logger) {
+  const notifiers = [];
+
+  if (config.NOTIFY_WEBHOOK_URL) {
+    notifiers.push(new WebhookNotifier({
+      logger,
+      url: config.NOTIFY_WEBHOOK_URL,
+      template: config.NOTIFY_WEBHOOK_TEMPLATE
+    }));
+  }
+
+  if (config.NOTIFY_SMTP_URL) {
+    notifiers.push(new EmailNotifier({
+      logger,
+      smtpUrl: config.NOTIFY_SMTP_URL,
+      from: config.NOTIFY_EMAIL_FROM,
+      to: config.NOTIFY_EMAIL_TO
+    }));
+  }
+
+  if (config.NOTIFY_COMMAND) {
+    notifiers.push(new CommandNotifier({ logger, command: config.NOTIFY_COMMAND }));
+  }
+
+  return notifiers;
+}
+
+class NotificationManager {
+  /**
+   * Creates a new notification manager
+   * @param {Object} options - Manager options
+   * @param {Object} options.logger - Logger instance
+   * @param {Array} options.notifiers - Notifiers (defaults to the configured ones)
+   * @param {number} options.minFailedWallets - Failed wallets needed to notify a completed cycle (at least this many)
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      notifiers = null,
+      minFailedWallets = config.NOTIFY_FAILED_WALLETS_AT_LEAST
+    } = options;
+
+    this.logger = logger;
+    this.notifiers = notifiers || createNotifiers(logger);
+    this.minFailedWallets = minFailedWallets;
+  }
+
+  /**
+   * Sends notifications for every cycle the scheduler runs
+   * @param {TaskScheduler} scheduler - Scheduler to listen to
+   * @param {TaskProcessor} processor - Processor whose latest report is summarized
+   */
+  attach(scheduler, processor) {
+    if (this.notifiers.length === 0) return;
+
+    scheduler.on('executionCompleted', () => this.notifyCycle(processor.getLatestReport()));
+    scheduler.on('executionFailed', error => this.notifyFailure(error));
+  }
+
+  /**
+   * Builds the notification for a completed cycle
+   * @param {Object} report - Run report (see ReportWriter.buildReport)
+   * @returns {Object} Notification
+   */
+  buildCycleNotification(report) {
+    const { totals } = report;
+    const failedWallets = report.wallets
+      .filter(wallet => wallet.error)
+      .map(wallet => ({ wallet: wallet.wallet, label: wallet.label || null, error: wallet.error }));
+
+    let summary = `OFC cycle ${report.runId}: ${totals.wallets} wallets, ` +
+      `${totals.completed} tasks completed, ${totals.failed} failed, ${totals.points} points earned.`;
+
+    if (failedWallets.length > 0) {
+      summary += ` ${failedWallets.length} wallets failed: ` +
+        failedWallets.map(wallet => `${wallet.label || wallet.wallet} (${wallet.error})`).join(', ');
+    }
+
+    if (totals.deferredWallets > 0) {
+      summary += ` ${totals.deferredWallets} wallets were deferred to a retry run because the API is unavailable.`;
+    }
+
+    return {
+      event: 'cycle_completed',
+      title: failedWallets.length > 0
+        ? `[OFC] Cycle completed, ${failedWallets.length} wallets failed`
+        : `[OFC] Cycle completed: ${totals.completed} tasks, ${totals.points} points`,
+      summary,
+      runId: report.runId,
+      startedAt: report.startedAt,
+      finishedAt: report.finishedAt,
+      totals,
+      failedWallets,
+      error: null
+    };
+  }
+
+  /**
+   * Builds the notification for a cycle that failed outright
+   * @param {Error} error - Error the cycle failed with
+   * @returns {Object} Notification
+   */
+  buildFailureNotification(error) {
+    return {
+      event: 'cycle_failed',
+      title: '[OFC] Cycle failed',
+      summary: `OFC cycle failed: ${error.message}`,
+      runId: null,
+      startedAt: null,
+      finishedAt: new Date().toISOString(),
+      totals: null,
+      failedWallets: [],
+      error: error.message
+    };
+  }
+
+  /**
+   * Notifies about a completed cycle if it crosses the failure threshold
+   * @param {Object|null} report - Run report
+   * @returns {Promise<Array>} Settled send results (empty if nothing was sent)
+   */
+  async notifyCycle(report) {
+    if (!report) return [];
+
+    const notification = this.buildCycleNotification(report);
+    if (notification.failedWallets.length < this.minFailedWallets) {
+      this.logger.debug(`Skipping notification: ${notification.failedWallets.length} failed wallets, notifying from ${this.minFailedWallets}`);
+      return [];
+    }
+
+    return this.notify(notification);
+  }
+
+  /**
+   * Notifies about a failed cycle
+   * @param {Error} error - Error the cycle failed with
+   * @returns {Promise<Array>} Settled send results
+   */
+  async notifyFailure(error) {
+    return this.notify(this.buildFailureNotification(error));
+  }
+
+  /**
+   * Sends a notification to every notifier; failures are logged, never thrown
+   * @param {Object} notification - Notification
+   * @returns {Promise<Array>} Settled send results, one per notifier
+   */
+  async notify(notification) {
+    const results = await Promise.allSettled(this.notifiers.map(notifier => notifier.send(notification)));
+
+    results.forEach((result, index) => {
+      const { name } = this.notifiers[index];
+      if (result.status === 'rejected') {
+        this.logger.warn(`Could not send ${name} notification`, { error: result.reason?.message });
+      } else {
+        this.logger.info(`Sent ${name} notification: ${notification.title}`);
+      }
+    });
+
+    return results;
+  }
+}
+
+module.exports = {
+  NotificationManager,
+  createNotifiers
+};
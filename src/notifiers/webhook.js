@@ -0,0 +1,94 @@
+/**
+ * Webhook Notifier
+ *
+ * POSTs a JSON body to a URL. Without a template the whole notification is
+ * sent; with one, "{{path}}" placeholders are filled from the notification,
+ * e.g. { "text": "{{summary}}" } for Slack or { "content": "{{summary}}" } for Discord.
+ */
+
+const axios = require('axios');
+
+/**
+ * Reads a dotted path from an object
+ * @param {Object} data - Source object
+ * @param {string} keyPath - Path such as "totals.points"
+ * @returns {*} Value, or undefined if missing
+ */
+function getPath(data, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
+
+class WebhookNotifier {
+  /**
+   * Creates a new webhook notifier
+   * @param {Object} options - Notifier options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.url - URL to POST to
+   * @param {*} options.template - Optional body template
+   * @param {number} options.timeout - Request timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const { logger = console, url, template = null, timeout = 10000 } = options;
+
+    if (!url) {
+      throw new Error('Webhook URL is required');
+    }
+
+    this.logger = logger;
+    this.name = 'webhook';
+    this.url = url;
+    this.template = template;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Sends a notification
+   * @param {Object} notification - Notification from NotificationManager
+   * @returns {Promise} Resolves once the webhook accepted the request
+   */
+  async send(notification) {
+    const body = this.template ? WebhookNotifier.renderTemplate(this.template, notification) : notification;
+
+    await axios.post(this.url, body, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: this.timeout
+    });
+  }
+
+  /**
+   * Fills "{{path}}" placeholders in a template
+   *
+   * A string that is exactly one placeholder is replaced by the raw value (so
+   * numbers and objects keep their type); placeholders inside longer strings
+   * are replaced by text.
+   * @param {*} template - Template (object, array or string)
+   * @param {Object} data - Values to fill in
+   * @returns {*} Rendered template
+   */
+  static renderTemplate(template, data) {
+    if (Array.isArray(template)) {
+      return template.map(item => WebhookNotifier.renderTemplate(item, data));
+    }
+
+    if (template && typeof template === 'object') {
+      return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, WebhookNotifier.renderTemplate(value, data)]));
+    }
+
+    if (typeof template !== 'string') {
+      return template;
+    }
+
+    const exact = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (exact) {
+      return getPath(data, exact[1]) ?? null;
+    }
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+      const value = getPath(data, keyPath);
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -2,14 +2,23 @@
  * Task Scheduler
  * 
  * Manages task scheduling with:
- * - Configurable intervals
+ * - A fixed interval, or cron and reset-aligned schedules (several may be active)
+ * - Wall-clock timing, so runs stay on time across system suspend and timer drift
  * - Status tracking
  * - Execution reporting
+ * - Pausing scheduled runs without stopping the process
+ * - Earlier retry runs on request (e.g. for wallets deferred during an outage)
  */
 
 const EventEmitter = require('events');
 const config = require('./config');
-const { sleep } = require('./utils/retry');
+const { createSchedule } = require('./utils/schedule');
+
+// How often the scheduler compares the clock with the next run time
+const DEFAULT_TICK_INTERVAL = 30 * 1000;
+
+// How often the countdown to the next run is logged
+const COUNTDOWN_LOG_INTERVAL = 60 * 1000;
 
 class TaskScheduler extends EventEmitter {
   /**
@@ -17,7 +26,12 @@ class TaskScheduler extends EventEmitter {
    * @param {Object} options - Scheduler options
    * @param {Object} options.logger - Logger instance
    * @param {Function} options.processor - Task processor function
-   * @param {number} options.intervalHours - Hours between runs
+   * @param {number} options.intervalHours - Hours between runs when there are no schedules
+   * @param {Array} options.schedules - Cron or reset-aligned schedules (see utils/schedule)
+   * @param {string} options.timezone - Time zone cron schedules are evaluated in ("UTC" or "local")
+   * @param {string} options.dailyResetUtc - Daily reset time (HH:MM, UTC)
+   * @param {boolean} options.runOnStart - Whether to run a cycle as soon as the scheduler starts
+   * @param {number} options.tickInterval - Milliseconds between clock checks
    */
   constructor(options = {}) {
     super();
@@ -25,7 +39,12 @@ class TaskScheduler extends EventEmitter {
     const {
       logger = console,
       processor,
-      intervalHours = config.INTERVAL_HOURS
+      intervalHours = config.INTERVAL_HOURS,
+      schedules = config.SCHEDULES,
+      timezone = config.SCHEDULE_TIMEZONE,
+      dailyResetUtc = config.DAILY_RESET_UTC,
+      runOnStart = config.RUN_ON_START,
+      tickInterval = DEFAULT_TICK_INTERVAL
     } = options;
     
     if (!processor || typeof processor !== 'function') {
@@ -35,18 +54,96 @@ class TaskScheduler extends EventEmitter {
     this.logger = logger;
     this.processor = processor;
     this.intervalHours = intervalHours;
+    this.schedules = schedules.map(definition => createSchedule(definition, { timezone, dailyResetUtc }));
+    this.runOnStart = runOnStart;
+    this.tickInterval = tickInterval;
     this.nextRunTime = null;
+    this.nextSchedule = null;
+    this.retryRun = null;
     this.running = false;
-    this.countdownInterval = null;
+    this.paused = false;
+    this.executing = false;
+    this.lastRun = null;
+    this.lastCountdownLog = 0;
+    this.tickTimeout = null;
+  }
+  
+  /**
+   * Finds the next scheduled run
+   * @param {Date} from - Moment to search from
+   * @returns {Object} { time, schedule } with the earliest run and the schedule it belongs to
+   */
+  getNextRun(from = new Date()) {
+    if (this.schedules.length === 0) {
+      return {
+        time: new Date(from.getTime() + (this.intervalHours * 60 * 60 * 1000)),
+        schedule: 'interval'
+      };
+    }
+    
+    return this.schedules
+      .map(schedule => ({ time: schedule.getNextRunTime(from), schedule: schedule.name }))
+      .reduce((earliest, run) => (run.time < earliest.time ? run : earliest));
+  }
+  
+  /**
+   * Picks the next run, bringing it forward to a requested retry run if that is earlier
+   * @param {Date} from - Moment to search from
+   * @returns {Object} { time, schedule } of the next run
+   */
+  planNextRun(from = new Date()) {
+    const next = this.getNextRun(from);
+    
+    if (this.retryRun && this.retryRun.time <= from) {
+      this.retryRun = null;
+    }
+    
+    return this.retryRun && this.retryRun.time < next.time ? this.retryRun : next;
+  }
+  
+  /**
+   * Requests a retry run earlier than the next scheduled one
+   * @param {number} delayMs - Milliseconds from now
+   * @param {string} reason - Why the retry is needed (for logs)
+   * @returns {Date} Time of the retry run
+   */
+  requestRetry(delayMs, reason) {
+    const time = new Date(Date.now() + delayMs);
+    
+    if (!this.retryRun || time < this.retryRun.time) {
+      this.retryRun = { time, schedule: 'retry' };
+    }
+    
+    this.logger.info(`Retry run requested for ${this.retryRun.time.toLocaleString()}: ${reason}`);
+    this.emit('retryRequested', { time: this.retryRun.time, reason });
+    
+    // A scheduled cycle plans its successor when it finishes; otherwise the next clock check picks this up
+    if (this.running && this.retryRun.time < this.nextRunTime) {
+      this.setNextRun(this.retryRun);
+    }
+    
+    return this.retryRun.time;
   }
   
   /**
    * Calculates the next run time
+   * @param {Date} from - Moment to search from
    * @returns {Date} Next scheduled run time
    */
-  calculateNextRunTime() {
-    const now = new Date();
-    return new Date(now.getTime() + (this.intervalHours * 60 * 60 * 1000));
+  calculateNextRunTime(from = new Date()) {
+    return this.getNextRun(from).time;
+  }
+  
+  /**
+   * Describes how runs are scheduled, for logs
+   * @returns {string} Description
+   */
+  describeSchedules() {
+    if (this.schedules.length === 0) {
+      return `${this.intervalHours}-hour interval`;
+    }
+    
+    return this.schedules.map(schedule => `${schedule.name}: ${schedule.description}`).join('; ');
   }
   
   /**
@@ -72,10 +169,10 @@ class TaskScheduler extends EventEmitter {
     }
     
     this.running = true;
-    this.logger.info('Starting task scheduler');
+    this.logger.info(`Starting task scheduler (${this.describeSchedules()})`);
     
-    // Start first run immediately
-    this.startCountdown(0);
+    this.setNextRun(this.runOnStart ? { time: new Date(), schedule: 'startup' } : this.getNextRun());
+    this.tick();
     
     return this;
   }
@@ -86,9 +183,9 @@ class TaskScheduler extends EventEmitter {
   stop() {
     this.running = false;
     
-    if (this.countdownInterval) {
-      clearInterval(this.countdownInterval);
-      this.countdownInterval = null;
+    if (this.tickTimeout) {
+      clearTimeout(this.tickTimeout);
+      this.tickTimeout = null;
     }
     
     this.logger.info('Task scheduler stopped');
@@ -96,78 +193,100 @@ class TaskScheduler extends EventEmitter {
   }
   
   /**
-   * Starts countdown to next execution
-   * @param {number} delay - Delay in milliseconds
+   * Sets the next run and logs it
+   * @param {Object} run - { time, schedule } from getNextRun
    */
-  startCountdown(delay = 0) {
-    // Clear existing countdown if any
-    if (this.countdownInterval) {
-      clearInterval(this.countdownInterval);
-    }
-    
-    // Calculate next run time
-    this.nextRunTime = delay === 0 
-      ? new Date() // Immediate run
-      : this.calculateNextRunTime();
-    
-    this.logger.info(`Next run scheduled for: ${this.nextRunTime.toLocaleString()}`);
-    
-    // Set up the execution
-    setTimeout(async () => {
-      await this.executeTaskProcessor();
-      
-      // Only schedule next run if still running
-      if (this.running) {
-        // Calculate interval for next run
-        const interval = this.intervalHours * 60 * 60 * 1000;
-        this.startCountdown(interval);
-      }
-    }, delay);
+  setNextRun(run) {
+    this.nextRunTime = run.time;
+    this.nextSchedule = run.schedule;
+    this.lastCountdownLog = Date.now();
     
-    // Set up countdown logging
-    if (delay > 0) {
-      this.startCountdownLogging();
+    if (run.time.getTime() > Date.now()) {
+      this.logger.info(`Next run scheduled for: ${run.time.toLocaleString()} (${run.schedule})`);
     }
   }
   
   /**
-   * Starts logging countdown to next run
+   * Waits for the next clock check. Timers never run longer than the tick
+   * interval, so a suspended machine or a drifting timer only delays a run
+   * until the next check rather than by the whole remaining time.
    */
-  startCountdownLogging() {
-    // Log countdown once per minute
-    this.countdownInterval = setInterval(() => {
-      if (!this.running || !this.nextRunTime) {
-        clearInterval(this.countdownInterval);
-        return;
+  scheduleTick() {
+    if (!this.running) return;
+    
+    const remaining = this.nextRunTime.getTime() - Date.now();
+    this.tickTimeout = setTimeout(() => this.tick(), Math.max(0, Math.min(this.tickInterval, remaining)));
+  }
+  
+  /**
+   * Compares the clock with the next run time and runs the cycle when due
+   * @returns {Promise} Resolves when the check (and any run) is done
+   */
+  async tick() {
+    this.tickTimeout = null;
+    if (!this.running) return;
+    
+    const now = Date.now();
+    const due = this.nextRunTime.getTime();
+    
+    if (now < due) {
+      if (now - this.lastCountdownLog >= COUNTDOWN_LOG_INTERVAL) {
+        this.lastCountdownLog = now;
+        this.logger.info(`Time until next run: ${this.formatTimeRemaining(due - now)}`);
       }
-      
-      const now = new Date();
-      const timeRemaining = this.nextRunTime.getTime() - now.getTime();
-      
-      if (timeRemaining <= 0) {
-        clearInterval(this.countdownInterval);
+      this.scheduleTick();
+      return;
+    }
+    
+    // Runs missed while the machine was asleep collapse into this one
+    if (now - due > this.tickInterval + COUNTDOWN_LOG_INTERVAL) {
+      this.logger.warn(`Scheduled run is ${this.formatTimeRemaining(now - due)} late, running now`);
+    }
+    
+    if (this.paused) {
+      this.logger.info('Scheduler is paused, skipping scheduled run');
+    } else {
+      await this.executeTaskProcessor(this.nextSchedule);
+    }
+    
+    // Only schedule next run if still running
+    if (this.running) {
+      try {
+        this.setNextRun(this.planNextRun(new Date()));
+      } catch (error) {
+        // Nothing awaits tick(), so a throw here would be an unhandled rejection
+        this.logger.error('Could not plan the next run, stopping the scheduler', { error: error.message });
+        this.stop();
         return;
       }
-      
-      const formattedTime = this.formatTimeRemaining(timeRemaining);
-      this.logger.info(`Time until next run: ${formattedTime}`);
-    }, 60000); // Update every minute
+      this.scheduleTick();
+    }
   }
   
   /**
    * Executes the task processor
+   * @param {string} trigger - Schedule name, or "manual" for requested runs
    * @returns {Promise} Resolves when processor completes
    */
-  async executeTaskProcessor() {
-    this.logger.info('Starting task execution cycle');
+  async executeTaskProcessor(trigger = 'manual') {
+    if (this.executing) {
+      this.logger.warn('A task execution cycle is already running, skipping');
+      return { skipped: true };
+    }
+    
+    this.logger.info(`Starting task execution cycle (${trigger})`);
+    this.executing = true;
+    this.lastRun = { trigger, startedAt: new Date(), finishedAt: null, error: null };
     this.emit('executionStarted');
     
     try {
       const results = await this.processor();
+      this.finishExecution(null);
       this.logger.info('Task execution completed successfully');
       this.emit('executionCompleted', results);
       return results;
     } catch (error) {
+      this.finishExecution(error);
       this.logger.error('Error in task execution', { 
         error: error.message,
         stack: error.stack 
@@ -177,6 +296,38 @@ class TaskScheduler extends EventEmitter {
     }
   }
   
+  /**
+   * Records the end of an execution cycle
+   * @param {Error|null} error - Error the cycle failed with, if any
+   */
+  finishExecution(error) {
+    this.executing = false;
+    this.lastRun.finishedAt = new Date();
+    this.lastRun.error = error ? error.message : null;
+  }
+  
+  /**
+   * Pauses scheduled runs (manual runs still work)
+   */
+  pause() {
+    if (this.paused) return;
+    
+    this.paused = true;
+    this.logger.info('Scheduler paused');
+    this.emit('paused');
+  }
+  
+  /**
+   * Resumes scheduled runs
+   */
+  resume() {
+    if (!this.paused) return;
+    
+    this.paused = false;
+    this.logger.info('Scheduler resumed');
+    this.emit('resumed');
+  }
+  
   /**
    * Runs the task processor once immediately
    * @returns {Promise} Resolves with execution results
@@ -191,12 +342,23 @@ class TaskScheduler extends EventEmitter {
    * @returns {Object} Scheduler status
    */
   getStatus() {
+    const now = new Date();
+    
     return {
       running: this.running,
+      paused: this.paused,
+      executing: this.executing,
+      lastRun: this.lastRun,
       nextRunTime: this.nextRunTime,
+      nextSchedule: this.nextSchedule,
       intervalHours: this.intervalHours,
+      schedules: this.schedules.map(schedule => ({
+        name: schedule.name,
+        description: schedule.description,
+        nextRunTime: schedule.getNextRunTime(now)
+      })),
       timeRemaining: this.nextRunTime
-        ? this.formatTimeRemaining(Math.max(0, this.nextRunTime.getTime() - Date.now()))
+        ? this.formatTimeRemaining(Math.max(0, this.nextRunTime.getTime() - now.getTime()))
         : null
     };
   }
@@ -8,17 +8,32 @@ const axios = require('axios');
 const { HttpsProxyAgent } = require('https-proxy-agent');
 const { retry } = require('../utils/retry');
 const config = require('../config');
+const { metrics } = require('./metrics');
+const { rateLimiter } = require('./rate-limiter');
+const { circuitBreaker } = require('./circuit-breaker');
+const { getRetryPolicies, retryBudget } = require('./retry-policy');
+const { AuthExpiredError, parseGraphqlErrors } = require('./graphql-errors');
 
 class ApiClient {
   /**
    * Create simple API client
    * @param {Object} options - Options
+   * @param {Object} options.logger - Logger instance
+   * @param {Object} options.proxyConfig - Optional proxy configuration
+   * @param {RateLimiter} options.rateLimiter - Request rate limiter (defaults to the one shared by all clients)
+   * @param {RetryBudget} options.retryBudget - Retry budget (defaults to the one shared by all clients)
+   * @param {CircuitBreaker} options.circuitBreaker - Outage detector (defaults to the one shared by all clients)
    */
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.proxyConfig = options.proxyConfig || null;
+    this.rateLimiter = options.rateLimiter || rateLimiter;
+    this.retryBudget = options.retryBudget || retryBudget;
+    this.circuitBreaker = options.circuitBreaker || circuitBreaker;
     this.token = null;
     this.privyIdToken = null;
+    this.reauthenticator = null;
+    this.reauthenticating = null;
     
     this.logger.debug('API client initialized');
   }
@@ -33,6 +48,30 @@ class ApiClient {
     this.privyIdToken = privyIdToken;
   }
   
+  /**
+   * Set the hook used to log in again when the session expires
+   * @param {Function} reauthenticator - Async function that refreshes the tokens on this client
+   */
+  setReauthenticator(reauthenticator) {
+    this.reauthenticator = reauthenticator;
+  }
+  
+  /**
+   * Runs the re-login hook, sharing one login between concurrent callers
+   * @returns {Promise} Resolves once tokens are refreshed
+   */
+  async reauthenticate() {
+    if (!this.reauthenticating) {
+      this.reauthenticating = Promise.resolve()
+        .then(() => this.reauthenticator())
+        .finally(() => {
+          this.reauthenticating = null;
+        });
+    }
+    
+    return this.reauthenticating;
+  }
+  
   /**
    * Create an agent with proxy if configured
    * @returns {Object|null} - Agent or null
@@ -54,14 +93,121 @@ class ApiClient {
     }
   }
   
+  /**
+   * Sends one HTTP request once the host's rate limit allows it, counting its
+   * status code and letting the limiter and the circuit breaker adapt to the response
+   * @param {string} api - Service name (deform or privy)
+   * @param {string} operation - Operation name or endpoint
+   * @param {string} url - Request URL (its host picks the rate limit)
+   * @param {Function} send - Function that performs the request
+   * @returns {Promise} - API response
+   * @throws {CircuitOpenError} If the circuit breaker is open (the request is not sent)
+   */
+  async trackRequest(api, operation, url, send) {
+    const host = new URL(url).host;
+    this.circuitBreaker.check();
+    await this.rateLimiter.acquire(host);
+    this.circuitBreaker.check();
+    
+    try {
+      const response = await send();
+      metrics.apiResponses.inc({ api, operation, status: response.status });
+      this.rateLimiter.update(host, response);
+      this.circuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      metrics.apiResponses.inc({ api, operation, status: error.response?.status || 'network_error' });
+      
+      if (this.circuitBreaker.recordFailure(api, error)) {
+        this.logger.error(`Circuit breaker opened: ${this.circuitBreaker.reason}`);
+      }
+      
+      if (error.response) {
+        const pause = this.rateLimiter.update(host, error.response);
+        if (error.response.status === 429) {
+          // The limiter holds back every request to the host, so the retry needs no delay of its own
+          error.rateLimitPause = pause;
+          this.logger.warn(`${api} rate limit hit during ${operation}` +
+            (pause !== null ? `, pausing requests to ${host} for ${Math.ceil(pause / 1000)}s` : ', slowing down'));
+        }
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Builds the retry options of a request from the configured policies
+   * @param {string} api - Service name (deform or privy)
+   * @param {string} operation - Operation name or endpoint
+   * @returns {Object} Options for retry()
+   */
+  getRetryOptions(api, operation) {
+    return {
+      policies: getRetryPolicies(),
+      budget: this.retryBudget,
+      logger: this.logger,
+      delayFor: ApiClient.retryDelayFor,
+      onRetry: (attempt, error, errorClass) => metrics.requestRetries.inc({ api, operation, reason: errorClass })
+    };
+  }
+  
+  /**
+   * Picks the retry delay for a failed request
+   * @param {Error} error - Request error
+   * @returns {number|null} Delay in milliseconds, or null for the default backoff
+   */
+  static retryDelayFor(error) {
+    return error.rateLimitPause != null ? 0 : null;
+  }
+  
   /**
    * Make a GraphQL request
+   * 
+   * A 401 or an authentication error in the GraphQL response triggers one
+   * re-login through the reauthenticator, after which the request is replayed.
+   * Any other GraphQL error is thrown as a typed error (see graphql-errors).
    * @param {string} operation - Operation name
    * @param {string} query - GraphQL query
    * @param {Object} variables - Variables
+   * @param {Object} options - Request options
+   * @param {boolean} options.skipReauth - Don't attempt a re-login on auth failure
    * @returns {Promise} - API response
+   * @throws {GraphqlError} If the response carries GraphQL errors
+   */
+  async graphqlRequest(operation, query, variables, options = {}) {
+    const { skipReauth = false } = options;
+    
+    const response = await this.sendGraphqlRequest(operation, query, variables);
+    const authError = parseGraphqlErrors(operation, response);
+    
+    if (!authError) {
+      return response;
+    }
+    
+    if (skipReauth || !this.reauthenticator) {
+      throw authError;
+    }
+    
+    this.logger.warn(`Session rejected during ${operation}, logging in again`);
+    await this.reauthenticate();
+    
+    const replayed = await this.sendGraphqlRequest(operation, query, variables);
+    const replayedError = parseGraphqlErrors(operation, replayed);
+    if (replayedError) {
+      throw replayedError;
+    }
+    return replayed;
+  }
+  
+  /**
+   * Sends a single GraphQL request with retries, using the current tokens
+   * @param {string} operation - Operation name
+   * @param {string} query - GraphQL query
+   * @param {Object} variables - Variables
+   * @returns {Promise} - API response (authentication failures resolve instead of throwing)
+   * @throws {GraphqlError} If the response carries any other GraphQL error
    */
-  async graphqlRequest(operation, query, variables) {
+  async sendGraphqlRequest(operation, query, variables) {
     const agent = this.createProxyAgent();
     const headers = {
       'Content-Type': 'application/json',
@@ -80,23 +226,28 @@ class ApiClient {
     
     return retry(
       async () => {
-        return axios.post(config.BASE_URL, {
+        const response = await this.trackRequest('deform', operation, config.BASE_URL, () => axios.post(config.BASE_URL, {
           operationName: operation,
           query,
           variables
         }, {
           headers,
+          // Let 401 through so it can trigger a re-login instead of retries
+          validateStatus: status => (status >= 200 && status < 300) || status === 401,
           ...(agent ? { 
             httpsAgent: agent,
             proxy: false
           } : {})
-        });
+        }));
+        
+        // Thrown here so that the retry policy of the error's class applies
+        const error = parseGraphqlErrors(operation, response);
+        if (error && !(error instanceof AuthExpiredError)) {
+          throw error;
+        }
+        return response;
       },
-      { 
-        retries: 5,
-        delay: 3000,
-        logger: this.logger
-      }
+      this.getRetryOptions('deform', operation)
     );
   }
   
@@ -122,19 +273,15 @@ class ApiClient {
     
     return retry(
       async () => {
-        return axios.post(url, data, {
+        return this.trackRequest('privy', endpoint, url, () => axios.post(url, data, {
           headers,
           ...(agent ? { 
             httpsAgent: agent,
             proxy: false
           } : {})
-        });
+        }));
       },
-      { 
-        retries: 5,
-        delay: 3000,
-        logger: this.logger
-      }
+      this.getRetryOptions('privy', endpoint)
     );
   }
 }
@@ -10,7 +10,7 @@
 const ethers = require('ethers');
 const ApiClient = require('./api-client');
 const config = require('../config');
-const { sleep } = require('../utils/retry');
+const { metrics } = require('./metrics');
 
 class AuthService {
   /**
@@ -19,9 +19,10 @@ class AuthService {
    * @param {Object} options.logger - Logger instance
    * @param {Object} options.wallet - Ethers.js wallet instance
    * @param {Object} options.proxyConfig - Optional proxy configuration
+   * @param {SessionStore} options.sessionStore - Optional store for reusing sessions
    */
   constructor(options = {}) {
-    const { logger = console, wallet, proxyConfig = null } = options;
+    const { logger = console, wallet, proxyConfig = null, sessionStore = null } = options;
     
     if (!wallet) {
       throw new Error('Wallet is required for authentication');
@@ -29,7 +30,59 @@ class AuthService {
     
     this.logger = logger;
     this.wallet = wallet;
+    this.sessionStore = sessionStore;
     this.apiClient = new ApiClient({ logger, proxyConfig });
+    
+    // Expired sessions are refreshed transparently from inside the API client
+    this.apiClient.setReauthenticator(() => {
+      metrics.authFailures.inc({ wallet: this.wallet.address, reason: 'session_rejected' });
+      return this.refreshSession();
+    });
+  }
+  
+  /**
+   * Authenticates using a cached session when possible, otherwise logs in
+   * @returns {Promise<Object>} Authentication result with tokens
+   */
+  async authenticate() {
+    const session = this.sessionStore ? this.sessionStore.load(this.wallet) : null;
+    
+    if (session) {
+      this.logger.info(`Reusing cached session for wallet: ${this.wallet.address}`, {
+        expiresAt: new Date(session.expiresAt).toISOString()
+      });
+      
+      this.apiClient.setTokens(session.deformToken, session.privyIdToken);
+      
+      return {
+        wallet: this.wallet.address,
+        privyToken: null,
+        privyIdToken: session.privyIdToken,
+        deformToken: session.deformToken,
+        apiClient: this.apiClient,
+        fromCache: true
+      };
+    }
+    
+    return this.refreshSession();
+  }
+  
+  /**
+   * Performs a full login and stores the resulting session
+   * @returns {Promise<Object>} Authentication result with tokens
+   */
+  async refreshSession() {
+    if (this.sessionStore) {
+      this.sessionStore.clear(this.wallet.address);
+    }
+    
+    const authResult = await this.login();
+    
+    if (this.sessionStore) {
+      this.sessionStore.save(this.wallet, authResult);
+    }
+    
+    return authResult;
   }
   
   /**
@@ -67,6 +120,9 @@ class AuthService {
     try {
       this.logger.info(`Starting authentication for wallet: ${this.wallet.address}`);
       
+      // Drop any stale tokens so the login requests go out unauthenticated
+      this.apiClient.setTokens(null, null);
+      
       // Step 1: Get authentication nonce
       const nonceResponse = await this.apiClient.privyRequest('/init', {
         address: this.wallet.address
@@ -87,9 +143,6 @@ class AuthService {
       const signature = await this.wallet.signMessage(message);
       this.logger.info('Message signed successfully');
       
-      // Add delay between requests
-      await sleep(1000);
-      
       // Step 4: Authenticate with Privy
       const privyResponse = await this.apiClient.privyRequest('/authenticate', {
         message,
@@ -109,9 +162,6 @@ class AuthService {
       
       this.logger.info('Privy authentication successful');
       
-      // Add delay between requests
-      await sleep(1000);
-      
       // Step 5: Login to Deform with Privy token
       const deformResponse = await this.apiClient.graphqlRequest(
         "UserLogin",
@@ -122,7 +172,8 @@ class AuthService {
           data: {
             externalAuthToken: privyToken
           }
-        }
+        },
+        { skipReauth: true }
       );
       
       if (!deformResponse.data?.data?.userLogin) {
@@ -220,7 +271,8 @@ Resources:
           data: {
             externalAuthToken: privyToken
           }
-        }
+        },
+        { skipReauth: true }
       );
       
       if (!response.data?.data?.userLogin) {
@@ -0,0 +1,163 @@
+/**
+ * Activity Availability
+ *
+ * Decides whether an activity can be verified now, and explains why:
+ * - Hidden activities and activities outside their start/end window are unavailable
+ * - One-off activities are available until they are completed
+ * - Recurring activities (recurringPeriod of HOUR, DAY, WEEK or MONTH with any
+ *   count) become available again once `count` periods have started since the
+ *   last completion, e.g. { type: 'WEEK', count: 2 } means every other week
+ * - recurringMaxCount caps the total number of completions
+ *
+ * Periods follow calendar boundaries (weeks start on Monday) in UTC, or in
+ * the campaign's time zone when CAMPAIGN_TIMEZONE is set.
+ */
+
+const config = require('../config');
+const { isTimeZone } = require('../utils/time-zone');
+
+const DAY = 24 * 60 * 60 * 1000;
+const RECURRING_PERIODS = ['HOUR', 'DAY', 'WEEK', 'MONTH'];
+
+/**
+ * Checks whether a record counts as a completion
+ * @param {Object} record - Activity record
+ * @returns {boolean} True if the record or one of its rewards completed
+ */
+function isCompletion(record) {
+  return record.status === 'COMPLETED' ||
+    Boolean(record.rewardRecords?.some(reward => reward.status === 'COMPLETED'));
+}
+
+class AvailabilityEngine {
+  /**
+   * Creates a new availability engine
+   * @param {Object} options - Engine options
+   * @param {string} options.timezone - Time zone that period boundaries follow
+   */
+  constructor(options = {}) {
+    const { timezone = config.CAMPAIGN_TIMEZONE } = options;
+
+    if (!isTimeZone(timezone)) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+
+    this.timezone = timezone;
+    this.formatter = timezone === 'UTC' ? null : new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric'
+    });
+  }
+
+  /**
+   * Gets the calendar date and hour of a moment in the engine's time zone
+   * @param {Date} date - Moment
+   * @returns {Object} { year, month (1-12), day, hour }
+   */
+  getCalendarParts(date) {
+    if (!this.formatter) {
+      return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours()
+      };
+    }
+
+    const parts = Object.fromEntries(
+      this.formatter.formatToParts(date).map(part => [part.type, Number(part.value)])
+    );
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour };
+  }
+
+  /**
+   * Numbers the calendar period a moment falls in, so that consecutive
+   * periods have consecutive indexes
+   * @param {Date} date - Moment
+   * @param {string} type - HOUR, DAY, WEEK or MONTH
+   * @returns {number} Period index
+   */
+  getPeriodIndex(date, type) {
+    const { year, month, day, hour } = this.getCalendarParts(date);
+    const dayIndex = Math.floor(Date.UTC(year, month - 1, day) / DAY);
+
+    switch (type) {
+      case 'HOUR':
+        return dayIndex * 24 + hour;
+      case 'DAY':
+        return dayIndex;
+      case 'WEEK':
+        // Day 0 (1970-01-01) was a Thursday; shift so weeks start on Monday
+        return Math.floor((dayIndex + 3) / 7);
+      case 'MONTH':
+        return year * 12 + (month - 1);
+      default:
+        throw new Error(`Unsupported recurring period: ${type}`);
+    }
+  }
+
+  /**
+   * Decides whether an activity is available
+   * @param {Object} activity - Activity from CampaignActivitiesPanel
+   * @param {Date} now - Reference time
+   * @returns {Object} { available, reason, message }
+   */
+  evaluate(activity, now = new Date()) {
+    const result = (available, reason, message) => ({ available, reason, message });
+
+    if (activity.isHidden) {
+      return result(false, 'hidden', 'Activity is hidden');
+    }
+
+    if (activity.startDateTimeAt && new Date(activity.startDateTimeAt) > now) {
+      return result(false, 'not_started', `Starts at ${new Date(activity.startDateTimeAt).toISOString()}`);
+    }
+
+    if (activity.endDateTimeAt && new Date(activity.endDateTimeAt) <= now) {
+      return result(false, 'ended', `Ended at ${new Date(activity.endDateTimeAt).toISOString()}`);
+    }
+
+    const completions = (activity.records || [])
+      .filter(isCompletion)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (completions.length === 0) {
+      return result(true, 'not_completed', 'Not completed yet');
+    }
+
+    const maxCount = activity.recurringMaxCount;
+    if (maxCount && completions.length >= maxCount) {
+      return result(false, 'max_count_reached', `Completed ${completions.length} of ${maxCount} allowed times`);
+    }
+
+    const period = activity.recurringPeriod;
+    if (!period) {
+      return result(false, 'completed', 'Already completed');
+    }
+
+    if (!RECURRING_PERIODS.includes(period.type)) {
+      return result(false, 'completed', `Already completed (unsupported recurring period ${period.type})`);
+    }
+
+    const count = Math.max(1, period.count || 1);
+    const unit = period.type.toLowerCase();
+    const every = `every ${count > 1 ? `${count} ${unit}s` : unit} (${this.timezone})`;
+    const lastCompletion = new Date(completions[0].createdAt);
+    const periodsSince = this.getPeriodIndex(now, period.type) - this.getPeriodIndex(lastCompletion, period.type);
+
+    if (periodsSince >= count) {
+      return result(true, 'new_period', `Last completed ${lastCompletion.toISOString()}, recurs ${every}`);
+    }
+
+    return result(false, 'completed_this_period', `Completed ${lastCompletion.toISOString()}, recurs ${every}`);
+  }
+}
+
+module.exports = {
+  AvailabilityEngine,
+  isCompletion
+};
@@ -0,0 +1,151 @@
+/**
+ * Circuit Breaker
+ *
+ * Detects an outage of the Privy or Deform API during a cycle. Every request
+ * reports whether the server answered; after CIRCUIT_BREAKER_THRESHOLD
+ * consecutive upstream failures (network errors, timeouts and 5xx responses)
+ * the breaker opens:
+ * - Requests of every wallet fail at once with a CircuitOpenError, without
+ *   retries
+ * - Wallets that haven't started yet are deferred to a retry run, which the
+ *   scheduler brings forward to CIRCUIT_BREAKER_RETRY_MINUTES from now
+ *
+ * Any answer from the server, even an error, closes the count again. The
+ * breaker is shared by every API client and reset at the start of each cycle.
+ */
+
+const config = require('../config');
+const { classifyError } = require('../utils/retry');
+
+// Failures that mean the API itself is unavailable, rather than rejecting a request
+const UPSTREAM_FAILURES = ['network', 'timeout', 'server'];
+
+/**
+ * Checks whether a request failed because the API is unavailable: an upstream
+ * failure, or a request refused by the open breaker
+ * @param {Error} error - Request error
+ * @returns {boolean} True if the API is unavailable
+ */
+function isUpstreamFailure(error) {
+  return error instanceof CircuitOpenError || UPSTREAM_FAILURES.includes(classifyError(error));
+}
+
+class CircuitOpenError extends Error {
+  /**
+   * Creates a new circuit open error
+   * @param {string} reason - Why the breaker opened
+   */
+  constructor(reason) {
+    super(`API unavailable, request not sent: ${reason}`);
+    this.name = 'CircuitOpenError';
+    this.reason = reason;
+    this.code = 'CIRCUIT_OPEN';
+    this.retryClass = 'fatal';
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * Creates a new circuit breaker
+   * @param {Object} options - Breaker options
+   * @param {number|null} options.threshold - Consecutive upstream failures that open the breaker
+   *   (0 disables it; null follows CIRCUIT_BREAKER_THRESHOLD)
+   */
+  constructor(options = {}) {
+    const { threshold = null } = options;
+
+    this.threshold = threshold;
+    this.reset();
+  }
+
+  /**
+   * Gets the configured failure threshold
+   * @returns {number} Consecutive failures (0 means disabled)
+   */
+  getThreshold() {
+    return this.threshold ?? config.CIRCUIT_BREAKER_THRESHOLD ?? 0;
+  }
+
+  /**
+   * Closes the breaker and clears the failure count, at the start of a cycle
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.reason = null;
+  }
+
+  /**
+   * Checks whether the breaker is open
+   * @returns {boolean} True if requests are being refused
+   */
+  isOpen() {
+    return this.openedAt !== null;
+  }
+
+  /**
+   * Throws if the breaker is open
+   * @throws {CircuitOpenError} If requests are being refused
+   */
+  check() {
+    if (this.isOpen()) {
+      throw new CircuitOpenError(this.reason);
+    }
+  }
+
+  /**
+   * Records a request the server answered
+   */
+  recordSuccess() {
+    if (!this.isOpen()) {
+      this.failures = 0;
+    }
+  }
+
+  /**
+   * Records a failed request, opening the breaker once the threshold is reached
+   * @param {string} api - Service name (deform or privy)
+   * @param {Error} error - Request error
+   * @returns {boolean} True if this failure opened the breaker
+   */
+  recordFailure(api, error) {
+    if (!isUpstreamFailure(error)) {
+      this.recordSuccess();
+      return false;
+    }
+
+    this.failures++;
+    const threshold = this.getThreshold();
+
+    if (this.isOpen() || threshold === 0 || this.failures < threshold) {
+      return false;
+    }
+
+    this.openedAt = new Date();
+    this.reason = `${this.failures} consecutive ${api} failures, last: ${error.message}`;
+    return true;
+  }
+
+  /**
+   * Describes the breaker
+   * @returns {Object} { open, failures, openedAt, reason }
+   */
+  getStatus() {
+    return {
+      open: this.isOpen(),
+      failures: this.failures,
+      openedAt: this.openedAt ? this.openedAt.toISOString() : null,
+      reason: this.reason
+    };
+  }
+}
+
+// Shared by every API client in the process
+const circuitBreaker = new CircuitBreaker();
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  circuitBreaker,
+  isUpstreamFailure
+};
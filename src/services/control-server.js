@@ -0,0 +1,225 @@
+/**
+ * Control Server
+ *
+ * Opt-in HTTP API for inspecting and steering the running daemon:
+ * - GET /status, /wallets and /runs/latest
+ * - POST /run-now, /pause and /resume
+ *
+ * Every request must carry the configured token as "Authorization: Bearer <token>".
+ * The server binds to localhost unless another host is configured.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config');
+
+class ControlServer {
+  /**
+   * Creates a new control server
+   * @param {Object} options - Server options
+   * @param {Object} options.logger - Logger instance
+   * @param {TaskScheduler} options.scheduler - Scheduler of the daemon
+   * @param {TaskProcessor} options.processor - Processor the scheduler runs
+   * @param {string} options.token - Token clients must send
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      scheduler,
+      processor,
+      token = config.CONTROL_TOKEN,
+      port = config.CONTROL_PORT,
+      host = config.CONTROL_HOST
+    } = options;
+
+    if (!scheduler || !processor) {
+      throw new Error('Scheduler and processor are required for the control server');
+    }
+
+    if (!token) {
+      throw new Error('CONTROL_TOKEN must be set to enable the control API');
+    }
+
+    this.logger = logger;
+    this.scheduler = scheduler;
+    this.processor = processor;
+    this.token = token;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.url = null;
+    this.startedAt = new Date();
+
+    this.routes = {
+      'GET /status': () => this.getStatus(),
+      'GET /wallets': () => this.getWallets(),
+      'GET /runs/latest': () => this.getLatestRun(),
+      'POST /run-now': () => this.runNow(),
+      'POST /pause': () => this.setPaused(true),
+      'POST /resume': () => this.setPaused(false)
+    };
+  }
+
+  /**
+   * Starts listening
+   * @returns {Promise<ControlServer>} Resolves once the server is listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        this.logger.error(`Control API request failed: ${req.method} ${req.url}`, { error: error.message });
+        if (!res.headersSent) this.send(res, 500, { error: 'Internal error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        this.logger.info(`Control API listening on ${this.url}`);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise} Resolves once the server is closed
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Checks the request's bearer token in constant time
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if the token matches
+   */
+  isAuthorized(req) {
+    const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+    const expected = Buffer.from(this.token);
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Sends a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {Object} body - Response body
+   */
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Handles an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    // Requests carry no body we need; drain it so the socket is reused
+    req.resume();
+
+    if (!this.isAuthorized(req)) {
+      return this.send(res, 401, { error: 'Unauthorized' });
+    }
+
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      return this.send(res, 400, { error: 'Malformed request path' });
+    }
+
+    const route = this.routes[`${req.method} ${pathname}`];
+
+    if (!route) {
+      return this.send(res, 404, { error: `No route for ${req.method} ${pathname}` });
+    }
+
+    try {
+      const { status = 200, body } = await route();
+      this.send(res, status, body);
+    } catch (error) {
+      this.logger.error(`Control API request failed: ${req.method} ${pathname}`, { error: error.message });
+      this.send(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * GET /status
+   * @returns {Object} Scheduler status and the latest run's totals
+   */
+  getStatus() {
+    const report = this.processor.getLatestReport();
+
+    return {
+      body: {
+        ...this.scheduler.getStatus(),
+        uptimeSeconds: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+        wallets: this.processor.wallets.length,
+        latestRun: report ? { runId: report.runId, finishedAt: report.finishedAt, totals: report.totals } : null
+      }
+    };
+  }
+
+  /**
+   * GET /wallets
+   * @returns {Promise<Object>} Wallet summaries
+   */
+  async getWallets() {
+    return { body: { wallets: await this.processor.describeWallets() } };
+  }
+
+  /**
+   * GET /runs/latest
+   * @returns {Object} Latest run report, or 404
+   */
+  getLatestRun() {
+    const report = this.processor.getLatestReport();
+    return report
+      ? { body: report }
+      : { status: 404, body: { error: 'No run has been reported yet' } };
+  }
+
+  /**
+   * POST /run-now - starts a cycle in the background
+   * @returns {Object} 202 once started, or 409 if a cycle is already running
+   */
+  runNow() {
+    if (this.scheduler.executing) {
+      return { status: 409, body: { error: 'A cycle is already running' } };
+    }
+
+    this.logger.info('Run requested through the control API');
+    this.scheduler.runOnce();
+
+    return { status: 202, body: { started: true } };
+  }
+
+  /**
+   * POST /pause and POST /resume
+   * @param {boolean} paused - Whether scheduled runs should be paused
+   * @returns {Object} Updated scheduler status
+   */
+  setPaused(paused) {
+    if (paused) {
+      this.scheduler.pause();
+    } else {
+      this.scheduler.resume();
+    }
+
+    return { body: this.scheduler.getStatus() };
+  }
+}
+
+module.exports = ControlServer;
@@ -0,0 +1,159 @@
+/**
+ * GraphQL Errors
+ *
+ * Deform answers most failures with HTTP 200 and an "errors" list. These
+ * classes turn that list into typed errors carrying the server's reason
+ * (its message) and code (extensions.code):
+ * - AuthExpiredError: the session was rejected; ApiClient logs in again
+ * - AlreadyCompletedError: the activity was already completed in this period
+ * - ActivityNotEligibleError: the wallet may not complete the activity
+ * - RateLimitedError: the server is throttling requests; retried like a 429
+ * - GraphqlError: anything else
+ *
+ * Each error names the retry class (see utils/retry) it should be handled as.
+ */
+
+class GraphqlError extends Error {
+  /**
+   * Creates a new GraphQL error
+   * @param {string} operation - GraphQL operation that failed
+   * @param {Object} error - First entry of the response's errors list
+   * @param {Array} errors - Every entry of the errors list
+   */
+  constructor(operation, error = {}, errors = [error]) {
+    const reason = error.message || 'Unknown GraphQL error';
+    const code = error.extensions?.code || null;
+
+    super(`${operation} failed: ${reason}${code ? ` (${code})` : ''}`);
+    this.name = this.constructor.name;
+    this.operation = operation;
+    this.reason = reason;
+    this.code = code;
+    this.errors = errors;
+    this.retryClass = code === 'INTERNAL_SERVER_ERROR' ? 'server' : 'fatal';
+  }
+}
+
+class AuthExpiredError extends GraphqlError {
+  /**
+   * Creates a new authentication error
+   * @param {string} operation - GraphQL operation that failed
+   * @param {Object} error - First entry of the response's errors list
+   * @param {Array} errors - Every entry of the errors list
+   */
+  constructor(operation, error, errors) {
+    super(operation, error, errors);
+    this.message = `Authentication failed: ${this.reason}`;
+    this.code = this.code || 'UNAUTHENTICATED';
+    this.retryClass = 'auth';
+  }
+}
+
+class AlreadyCompletedError extends GraphqlError {}
+
+class ActivityNotEligibleError extends GraphqlError {}
+
+class RateLimitedError extends GraphqlError {
+  /**
+   * Creates a new rate limit error
+   * @param {string} operation - GraphQL operation that failed
+   * @param {Object} error - First entry of the response's errors list
+   * @param {Array} errors - Every entry of the errors list
+   */
+  constructor(operation, error, errors) {
+    super(operation, error, errors);
+    this.retryClass = 'rate_limit';
+  }
+}
+
+// Checked in order; an error matches by its code or, failing that, its message
+const ERROR_TYPES = [
+  {
+    ErrorClass: AuthExpiredError,
+    codes: ['UNAUTHENTICATED', 'UNAUTHORIZED'],
+    message: /unauthori[sz]ed|unauthenticated|jwt expired|invalid token/i
+  },
+  {
+    ErrorClass: RateLimitedError,
+    codes: ['RATE_LIMITED', 'TOO_MANY_REQUESTS', 'THROTTLED'],
+    message: /rate.?limit|too many requests|throttl/i
+  },
+  {
+    ErrorClass: AlreadyCompletedError,
+    codes: ['ALREADY_COMPLETED', 'ALREADY_VERIFIED', 'ALREADY_CLAIMED'],
+    message: /already (been )?(completed|verified|claimed)/i
+  },
+  {
+    ErrorClass: ActivityNotEligibleError,
+    codes: ['NOT_ELIGIBLE', 'INELIGIBLE', 'ACTIVITY_NOT_AVAILABLE', 'ACTIVITY_ENDED', 'PRECONDITION_FAILED'],
+    message: /not eligible|ineligible|not available|has ended|not started yet|requirements? not met/i
+  }
+];
+
+/**
+ * Finds the error class of a GraphQL error entry
+ * @param {Object} error - Entry of a response's errors list
+ * @returns {Function} Error class
+ */
+function getErrorClass(error) {
+  const code = error?.extensions?.code;
+  const type = ERROR_TYPES.find(candidate => candidate.codes.includes(code)) ||
+    ERROR_TYPES.find(candidate => candidate.message.test(error?.message || ''));
+
+  return type ? type.ErrorClass : GraphqlError;
+}
+
+/**
+ * Turns the errors list of a GraphQL response into a typed error
+ * @param {string} operation - GraphQL operation
+ * @param {Object} response - Axios response
+ * @returns {GraphqlError|null} Typed error, or null if the response has no errors
+ */
+function parseGraphqlErrors(operation, response) {
+  const errors = response?.data?.errors;
+
+  if (response?.status === 401) {
+    const first = Array.isArray(errors) && errors[0] ? errors[0] : { message: `Request failed with status code 401` };
+    return new AuthExpiredError(operation, first, errors || []);
+  }
+
+  if (!Array.isArray(errors) || errors.length === 0) return null;
+
+  // An authentication failure anywhere in the list outranks the first error
+  const auth = errors.find(error => getErrorClass(error) === AuthExpiredError);
+  const first = auth || errors[0];
+  const ErrorClass = getErrorClass(first);
+  return new ErrorClass(operation, first, errors);
+}
+
+/**
+ * Describes why a request failed, for task results and reports
+ * @param {Error} error - Error thrown by the request
+ * @returns {Object} { error, code, reason }: the message, the server's code
+ *   (or the HTTP status or network error code) and the server's own message, if any
+ */
+function describeFailure(error) {
+  if (error instanceof GraphqlError) {
+    return { error: error.message, code: error.code, reason: error.reason };
+  }
+
+  const status = error?.response?.status;
+  if (status) {
+    const data = error.response.data;
+    const reason = typeof data === 'string' ? data : data?.error || data?.message || null;
+    return { error: error.message, code: `HTTP_${status}`, reason: reason ? String(reason) : null };
+  }
+
+  return { error: error?.message || String(error), code: error?.code || null, reason: null };
+}
+
+module.exports = {
+  GraphqlError,
+  AuthExpiredError,
+  AlreadyCompletedError,
+  ActivityNotEligibleError,
+  RateLimitedError,
+  getErrorClass,
+  parseGraphqlErrors,
+  describeFailure
+};
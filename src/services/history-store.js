@@ -0,0 +1,224 @@
+/**
+ * Task History Store
+ *
+ * Persists every verify attempt to a JSON-lines file so that:
+ * - Results survive between cycles and restarts
+ * - Later cycles, reports and commands can query past attempts
+ * - Each line is an independent record (safe to append, easy to inspect)
+ *
+ * Point balances fetched after each wallet are kept in a second file so the
+ * summary can show how a wallet's balance changed since the last cycle.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const HISTORY_FILE_NAME = 'task-history.jsonl';
+const BALANCE_FILE_NAME = 'balance-history.jsonl';
+
+class HistoryStore {
+  /**
+   * Creates a new history store
+   * @param {Object} options - Store options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.dataDir - Directory holding the history file
+   */
+  constructor(options = {}) {
+    const { logger = console, dataDir = config.DATA_DIR } = options;
+
+    this.logger = logger;
+    this.dataDir = dataDir;
+    this.filePath = path.join(dataDir, HISTORY_FILE_NAME);
+    this.balanceFilePath = path.join(dataDir, BALANCE_FILE_NAME);
+  }
+
+  /**
+   * Ensures the data directory exists
+   */
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Records a single verify attempt
+   * @param {Object} entry - Attempt details
+   * @param {string} entry.wallet - Wallet address
+   * @param {string} entry.campaignId - Campaign the activity belongs to
+   * @param {string} entry.activityId - Activity ID
+   * @param {string} entry.title - Activity title
+   * @param {string} entry.type - Activity type
+   * @param {string} entry.status - Resulting record status (or FAILED)
+   * @param {number} entry.points - Points awarded
+   * @param {Array} entry.rewardRecords - Reward records returned by the server
+   * @param {string|null} entry.error - Error message if the attempt failed
+   * @param {Object|null} entry.details - Handler-specific details, e.g. { answersAccepted } for quizzes
+   * @param {string} entry.runId - Identifier of the cycle that made the attempt
+   * @returns {Object} Stored record
+   */
+  recordAttempt(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      runId: entry.runId || null,
+      wallet: entry.wallet,
+      campaignId: entry.campaignId || null,
+      activityId: entry.activityId,
+      title: entry.title || null,
+      type: entry.type || null,
+      status: entry.status || 'FAILED',
+      points: entry.points || 0,
+      rewardRecords: entry.rewardRecords || [],
+      error: entry.error || null,
+      details: entry.details || null
+    };
+
+    this.appendRecord(this.filePath, record);
+    return record;
+  }
+
+  /**
+   * Appends one record to a JSON-lines file
+   * @param {string} filePath - File to append to
+   * @param {Object} record - Record to store
+   */
+  appendRecord(filePath, record) {
+    try {
+      this.ensureDataDirectory();
+      fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    } catch (error) {
+      // History is best effort; never fail a task because it couldn't be recorded
+      this.logger.warn('Could not write task history', {
+        file: filePath,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reads every record of a JSON-lines file
+   * @param {string} filePath - File to read
+   * @returns {Array<Object>} Stored records in insertion order
+   */
+  readRecords(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          this.logger.warn('Skipping malformed task history line', {
+            file: filePath,
+            error: error.message
+          });
+          return null;
+        }
+      })
+      .filter(record => record);
+  }
+
+  /**
+   * Reads all stored records
+   * @returns {Array<Object>} Stored records in insertion order
+   */
+  readAll() {
+    return this.readRecords(this.filePath);
+  }
+
+  /**
+   * Queries stored records
+   * @param {Object} filter - Query filter
+   * @param {string} filter.wallet - Only records for this wallet address
+   * @param {string} filter.campaignId - Only records for this campaign
+   * @param {string} filter.activityId - Only records for this activity
+   * @param {string} filter.status - Only records with this status
+   * @param {string} filter.runId - Only records from this cycle
+   * @param {Date|string} filter.since - Only records at or after this time
+   * @param {number} filter.limit - Return only the most recent N records
+   * @returns {Array<Object>} Matching records, oldest first
+   */
+  query(filter = {}) {
+    const { wallet, campaignId, activityId, status, runId, since, limit } = filter;
+    const sinceTime = since ? new Date(since).getTime() : null;
+
+    const records = this.readAll().filter(record => {
+      if (wallet && record.wallet?.toLowerCase() !== wallet.toLowerCase()) return false;
+      if (campaignId && record.campaignId !== campaignId) return false;
+      if (activityId && record.activityId !== activityId) return false;
+      if (status && record.status !== status) return false;
+      if (runId && record.runId !== runId) return false;
+      if (sinceTime !== null && new Date(record.timestamp).getTime() < sinceTime) return false;
+      return true;
+    });
+
+    return limit ? records.slice(-limit) : records;
+  }
+
+  /**
+   * Gets the most recent attempt for a wallet and activity
+   * @param {string} wallet - Wallet address
+   * @param {string} activityId - Activity ID
+   * @returns {Object|null} Latest attempt or null
+   */
+  getLastAttempt(wallet, activityId) {
+    const [record] = this.query({ wallet, activityId, limit: 1 });
+    return record || null;
+  }
+
+  /**
+   * Gets the most recent completed attempt for a wallet and activity
+   * @param {string} wallet - Wallet address
+   * @param {string} activityId - Activity ID
+   * @returns {Object|null} Latest completion or null
+   */
+  getLastCompletion(wallet, activityId) {
+    const [record] = this.query({ wallet, activityId, status: 'COMPLETED', limit: 1 });
+    return record || null;
+  }
+
+  /**
+   * Records a wallet's point balance and rank in a campaign
+   * @param {Object} entry - Balance details
+   * @param {string} entry.wallet - Wallet address
+   * @param {string} entry.campaignId - Campaign ID
+   * @param {number} entry.points - Total points in the campaign
+   * @param {number|null} entry.rank - Leaderboard rank
+   * @param {string} entry.runId - Identifier of the cycle that fetched the balance
+   * @returns {Object} Stored record
+   */
+  recordBalance(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      runId: entry.runId || null,
+      wallet: entry.wallet,
+      campaignId: entry.campaignId || null,
+      points: entry.points || 0,
+      rank: entry.rank ?? null
+    };
+
+    this.appendRecord(this.balanceFilePath, record);
+    return record;
+  }
+
+  /**
+   * Gets the most recent balance recorded for a wallet and campaign
+   * @param {string} wallet - Wallet address
+   * @param {string} campaignId - Campaign ID
+   * @returns {Object|null} Latest balance or null
+   */
+  getLastBalance(wallet, campaignId) {
+    const balances = this.readRecords(this.balanceFilePath).filter(record =>
+      record.wallet?.toLowerCase() === wallet.toLowerCase() && record.campaignId === campaignId
+    );
+
+    return balances[balances.length - 1] || null;
+  }
+}
+
+module.exports = HistoryStore;
@@ -0,0 +1,371 @@
+/**
+ * Key Store
+ *
+ * Loads wallet private keys from one of the supported sources, in order:
+ * - An encrypted vault file holding all keys (scrypt + AES-256-GCM)
+ * - A directory of ethers JSON keystore (V3) files
+ * - The plaintext key file (pk.txt), with a permission check
+ *
+ * Encrypted sources are unlocked with a passphrase taken from an environment
+ * variable, a file descriptor, or an interactive prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ethers = require('ethers');
+const config = require('../config');
+const { isInteractive, promptHidden } = require('../utils/prompt');
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+const PASSPHRASE_ENV = 'OFC_KEYSTORE_PASSPHRASE';
+const PASSPHRASE_FD_ENV = 'OFC_KEYSTORE_PASSPHRASE_FD';
+
+/**
+ * Derives a vault key from a passphrase
+ * @param {string} passphrase - Vault passphrase
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt cost parameters
+ * @returns {Promise<Buffer>} 256-bit key
+ */
+function deriveVaultKey(passphrase, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+/**
+ * Normalizes and validates a private key
+ * @param {string} privateKey - Hex private key, with or without 0x prefix
+ * @returns {string} 0x-prefixed private key
+ */
+function normalizePrivateKey(privateKey) {
+  const key = privateKey.trim().startsWith('0x') ? privateKey.trim() : `0x${privateKey.trim()}`;
+  // Throws on anything that isn't a valid secp256k1 key
+  return new ethers.Wallet(key).privateKey;
+}
+
+/**
+ * Checks that a file holding plaintext private keys is private to its owner
+ * @param {string} filePath - Key file path
+ * @param {Object} options - Check options
+ * @param {boolean} options.strict - Throw instead of warning
+ * @param {Object} options.logger - Logger for the warning
+ * @param {string} options.advice - How to store the keys safely, after "run chmod 600 FILE or"
+ * @throws {Error} When permissions are loose and strict mode is enabled
+ */
+function checkKeyFilePermissions(filePath, options = {}) {
+  const { strict = false, logger = console, advice = 'import it into a vault with "keys import"' } = options;
+
+  if (process.platform === 'win32' || !fs.existsSync(filePath)) return;
+
+  const mode = fs.statSync(filePath).mode & 0o777;
+  if ((mode & 0o077) === 0) return;
+
+  const message = `Private key file ${filePath} is accessible by other users ` +
+    `(mode ${mode.toString(8)}); run "chmod 600 ${filePath}" or ${advice}`;
+
+  if (strict) {
+    throw new Error(message);
+  }
+
+  logger.warn(message);
+}
+
+class KeyStore {
+  /**
+   * Creates a new key store
+   * @param {Object} options - Key store options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.walletsFile - Plaintext key file
+   * @param {string} options.keystoreDir - Directory of V3 keystore files
+   * @param {string} options.vaultFile - Encrypted vault file
+   * @param {boolean} options.strictPermissions - Refuse plaintext keys with loose permissions
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      walletsFile = config.WALLETS_FILE,
+      keystoreDir = config.KEYSTORE_DIR,
+      vaultFile = config.VAULT_FILE,
+      strictPermissions = config.STRICT_KEY_PERMISSIONS
+    } = options;
+
+    this.logger = logger;
+    this.walletsFile = walletsFile;
+    this.keystoreDir = keystoreDir;
+    this.vaultFile = vaultFile;
+    this.strictPermissions = strictPermissions;
+    this.passphrase = null;
+  }
+
+  /**
+   * Lists V3 keystore files in the keystore directory
+   * @returns {string[]} Keystore file paths
+   */
+  getKeystoreFiles() {
+    if (!fs.existsSync(this.keystoreDir)) return [];
+
+    return fs.readdirSync(this.keystoreDir)
+      .filter(name => !name.startsWith('.'))
+      .map(name => path.join(this.keystoreDir, name))
+      .filter(filePath => fs.statSync(filePath).isFile());
+  }
+
+  /**
+   * Determines which key source is in use
+   * @returns {string|null} 'vault', 'keystore', 'plaintext' or null
+   */
+  getSource() {
+    if (fs.existsSync(this.vaultFile)) return 'vault';
+    if (this.getKeystoreFiles().length > 0) return 'keystore';
+    if (fs.existsSync(this.walletsFile)) return 'plaintext';
+    return null;
+  }
+
+  /**
+   * Resolves the unlock passphrase
+   * @param {Object} options - Passphrase options
+   * @param {string} options.message - Prompt text for interactive entry
+   * @param {boolean} options.confirm - Ask twice when prompting (for new passphrases)
+   * @param {boolean} options.useEnvironment - Accept the env var / file descriptor sources
+   * @returns {Promise<string>} Passphrase
+   */
+  async getPassphrase(options = {}) {
+    const {
+      message = 'Keystore passphrase: ',
+      confirm = false,
+      useEnvironment = true
+    } = options;
+
+    if (useEnvironment && process.env[PASSPHRASE_ENV]) {
+      return process.env[PASSPHRASE_ENV];
+    }
+
+    if (useEnvironment && process.env[PASSPHRASE_FD_ENV]) {
+      const fd = parseInt(process.env[PASSPHRASE_FD_ENV], 10);
+      if (isNaN(fd)) {
+        throw new Error(`${PASSPHRASE_FD_ENV} must be a file descriptor number`);
+      }
+      return fs.readFileSync(fd, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    if (!isInteractive()) {
+      throw new Error(
+        `A passphrase is required: set ${PASSPHRASE_ENV} or ${PASSPHRASE_FD_ENV}, or run interactively`
+      );
+    }
+
+    const passphrase = await promptHidden(message);
+    if (!passphrase) {
+      throw new Error('Passphrase must not be empty');
+    }
+
+    if (confirm && await promptHidden('Confirm passphrase: ') !== passphrase) {
+      throw new Error('Passphrases do not match');
+    }
+
+    return passphrase;
+  }
+
+  /**
+   * Gets the unlock passphrase, asking only once per key store
+   * @returns {Promise<string>} Passphrase
+   */
+  async unlock() {
+    if (!this.passphrase) {
+      this.passphrase = await this.getPassphrase();
+    }
+    return this.passphrase;
+  }
+
+  /**
+   * Checks the permissions of the plaintext key file
+   * @throws {Error} When permissions are loose and strict mode is enabled
+   */
+  checkPlaintextPermissions() {
+    checkKeyFilePermissions(this.walletsFile, { strict: this.strictPermissions, logger: this.logger });
+  }
+
+  /**
+   * Reads plaintext keys from a file
+   * @param {string} filePath - Key file path
+   * @returns {string[]} Private keys
+   */
+  readPlaintextKeys(filePath = this.walletsFile) {
+    if (!fs.existsSync(filePath)) return [];
+
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .map(pk => pk.trim())
+      .filter(pk => pk);
+  }
+
+  /**
+   * Decrypts the vault file
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<string[]>} Private keys
+   */
+  async readVault(passphrase) {
+    const vault = JSON.parse(fs.readFileSync(this.vaultFile, 'utf8'));
+
+    if (vault.version !== VAULT_VERSION) {
+      throw new Error(`Unsupported vault version: ${vault.version}`);
+    }
+
+    const key = await deriveVaultKey(passphrase, Buffer.from(vault.salt, 'base64'), vault.kdfParams);
+
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(vault.ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+
+      return JSON.parse(plaintext).privateKeys;
+    } catch (error) {
+      throw new Error('Could not unlock vault: wrong passphrase or corrupted file');
+    }
+  }
+
+  /**
+   * Encrypts keys into the vault file
+   * @param {string[]} privateKeys - Private keys to store
+   * @param {string} passphrase - Vault passphrase
+   * @returns {Promise<void>}
+   */
+  async writeVault(privateKeys, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await deriveVaultKey(passphrase, salt, SCRYPT_PARAMS);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify({ privateKeys }), 'utf8'),
+      cipher.final()
+    ]);
+
+    const vault = {
+      version: VAULT_VERSION,
+      kdf: 'scrypt',
+      kdfParams: SCRYPT_PARAMS,
+      cipher: CIPHER,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    };
+
+    // Write to a temp file first so a crash can't leave a half-written vault
+    const tempFile = `${this.vaultFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(vault, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, this.vaultFile);
+  }
+
+  /**
+   * Decrypts all V3 keystore files
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<string[]>} Private keys
+   */
+  async readKeystoreFiles(passphrase) {
+    const privateKeys = [];
+
+    for (const filePath of this.getKeystoreFiles()) {
+      try {
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(filePath, 'utf8'), passphrase);
+        privateKeys.push(wallet.privateKey);
+      } catch (error) {
+        throw new Error(`Could not decrypt keystore ${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+
+    return privateKeys;
+  }
+
+  /**
+   * Encrypts keys into V3 keystore files, one per address
+   * @param {string[]} privateKeys - Private keys to store
+   * @param {string} passphrase - Keystore passphrase
+   * @returns {Promise<string[]>} Written file paths
+   */
+  async writeKeystoreFiles(privateKeys, passphrase) {
+    if (!fs.existsSync(this.keystoreDir)) {
+      fs.mkdirSync(this.keystoreDir, { recursive: true, mode: 0o700 });
+    }
+
+    const written = [];
+    for (const privateKey of privateKeys) {
+      const wallet = new ethers.Wallet(privateKey);
+      const filePath = path.join(this.keystoreDir, `${wallet.address.toLowerCase()}.json`);
+      fs.writeFileSync(filePath, await wallet.encrypt(passphrase), { mode: 0o600 });
+      written.push(filePath);
+    }
+
+    return written;
+  }
+
+  /**
+   * Re-encrypts every V3 keystore file in place under a new passphrase, keeping
+   * its file name (imported files need not be named after their address)
+   * @param {string} passphrase - Current keystore passphrase
+   * @param {string} newPassphrase - New keystore passphrase
+   * @returns {Promise<string[]>} Rewritten file paths
+   */
+  async rotateKeystoreFiles(passphrase, newPassphrase) {
+    // Decrypt everything first so a bad file leaves the whole directory untouched
+    const entries = [];
+    for (const filePath of this.getKeystoreFiles()) {
+      try {
+        const wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(filePath, 'utf8'), passphrase);
+        entries.push({ filePath, wallet });
+      } catch (error) {
+        throw new Error(`Could not decrypt keystore ${path.basename(filePath)}: ${error.message}`);
+      }
+    }
+
+    for (const { filePath, wallet } of entries) {
+      // Hidden temp file, so a crash can't leave a half-written keystore that gets loaded
+      const tempFile = path.join(this.keystoreDir, `.${path.basename(filePath)}.tmp`);
+      fs.writeFileSync(tempFile, await wallet.encrypt(newPassphrase), { mode: 0o600 });
+      fs.renameSync(tempFile, filePath);
+    }
+
+    return entries.map(entry => entry.filePath);
+  }
+
+  /**
+   * Loads private keys from the active source
+   * @returns {Promise<string[]>} Private keys
+   */
+  async loadPrivateKeys() {
+    const source = this.getSource();
+
+    switch (source) {
+      case 'vault':
+        this.logger.info(`Loading private keys from vault: ${this.vaultFile}`);
+        return this.readVault(await this.unlock());
+      case 'keystore':
+        this.logger.info(`Loading private keys from keystore directory: ${this.keystoreDir}`);
+        return this.readKeystoreFiles(await this.unlock());
+      case 'plaintext':
+        this.checkPlaintextPermissions();
+        return this.readPlaintextKeys();
+      default:
+        return [];
+    }
+  }
+}
+
+KeyStore.normalizePrivateKey = normalizePrivateKey;
+KeyStore.checkKeyFilePermissions = checkKeyFilePermissions;
+
+module.exports = KeyStore;
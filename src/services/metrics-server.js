@@ -0,0 +1,93 @@
+/**
+ * Metrics Server
+ *
+ * Optional HTTP server exposing the metrics registry at /metrics for
+ * Prometheus-compatible scrapers. Everything else returns 404.
+ */
+
+const http = require('http');
+const config = require('../config');
+const { registry: defaultRegistry } = require('./metrics');
+
+class MetricsServer {
+  /**
+   * Creates a new metrics server
+   * @param {Object} options - Server options
+   * @param {Object} options.logger - Logger instance
+   * @param {MetricsRegistry} options.registry - Registry to expose
+   * @param {number} options.port - Port to listen on (0 picks a free port)
+   * @param {string} options.host - Interface to bind
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      registry = defaultRegistry,
+      port = config.METRICS_PORT,
+      host = config.METRICS_HOST
+    } = options;
+
+    this.logger = logger;
+    this.registry = registry;
+    this.port = port;
+    this.host = host;
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Starts listening
+   * @returns {Promise<MetricsServer>} Resolves once the server is listening
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        this.logger.info(`Metrics available at ${this.url}/metrics`);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the server
+   * @returns {Promise} Resolves once the server is closed
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  /**
+   * Handles an HTTP request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  handleRequest(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad request\n');
+      return;
+    }
+
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(this.registry.render());
+  }
+}
+
+module.exports = MetricsServer;
@@ -0,0 +1,234 @@
+/**
+ * Metrics
+ *
+ * Minimal Prometheus-style counters and gauges:
+ * - Labelled samples kept in memory for the life of the process
+ * - Rendered in the Prometheus text exposition format for /metrics
+ * - A shared registry holding every metric the application records
+ */
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+class Metric {
+  /**
+   * Creates a new metric
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Help text
+   * @param {string[]} options.labelNames - Label names, in output order
+   */
+  constructor(options = {}) {
+    const { name, help, labelNames = [] } = options;
+
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+
+    // Metrics without labels always expose a sample
+    if (labelNames.length === 0) {
+      this.values.set('', 0);
+    }
+  }
+
+  /**
+   * Builds the sample key for a set of labels
+   * @param {Object} labels - Label values
+   * @returns {string} Key such as {type="QUIZ"}, or '' without labels
+   */
+  getKey(labels = {}) {
+    if (this.labelNames.length === 0) return '';
+
+    const pairs = this.labelNames.map(name => `${name}="${escapeLabelValue(labels[name] ?? '')}"`);
+    return `{${pairs.join(',')}}`;
+  }
+
+  /**
+   * Gets the current value for a set of labels
+   * @param {Object} labels - Label values
+   * @returns {number} Value (0 if never recorded)
+   */
+  get(labels = {}) {
+    return this.values.get(this.getKey(labels)) || 0;
+  }
+
+  /**
+   * Clears all samples
+   */
+  reset() {
+    this.values.clear();
+    if (this.labelNames.length === 0) {
+      this.values.set('', 0);
+    }
+  }
+
+  /**
+   * Renders the metric in the exposition format
+   * @returns {string} Metric text
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    this.values.forEach((value, key) => lines.push(`${this.name}${key} ${value}`));
+
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  /**
+   * Creates a new counter (a value that only goes up)
+   * @param {Object} options - See Metric
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+
+  /**
+   * Increments the counter
+   * @param {Object} labels - Label values
+   * @param {number} amount - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    const key = this.getKey(labels);
+    this.values.set(key, (this.values.get(key) || 0) + amount);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * Creates a new gauge (a value that can go up and down)
+   * @param {Object} options - See Metric
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'gauge';
+    this.collector = null;
+  }
+
+  /**
+   * Sets the gauge
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.values.set(this.getKey(labels), value);
+  }
+
+  /**
+   * Sets a function that refreshes the gauge every time metrics are rendered
+   * @param {Function|null} collector - Function returning the current value
+   */
+  setCollector(collector) {
+    this.collector = collector;
+  }
+
+  /**
+   * Renders the gauge, refreshing it from the collector first
+   * @returns {string} Metric text
+   */
+  render() {
+    if (this.collector) {
+      try {
+        this.set({}, Number(this.collector()) || 0);
+      } catch (error) {
+        // Keep the last value if the collector fails
+      }
+    }
+
+    return super.render();
+  }
+}
+
+class MetricsRegistry {
+  /**
+   * Creates a new registry
+   */
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Registers a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @returns {Counter} Counter
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter({ name, help, labelNames }));
+  }
+
+  /**
+   * Registers a gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string[]} labelNames - Label names
+   * @returns {Gauge} Gauge
+   */
+  gauge(name, help, labelNames = []) {
+    return this.register(new Gauge({ name, help, labelNames }));
+  }
+
+  /**
+   * Adds a metric to the registry
+   * @param {Metric} metric - Metric to add
+   * @returns {Metric} The metric
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Clears every metric's samples
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  /**
+   * Renders every metric in the exposition format
+   * @returns {string} Metrics text
+   */
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+// Shared registry and the metrics the application records
+const registry = new MetricsRegistry();
+
+const metrics = {
+  tasksVerified: registry.counter('ofc_tasks_verified_total', 'Verify attempts by activity type', ['type']),
+  tasksCompleted: registry.counter('ofc_tasks_completed_total', 'Completed verifications by activity type', ['type']),
+  tasksFailed: registry.counter('ofc_tasks_failed_total', 'Failed verifications by activity type', ['type']),
+  authFailures: registry.counter('ofc_auth_failures_total', 'Failed logins and rejected sessions by wallet', ['wallet', 'reason']),
+  apiResponses: registry.counter('ofc_api_responses_total', 'API responses by service, operation and HTTP status (or network_error)', ['api', 'operation', 'status']),
+  requestRetries: registry.counter('ofc_api_request_retries_total', 'Retried API requests by service, operation and error class', ['api', 'operation', 'reason']),
+  cycles: registry.counter('ofc_cycles_total', 'Completed processing cycles'),
+  cycleDuration: registry.gauge('ofc_cycle_duration_seconds', 'Duration of the last processing cycle'),
+  lastCycleTimestamp: registry.gauge('ofc_last_cycle_timestamp_seconds', 'Unix time the last processing cycle finished'),
+  nextRunTimestamp: registry.gauge('ofc_next_run_timestamp_seconds', 'Unix time of the next scheduled run (0 if none)')
+};
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  metrics
+};
@@ -0,0 +1,175 @@
+/**
+ * Quiz Answer Store
+ *
+ * Reads and writes the quiz answers file (QUIZ_ANSWERS_FILE), which maps
+ * activity IDs to the responses submitted with VerifyActivity:
+ *   { "<activityId>": [{ "questionId": "q1", "answers": [{ "id": "a", "text": "..." }] }] }
+ *
+ * Live questions come from the activity's properties, so answers can be
+ * checked against the question and answer IDs the campaign currently uses.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+class QuizStore {
+  /**
+   * Creates a new quiz answer store
+   * @param {Object} options - Store options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.filePath - Quiz answers file
+   * @param {Object} options.answers - Loaded answers (updated in place, so running handlers see changes)
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      filePath = config.QUIZ_ANSWERS_FILE,
+      answers = config.quizAnswers
+    } = options;
+
+    this.logger = logger;
+    this.filePath = filePath;
+    this.answers = answers;
+  }
+
+  /**
+   * Extracts the questions of a quiz activity from its properties
+   * @param {Object} activity - QUIZ activity
+   * @returns {Array} [{ id, text, answers: [{ id, text }] }]
+   */
+  static getQuestions(activity) {
+    const questions = activity.properties?.questions;
+    if (!Array.isArray(questions)) return [];
+
+    return questions.map(question => ({
+      id: question.id,
+      text: question.text || question.question || '',
+      answers: (question.answers || question.options || []).map(answer => ({
+        id: answer.id,
+        text: answer.text || ''
+      }))
+    }));
+  }
+
+  /**
+   * Gets the configured responses for a quiz
+   * @param {string} activityId - Activity ID
+   * @returns {Array} Responses (empty if none are configured)
+   */
+  getAnswers(activityId) {
+    return this.answers[activityId] || [];
+  }
+
+  /**
+   * Checks whether a quiz has configured responses
+   * @param {string} activityId - Activity ID
+   * @returns {boolean} True if answers exist
+   */
+  hasAnswers(activityId) {
+    return this.getAnswers(activityId).length > 0;
+  }
+
+  /**
+   * Lists the configured activity IDs
+   * @returns {string[]} Activity IDs
+   */
+  getActivityIds() {
+    return Object.keys(this.answers);
+  }
+
+  /**
+   * Stores the responses for a quiz and saves the file
+   * @param {string} activityId - Activity ID
+   * @param {Array} responses - Responses to submit
+   */
+  setAnswers(activityId, responses) {
+    this.answers[activityId] = responses;
+    this.save();
+  }
+
+  /**
+   * Writes every answer to the answers file
+   */
+  save() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Write to a temporary file first so a crash never leaves a truncated file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(this.answers, null, 2)}\n`, 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+    this.logger.info(`Saved quiz answers to ${this.filePath}`);
+  }
+
+  /**
+   * Builds responses from chosen answer IDs
+   * @param {Object} activity - QUIZ activity
+   * @param {Object} choices - Answer IDs chosen per question ID
+   * @returns {Array} Responses in the answers file format
+   */
+  buildResponses(activity, choices) {
+    return QuizStore.getQuestions(activity)
+      .filter(question => (choices[question.id] || []).length > 0)
+      .map(question => ({
+        questionId: question.id,
+        answers: choices[question.id].map(id => ({
+          id,
+          text: question.answers.find(answer => answer.id === id)?.text || ''
+        }))
+      }));
+  }
+
+  /**
+   * Checks the configured responses against the live questions
+   * @param {Object} activity - QUIZ activity
+   * @returns {Object} { activityId, title, status, problems } where status is
+   *   ok, invalid, missing (no answers configured) or unchecked (no live questions)
+   */
+  validate(activity) {
+    const responses = this.getAnswers(activity.id);
+    const questions = QuizStore.getQuestions(activity);
+    const problems = [];
+    const result = status => ({ activityId: activity.id, title: activity.title, status, problems });
+
+    if (responses.length === 0) {
+      return result('missing');
+    }
+
+    if (questions.length === 0) {
+      problems.push('The activity has no questions to check the answers against');
+      return result('unchecked');
+    }
+
+    responses.forEach(response => {
+      const question = questions.find(q => q.id === response.questionId);
+      if (!question) {
+        problems.push(`Unknown question ${response.questionId}`);
+        return;
+      }
+
+      (response.answers || []).forEach(answer => {
+        const live = question.answers.find(a => a.id === answer.id);
+        if (!live) {
+          problems.push(`Unknown answer ${answer.id} for question ${question.id}`);
+        } else if (answer.text && live.text && answer.text !== live.text) {
+          problems.push(`Answer ${answer.id} for question ${question.id} is now "${live.text}" (file has "${answer.text}")`);
+        }
+      });
+
+      if (!(response.answers || []).length) {
+        problems.push(`No answer chosen for question ${question.id}`);
+      }
+    });
+
+    questions
+      .filter(question => !responses.some(response => response.questionId === question.id))
+      .forEach(question => problems.push(`Question ${question.id} has no answer`));
+
+    return result(problems.length > 0 ? 'invalid' : 'ok');
+  }
+}
+
+module.exports = QuizStore;
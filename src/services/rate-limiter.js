@@ -0,0 +1,282 @@
+/**
+ * Request Rate Limiter
+ *
+ * Keeps one token bucket per API host (Privy and Deform separately), shared
+ * by every wallet in the process:
+ * - Each host allows MAX_REQUESTS_PER_SECOND requests per second, with
+ *   bursts of up to one second's worth
+ * - A 429 response halves the host's rate, and its Retry-After header (or
+ *   an exhausted X-RateLimit-Remaining / RateLimit-Remaining with a reset
+ *   time) pauses the host until then
+ * - Every successful response restores a tenth of the configured rate
+ *
+ * Requests are handed slots in call order, so concurrent wallets share a
+ * host's rate fairly.
+ */
+
+const config = require('../config');
+const { sleep } = require('../utils/retry');
+
+// A host is never slowed below this fraction of its configured rate
+const MIN_RATE_FACTOR = 1 / 8;
+const RECOVERY_FACTOR = 1 / 10;
+
+/**
+ * Reads a header from an axios response, whatever its case
+ * @param {Object} headers - Response headers
+ * @param {string} name - Header name in lower case
+ * @returns {string|null} Header value
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? String(headers[key]) : null;
+}
+
+/**
+ * Parses a Retry-After header
+ * @param {string|null} value - Seconds to wait, or an HTTP date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(Number(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Parses a rate-limit reset header, sent either as seconds until the reset
+ * or as a Unix timestamp in seconds
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds until the reset, or null if absent or invalid
+ */
+function parseRateLimitReset(value, now = Date.now()) {
+  if (value === null || value === undefined || !/^\d+(\.\d+)?$/.test(String(value).trim())) return null;
+
+  const seconds = Number(value);
+  // Anything after 2001 is a timestamp rather than a delay
+  return seconds > 1e9 ? Math.max(0, seconds * 1000 - now) : Math.round(seconds * 1000);
+}
+
+/**
+ * Works out how long a response asks the client to back off
+ * @param {Object} response - Axios response
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Milliseconds to pause the host, or null if it may carry on
+ */
+function getBackoff(response, now = Date.now()) {
+  const headers = response?.headers;
+  const retryAfter = parseRetryAfter(getHeader(headers, 'retry-after'), now);
+
+  if (retryAfter !== null && (response.status === 429 || response.status === 503)) {
+    return retryAfter;
+  }
+
+  const remaining = getHeader(headers, 'x-ratelimit-remaining') ?? getHeader(headers, 'ratelimit-remaining');
+  if (remaining !== null && Number(remaining) <= 0) {
+    return parseRateLimitReset(getHeader(headers, 'x-ratelimit-reset') ?? getHeader(headers, 'ratelimit-reset'), now);
+  }
+
+  return null;
+}
+
+class TokenBucket {
+  /**
+   * Creates a new token bucket
+   * @param {number} rate - Requests per second (0 only honors pauses)
+   */
+  constructor(rate) {
+    this.baseRate = rate;
+    this.rate = rate;
+    this.tokens = this.getCapacity();
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Gets the largest burst the bucket allows
+   * @returns {number} Tokens
+   */
+  getCapacity() {
+    return Math.max(1, this.baseRate);
+  }
+
+  /**
+   * Changes the configured rate, keeping any slowdown in proportion
+   * @param {number} rate - Requests per second
+   */
+  setBaseRate(rate) {
+    if (rate === this.baseRate) return;
+
+    this.rate = this.baseRate ? rate * (this.rate / this.baseRate) : rate;
+    this.baseRate = rate;
+    this.tokens = Math.min(this.tokens, this.getCapacity());
+  }
+
+  /**
+   * Adds the tokens earned since the last update
+   * @param {number} now - Current time in milliseconds
+   */
+  refill(now) {
+    if (now <= this.updatedAt) return;
+
+    this.tokens = Math.min(this.getCapacity(), this.tokens + (now - this.updatedAt) * this.rate / 1000);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Reserves the next request slot
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Milliseconds until the slot
+   */
+  reserve(now = Date.now()) {
+    if (!this.baseRate) {
+      return Math.max(0, this.pausedUntil - now);
+    }
+
+    this.refill(now);
+    this.tokens -= 1;
+
+    // A negative balance queues the request behind the earlier reservations
+    const ready = this.updatedAt + Math.max(0, -this.tokens) * 1000 / this.rate;
+    return Math.max(0, ready - now);
+  }
+
+  /**
+   * Stops handing out slots until a given time
+   * @param {number} until - Time in milliseconds
+   */
+  pause(until) {
+    if (until <= this.pausedUntil) return;
+
+    this.pausedUntil = until;
+    if (this.baseRate && until > this.updatedAt) {
+      // The first request after the pause may go straight away
+      this.tokens = 1;
+      this.updatedAt = until;
+    }
+  }
+
+  /**
+   * Halves the rate after the host pushed back
+   */
+  slowDown() {
+    this.rate = Math.max(this.baseRate * MIN_RATE_FACTOR, this.rate / 2);
+  }
+
+  /**
+   * Moves the rate back towards the configured one after a success
+   */
+  recover() {
+    this.rate = Math.min(this.baseRate, this.rate + this.baseRate * RECOVERY_FACTOR);
+  }
+}
+
+class RateLimiter {
+  /**
+   * Creates a new rate limiter
+   * @param {Object} options - Limiter options
+   * @param {number|null} options.requestsPerSecond - Requests per second for each host (0 disables
+   *   the limit but still honors Retry-After; null follows MAX_REQUESTS_PER_SECOND, including later changes)
+   */
+  constructor(options = {}) {
+    const { requestsPerSecond = null } = options;
+
+    this.requestsPerSecond = requestsPerSecond;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Gets the configured request ceiling
+   * @returns {number} Requests per second for each host (0 means unlimited)
+   */
+  getRate() {
+    return this.requestsPerSecond ?? config.MAX_REQUESTS_PER_SECOND ?? 0;
+  }
+
+  /**
+   * Gets the bucket of a host, creating it on first use
+   * @param {string} host - API host
+   * @returns {TokenBucket} Bucket
+   */
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new TokenBucket(this.getRate()));
+    }
+
+    const bucket = this.buckets.get(host);
+    bucket.setBaseRate(this.getRate());
+    return bucket;
+  }
+
+  /**
+   * Waits for the next free request slot of a host
+   * @param {string} host - API host
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async acquire(host) {
+    const wait = this.getBucket(host).reserve();
+
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    return wait;
+  }
+
+  /**
+   * Adapts a host's rate to a response
+   * @param {string} host - API host
+   * @param {Object} response - Axios response (including those of failed requests)
+   * @returns {number|null} Milliseconds the host is paused for, or null if it isn't
+   */
+  update(host, response) {
+    const bucket = this.getBucket(host);
+    const now = Date.now();
+    const backoff = getBackoff(response, now);
+
+    if (response.status === 429) {
+      bucket.slowDown();
+    } else if (response.status < 400) {
+      bucket.recover();
+    }
+
+    if (backoff !== null) {
+      bucket.pause(now + backoff);
+    }
+
+    return backoff;
+  }
+
+  /**
+   * Describes the state of every host
+   * @returns {Object} Per host: { rate, configuredRate, pausedUntil }
+   */
+  getStatus() {
+    return Object.fromEntries([...this.buckets].map(([host, bucket]) => [host, {
+      rate: bucket.rate,
+      configuredRate: bucket.baseRate,
+      pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null
+    }]));
+  }
+}
+
+// Shared by every API client in the process
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+  RateLimiter,
+  TokenBucket,
+  rateLimiter,
+  parseRetryAfter,
+  parseRateLimitReset,
+  getBackoff
+};
@@ -0,0 +1,446 @@
+/**
+ * Run Report Writer
+ *
+ * Writes a report file for every processing cycle:
+ * - JSON with the full cycle data, for scripts and dashboards
+ * - CSV with one row per attempted task, for spreadsheets
+ * - Markdown or HTML with totals, a per-wallet breakdown (including point
+ *   balances) and task tables
+ *
+ * Reports older than the retention period are removed after each write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const REPORT_FILE_PATTERN = /^report-.+\.(json|csv|md|html)$/;
+const SUPPORTED_FORMATS = ['json', 'csv', 'md', 'html'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function markdownCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Escapes a value for HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function htmlEscape(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a duration for humans
+ * @param {number} durationMs - Duration in milliseconds
+ * @returns {string} Duration such as "1m 05s" or "850ms"
+ */
+function formatDuration(durationMs) {
+  if (durationMs === null || durationMs === undefined) return '';
+  if (durationMs < 1000) return `${durationMs}ms`;
+
+  const seconds = Math.round(durationMs / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * Formats a change with an explicit sign
+ * @param {number|null} change - Change since the last cycle
+ * @returns {string} Change such as "+40", or empty if unknown
+ */
+function formatChange(change) {
+  if (change === null || change === undefined) return '';
+  return change > 0 ? `+${change}` : String(change);
+}
+
+/**
+ * Names the wallet of a report entry
+ * @param {Object} entry - Wallet or task entry with wallet and label
+ * @returns {string} The label, or the address if the wallet has no label
+ */
+function walletName(entry) {
+  return entry.label || entry.wallet;
+}
+
+class ReportWriter {
+  /**
+   * Creates a new report writer
+   * @param {Object} options - Writer options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.reportsDir - Directory reports are written to
+   * @param {string[]} options.formats - Formats to write (json, csv, md, html)
+   * @param {number} options.retentionDays - Days to keep reports (0 keeps them forever)
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      reportsDir = config.REPORTS_DIR,
+      formats = config.REPORT_FORMATS,
+      retentionDays = config.REPORT_RETENTION_DAYS
+    } = options;
+
+    const unsupported = formats.filter(format => !SUPPORTED_FORMATS.includes(format));
+    if (unsupported.length > 0) {
+      throw new Error(`Unsupported report format: ${unsupported.join(', ')}`);
+    }
+
+    this.logger = logger;
+    this.reportsDir = reportsDir;
+    this.formats = formats;
+    this.retentionDays = retentionDays;
+  }
+
+  /**
+   * Builds the report data for a cycle
+   * @param {Array} results - Wallet results from TaskProcessor.processAllWallets
+   * @param {Object} cycle - Cycle details
+   * @param {string} cycle.runId - Identifier of the cycle
+   * @param {Date} cycle.startedAt - When the cycle started
+   * @param {Date} cycle.finishedAt - When the cycle finished
+   * @returns {Object} Report data
+   */
+  buildReport(results, cycle) {
+    const { runId, startedAt, finishedAt = new Date() } = cycle;
+
+    const wallets = results.map(result => {
+      const balances = (result.campaigns || []).map(campaign => campaign.balance).filter(balance => balance);
+
+      return {
+        wallet: result.wallet,
+        label: result.label || null,
+        group: result.group || null,
+        error: result.error || null,
+        deferred: Boolean(result.deferred),
+        deferredReason: result.deferredReason || null,
+        durationMs: result.durationMs ?? null,
+        completedCount: result.completedCount || 0,
+        failedCount: result.failedCount || 0,
+        totalPoints: result.totalPoints || 0,
+        // Balance across all campaigns, with the change since the last cycle when known for each
+        balance: balances.length === 0 ? null : {
+          points: balances.reduce((sum, balance) => sum + balance.points, 0),
+          pointsChange: balances.every(balance => balance.pointsChange !== null)
+            ? balances.reduce((sum, balance) => sum + balance.pointsChange, 0)
+            : null
+        },
+        campaigns: (result.campaigns || []).map(campaign => ({
+          campaignId: campaign.campaignId,
+          error: campaign.error || null,
+          durationMs: campaign.durationMs ?? null,
+          completedCount: campaign.completedCount || 0,
+          failedCount: campaign.failedCount || 0,
+          totalPoints: campaign.totalPoints || 0,
+          balance: campaign.balance || null
+        }))
+      };
+    });
+
+    const tasks = results.flatMap(result => [
+      ...(result.completedTasks || []).map(task => ({ ...task, status: 'COMPLETED' })),
+      ...(result.failedTasks || []).map(task => ({ ...task, status: 'FAILED' }))
+    ].map(task => ({
+      wallet: result.wallet,
+      label: result.label || null,
+      campaignId: task.campaignId || null,
+      activityId: task.id,
+      title: task.title,
+      type: task.type,
+      status: task.status,
+      points: task.points || 0,
+      durationMs: task.durationMs ?? null,
+      code: task.code || null,
+      reason: task.reason || task.error || null,
+      details: task.details || null
+    })));
+
+    return {
+      runId,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      totals: {
+        wallets: wallets.length,
+        failedWallets: wallets.filter(wallet => wallet.error).length,
+        deferredWallets: wallets.filter(wallet => wallet.deferred).length,
+        completed: wallets.reduce((sum, wallet) => sum + wallet.completedCount, 0),
+        failed: wallets.reduce((sum, wallet) => sum + wallet.failedCount, 0),
+        points: wallets.reduce((sum, wallet) => sum + wallet.totalPoints, 0)
+      },
+      wallets,
+      tasks
+    };
+  }
+
+  /**
+   * Renders a report as CSV, one row per task plus one per failed or deferred wallet
+   * @param {Object} report - Report data
+   * @returns {string} CSV text
+   */
+  toCsv(report) {
+    const header = ['runId', 'wallet', 'label', 'campaignId', 'activityId', 'title', 'type', 'status', 'points', 'durationMs', 'code', 'reason'];
+
+    const rows = [
+      ...report.tasks.map(task => [
+        report.runId, task.wallet, task.label, task.campaignId, task.activityId, task.title,
+        task.type, task.status, task.points, task.durationMs, task.code, task.reason
+      ]),
+      ...report.wallets.filter(wallet => wallet.error).map(wallet => [
+        report.runId, wallet.wallet, wallet.label, '', '', '', '', 'WALLET_ERROR', 0, wallet.durationMs, '', wallet.error
+      ]),
+      ...report.wallets.filter(wallet => wallet.deferred).map(wallet => [
+        report.runId, wallet.wallet, wallet.label, '', '', '', '', 'WALLET_DEFERRED', 0, wallet.durationMs, 'CIRCUIT_OPEN', wallet.deferredReason
+      ])
+    ];
+
+    return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+  }
+
+  /**
+   * Splits a report into titled tables shared by the Markdown and HTML renderers
+   * @param {Object} report - Report data
+   * @returns {Object[]} Sections with title, headers and rows
+   */
+  getSections(report) {
+    const { totals } = report;
+
+    return [
+      {
+        title: 'Totals',
+        headers: ['Wallets', 'Failed wallets', 'Deferred wallets', 'Completed', 'Failed', 'Points', 'Duration'],
+        rows: [[
+          totals.wallets, totals.failedWallets, totals.deferredWallets || 0, totals.completed, totals.failed, totals.points,
+          formatDuration(report.durationMs)
+        ]]
+      },
+      {
+        title: 'Wallets',
+        headers: ['Wallet', 'Group', 'Campaign', 'Completed', 'Failed', 'Points', 'Balance', 'Change', 'Rank', 'Duration', 'Error'],
+        rows: report.wallets.flatMap(wallet => [
+          [
+            walletName(wallet), wallet.group, 'all', wallet.completedCount, wallet.failedCount, wallet.totalPoints,
+            wallet.balance?.points, formatChange(wallet.balance?.pointsChange),
+            wallet.campaigns.length === 1 ? wallet.campaigns[0].balance?.rank : '',
+            formatDuration(wallet.durationMs), wallet.deferred ? `Deferred: ${wallet.deferredReason}` : wallet.error
+          ],
+          ...(wallet.campaigns.length > 1 ? wallet.campaigns.map(campaign => [
+            '', '', campaign.campaignId, campaign.completedCount, campaign.failedCount, campaign.totalPoints,
+            campaign.balance?.points, formatChange(campaign.balance?.pointsChange), campaign.balance?.rank,
+            formatDuration(campaign.durationMs), campaign.error
+          ]) : [])
+        ])
+      },
+      {
+        title: 'Failed tasks',
+        headers: ['Wallet', 'Campaign', 'Activity', 'Type', 'Duration', 'Code', 'Reason'],
+        rows: report.tasks.filter(task => task.status !== 'COMPLETED').map(task => [
+          walletName(task), task.campaignId, task.title || task.activityId, task.type, formatDuration(task.durationMs), task.code, task.reason
+        ])
+      },
+      {
+        title: 'Completed tasks',
+        headers: ['Wallet', 'Campaign', 'Activity', 'Type', 'Points', 'Duration'],
+        rows: report.tasks.filter(task => task.status === 'COMPLETED').map(task => [
+          walletName(task), task.campaignId, task.title || task.activityId, task.type, task.points, formatDuration(task.durationMs)
+        ])
+      }
+    ];
+  }
+
+  /**
+   * Renders a report as Markdown
+   * @param {Object} report - Report data
+   * @returns {string} Markdown text
+   */
+  toMarkdown(report) {
+    const lines = [
+      `# OFC Run Report ${report.runId}`,
+      '',
+      `Started ${report.startedAt}, finished ${report.finishedAt}.`
+    ];
+
+    this.getSections(report).forEach(section => {
+      lines.push('', `## ${section.title}`, '');
+
+      if (section.rows.length === 0) {
+        lines.push('None.');
+        return;
+      }
+
+      lines.push(`| ${section.headers.join(' | ')} |`);
+      lines.push(`| ${section.headers.map(() => '---').join(' | ')} |`);
+      section.rows.forEach(row => lines.push(`| ${row.map(markdownCell).join(' | ')} |`));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Renders a report as a standalone HTML page
+   * @param {Object} report - Report data
+   * @returns {string} HTML text
+   */
+  toHtml(report) {
+    const sections = this.getSections(report).map(section => {
+      const body = section.rows.length === 0
+        ? '<p>None.</p>'
+        : [
+          '<table>',
+          `<tr>${section.headers.map(header => `<th>${htmlEscape(header)}</th>`).join('')}</tr>`,
+          ...section.rows.map(row => `<tr>${row.map(cell => `<td>${htmlEscape(cell)}</td>`).join('')}</tr>`),
+          '</table>'
+        ].join('\n');
+
+      return `<h2>${htmlEscape(section.title)}</h2>\n${body}`;
+    });
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>OFC Run Report ${htmlEscape(report.runId)}</title>`,
+      '<style>body{font-family:sans-serif}table{border-collapse:collapse}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}</style>',
+      '</head>',
+      '<body>',
+      `<h1>OFC Run Report ${htmlEscape(report.runId)}</h1>`,
+      `<p>Started ${htmlEscape(report.startedAt)}, finished ${htmlEscape(report.finishedAt)}.</p>`,
+      ...sections,
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Renders a report in one format
+   * @param {Object} report - Report data
+   * @param {string} format - json, csv, md or html
+   * @returns {string} Rendered report
+   */
+  render(report, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(report, null, 2) + '\n';
+      case 'csv':
+        return this.toCsv(report);
+      case 'md':
+        return this.toMarkdown(report);
+      case 'html':
+        return this.toHtml(report);
+      default:
+        throw new Error(`Unsupported report format: ${format}`);
+    }
+  }
+
+  /**
+   * Writes a cycle report in every configured format and applies retention
+   * @param {Object} report - Report data from buildReport
+   * @returns {string[]} Paths of the written files
+   */
+  write(report) {
+    const baseName = `report-${report.runId.replace(/[:.]/g, '-')}`;
+
+    fs.mkdirSync(this.reportsDir, { recursive: true });
+
+    const files = this.formats.map(format => {
+      const filePath = path.join(this.reportsDir, `${baseName}.${format}`);
+      fs.writeFileSync(filePath, this.render(report, format), 'utf8');
+      return filePath;
+    });
+
+    this.logger.info(`Run report written to ${this.reportsDir}`, {
+      files: files.map(file => path.basename(file))
+    });
+
+    this.cleanup();
+
+    return files;
+  }
+
+  /**
+   * Reads the most recent JSON report
+   * @returns {Object|null} Report data, or null if no JSON report exists
+   */
+  readLatest() {
+    if (!fs.existsSync(this.reportsDir)) {
+      return null;
+    }
+
+    // Report names embed the run's ISO timestamp, so they sort chronologically
+    const [latest] = fs.readdirSync(this.reportsDir)
+      .filter(name => REPORT_FILE_PATTERN.test(name) && name.endsWith('.json'))
+      .sort()
+      .reverse();
+
+    if (!latest) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.reportsDir, latest), 'utf8'));
+    } catch (error) {
+      this.logger.warn(`Could not read report ${latest}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Deletes reports older than the retention period
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {string[]} Paths of the deleted files
+   */
+  cleanup(now = new Date()) {
+    if (!this.retentionDays || !fs.existsSync(this.reportsDir)) {
+      return [];
+    }
+
+    const cutoff = now.getTime() - this.retentionDays * DAY_MS;
+    const deleted = [];
+
+    fs.readdirSync(this.reportsDir)
+      .filter(name => REPORT_FILE_PATTERN.test(name))
+      .forEach(name => {
+        const filePath = path.join(this.reportsDir, name);
+
+        try {
+          if (fs.statSync(filePath).mtimeMs < cutoff) {
+            fs.unlinkSync(filePath);
+            deleted.push(filePath);
+          }
+        } catch (error) {
+          this.logger.warn(`Could not remove old report ${name}`, { error: error.message });
+        }
+      });
+
+    if (deleted.length > 0) {
+      this.logger.info(`Removed ${deleted.length} reports older than ${this.retentionDays} days`);
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = ReportWriter;
@@ -0,0 +1,58 @@
+/**
+ * Retry Policies
+ *
+ * Builds the per-class retry policies of API requests from the config and
+ * holds the retry budget every API client shares:
+ * - network, timeout, rate_limit and server errors are retried up to
+ *   MAX_RETRIES attempts with jittered exponential backoff from RETRY_DELAY
+ * - auth and fatal errors fail straight away (expired sessions are handled
+ *   by the re-login in ApiClient, not by retries)
+ * - RETRY_POLICIES overrides any of these per class
+ * - RETRY_BUDGET caps the retries of a whole cycle, so an outage doesn't
+ *   multiply into thousands of requests
+ */
+
+const config = require('../config');
+const { RetryBudget } = require('../utils/retry');
+
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Gets the retry policy of every error class
+ * @returns {Object} Per error class: { attempts, baseDelay, maxDelay }
+ */
+function getRetryPolicies() {
+  const transient = { attempts: config.MAX_RETRIES, baseDelay: config.RETRY_DELAY, maxDelay: MAX_RETRY_DELAY };
+  const permanent = { attempts: 1, baseDelay: 0, maxDelay: 0 };
+  const defaults = {
+    network: transient,
+    timeout: transient,
+    rate_limit: transient,
+    server: transient,
+    auth: permanent,
+    fatal: permanent
+  };
+
+  const overrides = config.RETRY_POLICIES || {};
+  return Object.fromEntries(Object.entries(defaults).map(([errorClass, policy]) =>
+    [errorClass, { ...policy, ...overrides[errorClass] }]
+  ));
+}
+
+// Shared by every API client in the process, reset at the start of each cycle
+const retryBudget = new RetryBudget(config.RETRY_BUDGET);
+
+/**
+ * Starts the retry budget of a new cycle
+ * @returns {RetryBudget} Shared budget
+ */
+function resetRetryBudget() {
+  retryBudget.reset(config.RETRY_BUDGET);
+  return retryBudget;
+}
+
+module.exports = {
+  getRetryPolicies,
+  retryBudget,
+  resetRetryBudget
+};
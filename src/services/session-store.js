@@ -0,0 +1,187 @@
+/**
+ * Session Store
+ *
+ * Persists authenticated sessions per wallet so cycles can skip the full SIWE login:
+ * - Deform and Privy identity tokens are stored per wallet address
+ * - Files are encrypted at rest with a key derived from the wallet's private key
+ * - Sessions are reused until the earliest JWT `exp` (minus a safety margin)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+const SESSION_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_INFO = 'ofc-session-store';
+
+// Treat tokens as expired slightly early so they don't run out mid-request
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Decodes the `exp` claim of a JWT
+ * @param {string} token - JSON Web Token
+ * @returns {number|null} Expiry as epoch milliseconds, or null if unknown
+ */
+function getTokenExpiry(token) {
+  if (typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+class SessionStore {
+  /**
+   * Creates a new session store
+   * @param {Object} options - Store options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.dataDir - Base data directory
+   */
+  constructor(options = {}) {
+    const { logger = console, dataDir = config.DATA_DIR } = options;
+
+    this.logger = logger;
+    this.sessionsDir = path.join(dataDir, 'sessions');
+  }
+
+  /**
+   * Gets the session file path for an address
+   * @param {string} address - Wallet address
+   * @returns {string} Session file path
+   */
+  getFilePath(address) {
+    return path.join(this.sessionsDir, `${address.toLowerCase()}.json`);
+  }
+
+  /**
+   * Derives the encryption key for a wallet
+   * @param {Object} wallet - Ethers.js wallet instance
+   * @returns {Buffer} 256-bit key
+   */
+  deriveKey(wallet) {
+    const secret = Buffer.from(wallet.privateKey.replace(/^0x/, ''), 'hex');
+    const salt = Buffer.from(wallet.address.toLowerCase(), 'utf8');
+    return Buffer.from(crypto.hkdfSync('sha256', secret, salt, KEY_INFO, 32));
+  }
+
+  /**
+   * Loads a still-valid session for a wallet
+   * @param {Object} wallet - Ethers.js wallet instance
+   * @returns {Object|null} Session tokens or null if missing, unreadable or expired
+   */
+  load(wallet) {
+    const filePath = this.getFilePath(wallet.address);
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      if (stored.version !== SESSION_VERSION) {
+        this.logger.debug('Ignoring session with unsupported version', { version: stored.version });
+        return null;
+      }
+
+      const decipher = crypto.createDecipheriv(
+        CIPHER,
+        this.deriveKey(wallet),
+        Buffer.from(stored.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+
+      const session = JSON.parse(Buffer.concat([
+        decipher.update(Buffer.from(stored.data, 'base64')),
+        decipher.final()
+      ]).toString('utf8'));
+
+      if (!session.expiresAt || session.expiresAt - EXPIRY_MARGIN_MS <= Date.now()) {
+        this.logger.debug(`Cached session expired for ${wallet.address}`);
+        return null;
+      }
+
+      return session;
+    } catch (error) {
+      this.logger.warn(`Could not read cached session for ${wallet.address}`, {
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Saves a session for a wallet
+   * @param {Object} wallet - Ethers.js wallet instance
+   * @param {Object} tokens - Session tokens
+   * @param {string} tokens.privyIdToken - Privy identity token
+   * @param {string} tokens.deformToken - Deform token
+   * @returns {boolean} True if the session was stored
+   */
+  save(wallet, tokens) {
+    const { privyIdToken = null, deformToken } = tokens;
+
+    // Only cache sessions whose lifetime we can actually determine
+    const expiries = [getTokenExpiry(deformToken), getTokenExpiry(privyIdToken)]
+      .filter(expiry => expiry !== null);
+
+    if (!deformToken || expiries.length === 0) {
+      this.logger.debug(`Not caching session for ${wallet.address}: token expiry unknown`);
+      return false;
+    }
+
+    const session = {
+      privyIdToken,
+      deformToken,
+      expiresAt: Math.min(...expiries),
+      savedAt: Date.now()
+    };
+
+    try {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(CIPHER, this.deriveKey(wallet), iv);
+      const data = Buffer.concat([
+        cipher.update(JSON.stringify(session), 'utf8'),
+        cipher.final()
+      ]);
+
+      if (!fs.existsSync(this.sessionsDir)) {
+        fs.mkdirSync(this.sessionsDir, { recursive: true, mode: 0o700 });
+      }
+
+      fs.writeFileSync(this.getFilePath(wallet.address), JSON.stringify({
+        version: SESSION_VERSION,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }), { mode: 0o600 });
+
+      return true;
+    } catch (error) {
+      this.logger.warn(`Could not cache session for ${wallet.address}`, {
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Removes the cached session for a wallet
+   * @param {string} address - Wallet address
+   */
+  clear(address) {
+    const filePath = this.getFilePath(address);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+SessionStore.getTokenExpiry = getTokenExpiry;
+
+module.exports = SessionStore;
@@ -3,11 +3,16 @@
  * 
  * Handles all task-related operations:
  * - Fetching available tasks
- * - Task verification
- * - Specialized handling for different task types
+ * - Task verification through the handler registry (see src/handlers)
  */
 
 const config = require('../config');
+const { metrics } = require('./metrics');
+const { AvailabilityEngine } = require('./availability');
+const { checkTaskRules } = require('./wallet-definitions');
+const { AlreadyCompletedError, ActivityNotEligibleError, describeFailure } = require('./graphql-errors');
+const { CircuitOpenError, circuitBreaker, isUpstreamFailure } = require('./circuit-breaker');
+const { createHandlerRegistry } = require('../handlers');
 
 // GraphQL fragments and queries
 const TASK_FRAGMENT = `fragment ActivityFields on CampaignActivity {
@@ -153,15 +158,46 @@ const VERIFY_MUTATION = `mutation VerifyActivity($data: VerifyActivityInput!) {
   }
 }`;
 
+const CAMPAIGN_SPOT_QUERY = `query CampaignSpot($campaignId: String!) {
+  campaign(id: $campaignId) {
+    id
+    userSpot {
+      id
+      points
+      rank
+      __typename
+    }
+    __typename
+  }
+}`;
+
 class TaskService {
   /**
    * Creates a new task service
    * @param {Object} options - Service options
    * @param {Object} options.logger - Logger instance
    * @param {Object} options.apiClient - API client instance
+   * @param {string} options.walletAddress - Address of the wallet the service works for
+   * @param {string} options.walletLabel - Optional wallet label shown in logs
+   * @param {Object} options.taskRules - Optional task include/exclude rules of the wallet
+   * @param {Object} options.historyStore - Optional history store for verify attempts
+   * @param {string} options.runId - Identifier of the current cycle
+   * @param {string} options.campaignId - Campaign to process (defaults to CAMPAIGN_ID)
+   * @param {AvailabilityEngine} options.availability - Decides which activities are available
+   * @param {HandlerRegistry} options.handlers - Task handlers (defaults to the built-in and user handlers)
+   * @param {CircuitBreaker} options.circuitBreaker - Outage detector (defaults to the one shared by all API clients)
    */
   constructor(options = {}) {
-    const { logger = console, apiClient } = options;
+    const {
+      logger = console,
+      apiClient,
+      historyStore = null,
+      runId = null,
+      campaignId = config.CAMPAIGN_ID,
+      availability = new AvailabilityEngine(),
+      handlers = null,
+      circuitBreaker: breaker = circuitBreaker
+    } = options;
     
     if (!apiClient) {
       throw new Error('API client is required for task service');
@@ -170,8 +206,24 @@ class TaskService {
     this.logger = logger;
     this.apiClient = apiClient;
     this.walletAddress = options.walletAddress || 'Unknown';
+    this.walletName = options.walletLabel ? `${options.walletLabel} (${this.walletAddress})` : this.walletAddress;
+    this.taskRules = options.taskRules || null;
+    this.historyStore = historyStore;
+    this.runId = runId;
+    this.campaignId = campaignId;
+    this.availability = availability;
+    this.handlers = handlers || createHandlerRegistry({ logger });
+    this.circuitBreaker = breaker;
     this.cachedTasks = null;
-    this.skippedTaskTypes = ['FARCASTER_FOLLOW', 'REFERRAL', 'REFEREE_SIGNUP_BONUS'];
+  }
+  
+  /**
+   * Checks whether an activity needs a manual action and is skipped in cycles
+   * @param {Object} task - Task/activity
+   * @returns {boolean} True if manual
+   */
+  isManualTask(task) {
+    return Boolean(this.handlers.get(task.type).manual);
   }
   
   /**
@@ -180,6 +232,7 @@ class TaskService {
    * @param {boolean} options.refresh - Force refresh cached tasks
    * @param {boolean} options.includeSkipped - Include tasks that require manual action
    * @returns {Promise<Array>} Available tasks
+   * @throws {Error} If the API is unavailable (an empty list would pass for "nothing to do")
    */
   async getAvailableTasks(options = {}) {
     const { refresh = false, includeSkipped = false } = options;
@@ -188,41 +241,23 @@ class TaskService {
     if (this.cachedTasks && !refresh) {
       const tasks = includeSkipped 
         ? this.cachedTasks
-        : this.cachedTasks.filter(task => !this.skippedTaskTypes.includes(task.type));
+        : this.cachedTasks.filter(task => !this.isManualTask(task));
         
       return tasks;
     }
     
-    this.logger.info(`Fetching available tasks for wallet: ${this.walletAddress}`);
+    this.logger.info(`Fetching available tasks for wallet: ${this.walletName} (campaign ${this.campaignId})`);
     
     try {
-      const query = `${TASK_FRAGMENT}
-      
-      query CampaignActivitiesPanel($campaignId: String!) {
-        campaign(id: $campaignId) {
-          activities {
-            ...ActivityFields
-            __typename
-          }
-          __typename
-        }
-      }`;
-      
-      const response = await this.apiClient.graphqlRequest(
-        "CampaignActivitiesPanel",
-        query,
-        { campaignId: config.CAMPAIGN_ID }
-      );
+      const activities = await this.fetchActivities();
       
-      if (!response.data?.data?.campaign?.activities) {
+      if (!activities) {
         this.logger.warn('No activities found in campaign response');
         return [];
       }
       
       // Filter incomplete tasks
-      const allIncompleteTasks = this.filterIncompleteTasks(
-        response.data.data.campaign.activities
-      );
+      const allIncompleteTasks = this.filterIncompleteTasks(activities);
       
       // Cache all incomplete tasks
       this.cachedTasks = allIncompleteTasks;
@@ -230,12 +265,10 @@ class TaskService {
       // Filter out tasks that can't be completed programmatically if requested
       const tasks = includeSkipped 
         ? allIncompleteTasks
-        : allIncompleteTasks.filter(task => !this.skippedTaskTypes.includes(task.type));
+        : allIncompleteTasks.filter(task => !this.isManualTask(task));
       
       // Log skipped tasks
-      const skippedTasks = allIncompleteTasks.filter(task => 
-        this.skippedTaskTypes.includes(task.type)
-      );
+      const skippedTasks = allIncompleteTasks.filter(task => this.isManualTask(task));
       
       if (skippedTasks.length > 0) {
         this.logger.info(`Skipping ${skippedTasks.length} tasks that require manual action:`, {
@@ -243,7 +276,7 @@ class TaskService {
         });
       }
       
-      this.logger.info(`Found ${tasks.length} available tasks for wallet ${this.walletAddress}`);
+      this.logger.info(`Found ${tasks.length} available tasks for wallet ${this.walletName}`);
       
       return tasks;
     } catch (error) {
@@ -251,88 +284,149 @@ class TaskService {
         walletAddress: this.walletAddress,
         error: error.message
       });
+      if (isUpstreamFailure(error)) throw error;
       return [];
     }
   }
   
   /**
-   * Filters tasks to find incomplete ones
-   * @param {Array} activities - All activities/tasks
-   * @returns {Array} Incomplete tasks
+   * Fetches every activity of the campaign, including unavailable ones
+   * @returns {Promise<Array|null>} Activities, or null if the campaign has none
    */
-  filterIncompleteTasks(activities) {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  async fetchActivities() {
+    const query = `${TASK_FRAGMENT}
     
-    return activities.filter(activity => {
-      // Skip hidden tasks
-      if (activity.isHidden) return false;
-  
-      // If no records exist, task is considered available
-      if (!activity.records || activity.records.length === 0) return true;
-  
-      // For recurring daily tasks, check if already completed today
-      if (activity.recurringPeriod && 
-          activity.recurringPeriod.type === "DAY" && 
-          activity.recurringPeriod.count === 1) {
-          
-        // Get most recent completion date
-        const sortedRecords = [...activity.records].sort((a, b) => 
-          new Date(b.createdAt) - new Date(a.createdAt)
-        );
-        
-        if (sortedRecords.length > 0 && sortedRecords[0].status === "COMPLETED") {
-          const lastCompletionDate = new Date(sortedRecords[0].createdAt);
-          const lastCompletionDay = new Date(
-            lastCompletionDate.getFullYear(), 
-            lastCompletionDate.getMonth(), 
-            lastCompletionDate.getDate()
-          ).getTime();
-          
-          // If last completion was today, task is not available
-          return lastCompletionDay < today;
+    query CampaignActivitiesPanel($campaignId: String!) {
+      campaign(id: $campaignId) {
+        activities {
+          ...ActivityFields
+          __typename
         }
+        __typename
       }
+    }`;
+    
+    const response = await this.apiClient.graphqlRequest(
+      "CampaignActivitiesPanel",
+      query,
+      { campaignId: this.campaignId }
+    );
+    
+    return response.data?.data?.campaign?.activities || null;
+  }
   
-      // For non-recurring tasks, check if already completed
-      return !activity.records.some(record => 
-        record.status === "COMPLETED" || 
-        record.rewardRecords?.some(reward => reward.status === "COMPLETED")
-      );
+  /**
+   * Judges the availability of every activity
+   * @param {Array} activities - All activities/tasks
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Array} Activities with an availability field ({ available, reason, message })
+   */
+  evaluateActivities(activities, now = new Date()) {
+    return activities.map(activity => ({
+      ...activity,
+      availability: this.evaluateActivity(activity, now)
+    }));
+  }
+  
+  /**
+   * Judges the availability of one activity, applying the wallet's task rules first
+   * @param {Object} activity - Activity/task
+   * @param {Date} now - Reference time
+   * @returns {Object} { available, reason, message }
+   */
+  evaluateActivity(activity, now) {
+    const excluded = checkTaskRules(this.taskRules, activity);
+    if (excluded) {
+      return { available: false, reason: 'excluded', message: `Excluded by wallet rules: ${excluded}` };
+    }
+    
+    return this.availability.evaluate(activity, now);
+  }
+  
+  /**
+   * Filters tasks to find available ones
+   * @param {Array} activities - All activities/tasks
+   * @param {Date} now - Reference time (defaults to the current time)
+   * @returns {Array} Available tasks, with their availability
+   */
+  filterIncompleteTasks(activities, now = new Date()) {
+    return this.evaluateActivities(activities, now).filter(activity => {
+      const { available, message } = activity.availability;
+      this.logger.debug(`Activity ${activity.id} (${activity.title}) is ${available ? 'available' : 'unavailable'}: ${message}`);
+      return available;
     });
   }
   
   /**
-   * Verifies a task to mark it as completed
-   * @param {string} activityId - Task/activity ID
+   * Lists every activity with the reason it is or isn't available
+   * @returns {Promise<Array>} Evaluated activities
+   */
+  async explainAvailability() {
+    return this.evaluateActivities(await this.fetchActivities() || []);
+  }
+  
+  /**
+   * Sorts tasks into processing order
+   * @param {Array} tasks - Tasks to sort
+   * @returns {Array} Tasks sorted by handler priority
+   */
+  sortTasks(tasks) {
+    return [...tasks].sort((a, b) => this.handlers.get(a.type).priority - this.handlers.get(b.type).priority);
+  }
+  
+  /**
+   * Gets the name of the handler that verifies an activity type
    * @param {string} activityType - Task/activity type
-   * @returns {Promise<Object>} Verification result
+   * @returns {string} Handler name
+   */
+  getHandlerName(activityType) {
+    return this.handlers.get(activityType).name;
+  }
+  
+  /**
+   * Builds the context passed to a handler
+   * @param {Object} task - Task/activity being verified
+   * @returns {Object} Handler context
+   */
+  createHandlerContext(task) {
+    return {
+      logger: this.logger,
+      apiClient: this.apiClient,
+      walletAddress: this.walletAddress,
+      campaignId: this.campaignId,
+      quizAnswers: config.quizAnswers,
+      verify: (metadata = null) => this.verifyActivity(task.id, metadata)
+    };
+  }
+  
+  /**
+   * Lists the prerequisites of a task that are not met
+   * @param {Object} task - Task/activity
+   * @returns {string[]} Unmet prerequisites (empty if it can be verified)
    */
-  async verifyTask(activityId, activityType) {
-    this.logger.info(`Verifying task: ${activityId} (Type: ${activityType}) for wallet: ${this.walletAddress}`);
+  getUnmetPrerequisites(task) {
+    const handler = this.handlers.get(task.type);
+    return handler.prerequisites ? handler.prerequisites(task, this.createHandlerContext(task)) : [];
+  }
+  
+  /**
+   * Verifies a task to mark it as completed
+   * @param {Object} task - Task/activity to verify
+   * @returns {Promise<Object|null>} Verification record
+   */
+  async verifyTask(task) {
+    const handler = this.handlers.get(task.type);
+    this.logger.info(`Verifying task: ${task.id} (Type: ${task.type}, handler: ${handler.name}) for wallet: ${this.walletName}`);
+    
+    if (!this.handlers.has(task.type)) {
+      this.logger.warn(`No handler registered for activity type ${task.type}, using the ${handler.name} handler`);
+    }
     
     try {
-      // Special handling for different task types
-      switch(activityType) {
-        case 'TWITTER_FOLLOW':
-          return this.handleTwitterFollow(activityId);
-        case 'TWEET_RETWEET':
-          return this.handleTwitterRetweet(activityId);
-        case 'QUIZ':
-          return this.handleQuizTask(activityId);
-        case 'EXTERNAL_LINK':
-          return this.handleExternalLink(activityId);
-        case 'GM':
-        case 'CHECK_IN':
-        case 'FARCASTER_FOLLOW':
-        case 'REFERRAL':
-        case 'REFEREE_SIGNUP_BONUS':
-        default:
-          return this.defaultVerifyTask(activityId);
-      }
+      return await handler.verify(task, this.createHandlerContext(task));
     } catch (error) {
-      this.logger.error(`Verification failed for task ${activityId}`, {
-        type: activityType,
+      this.logger.error(`Verification failed for task ${task.id}`, {
+        type: task.type,
         error: error.message
       });
       throw error;
@@ -340,141 +434,167 @@ class TaskService {
   }
   
   /**
-   * Default task verification method
+   * Verifies one activity by ID, regardless of its priority or type
    * @param {string} activityId - Task/activity ID
-   * @returns {Promise<Object>} Verification result
+   * @returns {Promise<Object>} The task and its verification record
    */
-  async defaultVerifyTask(activityId) {
-    try {
-      const response = await this.apiClient.graphqlRequest(
-        "VerifyActivity",
-        VERIFY_MUTATION,
-        { data: { activityId } }
-      );
-      
-      const result = response.data?.data?.verifyActivity?.record;
-      
-      if (result) {
-        // Extract only essential information from the result
-        const essentialInfo = {
-          status: result.status,
-          points: result.rewardRecords?.[0]?.appliedRewardQuantity || 0
-        };
-        
-        this.logger.info('Task verification result', essentialInfo);
-      }
-      
-      return result;
-    } catch (error) {
-      this.logger.error('Task verification failed', {
-        activityId,
-        error: error.message
-      });
-      return null;
+  async verifyActivityById(activityId) {
+    const tasks = await this.getAvailableTasks({ includeSkipped: true });
+    const task = tasks.find(t => t.id === activityId);
+    
+    if (!task) {
+      throw new Error(`Activity ${activityId} is not available for wallet ${this.walletName} (unknown, hidden or already completed)`);
     }
+    
+    const unmet = this.getUnmetPrerequisites(task);
+    if (unmet.length > 0) {
+      throw new Error(`Activity ${activityId} can't be verified yet: ${unmet.join('; ')}`);
+    }
+    
+    const result = await this.verifyTask(task);
+    this.recordAttempt(task, result);
+    
+    return { task, result };
   }
   
   /**
-   * Handles Twitter follow task
+   * Sends the VerifyActivity mutation
    * @param {string} activityId - Task/activity ID
-   * @returns {Promise<Object>} Verification result
+   * @param {Object|null} metadata - Verification metadata (e.g. quiz responses)
+   * @returns {Promise<Object|null>} Verification record
    */
-  async handleTwitterFollow(activityId) {
-    const username = await this.extractTaskProperty(activityId, 'TWITTER_FOLLOW', 'username');
-    this.logger.info(`Following Twitter user: ${username}`);
-    return this.defaultVerifyTask(activityId);
+  async verifyActivity(activityId, metadata = null) {
+    const data = metadata ? { activityId, metadata } : { activityId };
+    const response = await this.apiClient.graphqlRequest(
+      "VerifyActivity",
+      VERIFY_MUTATION,
+      { data }
+    );
+    
+    const result = response.data?.data?.verifyActivity?.record || null;
+    
+    if (result) {
+      // Extract only essential information from the result
+      const essentialInfo = {
+        status: result.status,
+        points: result.rewardRecords?.[0]?.appliedRewardQuantity || 0
+      };
+      
+      this.logger.info('Task verification result', essentialInfo);
+    }
+    
+    return result;
   }
   
   /**
-   * Handles Twitter retweet task
-   * @param {string} activityId - Task/activity ID
-   * @returns {Promise<Object>} Verification result
+   * Records a verify attempt in the metrics and the history store, if one is configured
+   * @param {Object} task - Task/activity that was verified
+   * @param {Object|null} result - Verification record returned by the server
+   * @param {string|null} error - Error message if the attempt failed
+   * @param {boolean} verified - False if the task was not sent for verification
+   * @returns {Object|null} Handler details of the result (see getResultDetails)
    */
-  async handleTwitterRetweet(activityId) {
-    const tweetLink = await this.extractTaskProperty(activityId, 'TWEET_RETWEET', 'link');
-    this.logger.info(`Retweeting: ${tweetLink}`);
-    return this.defaultVerifyTask(activityId);
+  recordAttempt(task, result, error = null, verified = true) {
+    const details = this.getResultDetails(task, result);
+    
+    if (verified) {
+      metrics.tasksVerified.inc({ type: task.type });
+    }
+    if (result?.status === 'COMPLETED') {
+      metrics.tasksCompleted.inc({ type: task.type });
+    } else {
+      metrics.tasksFailed.inc({ type: task.type });
+    }
+    
+    if (!this.historyStore) return details;
+    
+    this.historyStore.recordAttempt({
+      runId: this.runId,
+      wallet: this.walletAddress,
+      campaignId: this.campaignId,
+      activityId: task.id,
+      title: task.title,
+      type: task.type,
+      status: result?.status || 'FAILED',
+      points: result?.rewardRecords?.[0]?.appliedRewardQuantity || 0,
+      rewardRecords: result?.rewardRecords || [],
+      error: error || (result ? null : 'No verification record returned'),
+      details
+    });
+    
+    return details;
   }
   
   /**
-   * Handles external link task
-   * @param {string} activityId - Task/activity ID
-   * @returns {Promise<Object>} Verification result
+   * Asks the task's handler to describe a verification record
+   * @param {Object} task - Task/activity that was verified
+   * @param {Object|null} result - Verification record returned by the server
+   * @returns {Object|null} Details such as { answersAccepted }, or null
    */
-  async handleExternalLink(activityId) {
-    const link = await this.extractTaskProperty(activityId, 'EXTERNAL_LINK', 'link');
-    this.logger.info(`Visiting external link: ${link}`);
-    return this.defaultVerifyTask(activityId);
+  getResultDetails(task, result) {
+    const handler = this.handlers.get(task.type);
+    return result && handler.describeResult ? handler.describeResult(task, result) : null;
   }
   
   /**
-   * Handles quiz task
-   * @param {string} activityId - Task/activity ID
-   * @returns {Promise<Object>} Verification result
+   * Fetches the wallet's point balance and rank in the campaign
+   * @returns {Promise<Object|null>} { campaignId, points, rank } or null if unavailable
+   * @throws {Error} If the API is unavailable
    */
-  async handleQuizTask(activityId) {
-    this.logger.info(`Completing quiz task: ${activityId}`);
-    
+  async getCampaignBalance() {
     try {
-      // Get the correct answers for this specific quiz
-      const responses = config.quizAnswers[activityId] || [];
-      
-      if (responses.length === 0) {
-        this.logger.warn(`No answers found for quiz: ${activityId}`);
-        return this.defaultVerifyTask(activityId);
-      }
-      
-      // Verify task with quiz answers
       const response = await this.apiClient.graphqlRequest(
-        "VerifyActivity",
-        VERIFY_MUTATION,
-        {
-          data: {
-            activityId: activityId,
-            metadata: { responses: responses }
-          }
-        }
+        "CampaignSpot",
+        CAMPAIGN_SPOT_QUERY,
+        { campaignId: this.campaignId }
       );
       
-      const result = response.data?.data?.verifyActivity?.record;
+      const spot = response.data?.data?.campaign?.userSpot;
       
-      if (result) {
-        // Extract only essential information from the result
-        const essentialInfo = {
-          status: result.status,
-          points: result.rewardRecords?.[0]?.appliedRewardQuantity || 0
-        };
-        
-        this.logger.info('Quiz task verification result', essentialInfo);
+      if (!spot) {
+        this.logger.warn(`No balance returned for wallet ${this.walletName} (campaign ${this.campaignId})`);
+        return null;
       }
       
-      return result;
+      return {
+        campaignId: this.campaignId,
+        points: spot.points || 0,
+        rank: spot.rank ?? null
+      };
     } catch (error) {
-      this.logger.error('Error in quiz task handling', {
-        activityId,
+      this.logger.warn('Error fetching campaign balance', {
+        walletAddress: this.walletAddress,
+        campaignId: this.campaignId,
         error: error.message
       });
-      throw error;
+      if (isUpstreamFailure(error)) throw error;
+      return null;
     }
   }
   
   /**
-   * Extracts property from a task
-   * @param {string} activityId - Task/activity ID
-   * @param {string} activityType - Task/activity type
-   * @param {string} propertyName - Property name to extract
-   * @returns {Promise<string>} Property value
+   * Builds the processing plan without verifying anything
+   * @returns {Promise<Object>} Plan with the tasks in processing order
    */
-  async extractTaskProperty(activityId, activityType, propertyName) {
-    const tasks = await this.getAvailableTasks({ includeSkipped: true });
-    const task = tasks.find(t => t.id === activityId && t.type === activityType);
+  async planTasks() {
+    const tasks = this.sortTasks(await this.getAvailableTasks());
     
-    if (!task || !task.properties || !task.properties[propertyName]) {
-      this.logger.warn(`Property ${propertyName} not found for task ${activityId}`);
-      return null;
-    }
+    const plannedTasks = tasks.map(task => ({
+      id: task.id,
+      campaignId: this.campaignId,
+      title: task.title,
+      type: task.type,
+      reward: task.reward?.quantity || 0,
+      handler: this.getHandlerName(task.type),
+      unmetPrerequisites: this.getUnmetPrerequisites(task)
+    }));
     
-    return task.properties[propertyName];
+    return {
+      walletAddress: this.walletAddress,
+      campaignId: this.campaignId,
+      tasks: plannedTasks,
+      totalReward: plannedTasks.reduce((sum, task) => sum + task.reward, 0)
+    };
   }
   
   /**
@@ -482,73 +602,121 @@ class TaskService {
    * @returns {Promise<Object>} Processing results
    */
   async processAllTasks() {
+    const startedAt = Date.now();
+    
     try {
       const tasks = await this.getAvailableTasks();
       
       if (!tasks || tasks.length === 0) {
-        this.logger.info(`No tasks available for wallet ${this.walletAddress}`);
+        this.logger.info(`No tasks available for wallet ${this.walletName}`);
         return {
           walletAddress: this.walletAddress,
+          campaignId: this.campaignId,
           totalTasks: 0,
           completedCount: 0,
           failedCount: 0,
           totalPoints: 0,
           completedTasks: [],
-          failedTasks: []
+          failedTasks: [],
+          durationMs: Date.now() - startedAt
         };
       }
       
       const completedTasks = [];
       const failedTasks = [];
+      let outage = null;
 
       // Sort tasks to prioritize certain types
-      const priorityOrder = [
-        'GM', 'CHECK_IN', 
-        'TWITTER_FOLLOW', 'FARCASTER_FOLLOW', 
-        'TWEET_RETWEET', 
-        'EXTERNAL_LINK', 'QUIZ',
-        'REFERRAL', 'REFEREE_SIGNUP_BONUS'
-      ];
-
-      // Sort tasks based on priority
-      const sortedTasks = tasks.sort((a, b) => {
-        const priorityA = priorityOrder.indexOf(a.type);
-        const priorityB = priorityOrder.indexOf(b.type);
-        return priorityA - priorityB;
-      });
+      const sortedTasks = this.sortTasks(tasks);
 
       for (const task of sortedTasks) {
+        // Once the API is considered down, the remaining tasks wait for the retry run
+        if (this.circuitBreaker.isOpen()) {
+          outage = this.circuitBreaker.reason;
+          this.logger.warn(`Stopping tasks of ${this.walletName}: circuit breaker is open`);
+          break;
+        }
+        
         this.logger.info(`Processing task: ${task.title} (Type: ${task.type})`);
         
+        const unmet = this.getUnmetPrerequisites(task);
+        if (unmet.length > 0) {
+          const error = `Prerequisite not met: ${unmet.join('; ')}`;
+          this.logger.warn(`⏭️ Not verifying ${task.title}: ${error}`);
+          this.recordAttempt(task, null, error, false);
+          failedTasks.push({
+            id: task.id,
+            campaignId: this.campaignId,
+            title: task.title,
+            type: task.type,
+            error,
+            code: null,
+            reason: null,
+            durationMs: 0
+          });
+          continue;
+        }
+        
+        const taskStartedAt = Date.now();
+        
         try {
-          // Add a small delay between tasks to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-          const result = await this.verifyTask(task.id, task.type);
+          const result = await this.verifyTask(task);
+          const durationMs = Date.now() - taskStartedAt;
+          const details = this.recordAttempt(task, result);
           
           if (result?.status === "COMPLETED") {
             const points = result.rewardRecords?.[0]?.appliedRewardQuantity || 0;
             this.logger.info(`✅ Task completed: ${task.title} (${points} points)`);
             completedTasks.push({
+              id: task.id,
+              campaignId: this.campaignId,
               title: task.title,
               type: task.type,
-              points: points
+              points: points,
+              durationMs,
+              ...(details && { details })
             });
           } else {
-            this.logger.warn(`❌ Failed to complete task: ${task.title}`);
+            const error = result ? `Verification returned status ${result.status}` : 'No verification record returned';
+            this.logger.warn(`❌ Failed to complete task: ${task.title} (${error})`);
             failedTasks.push({
+              id: task.id,
+              campaignId: this.campaignId,
               title: task.title,
-              type: task.type
+              type: task.type,
+              error,
+              code: null,
+              reason: null,
+              durationMs,
+              ...(details && { details })
             });
           }
         } catch (taskError) {
-          this.logger.error(`Error processing task - ${task.title}`, { 
-            error: taskError.message
-          });
+          // The request was never sent, so there is no attempt to record
+          if (taskError instanceof CircuitOpenError) {
+            outage = taskError.reason;
+            this.logger.warn(`Stopping tasks of ${this.walletName}: circuit breaker is open`);
+            break;
+          }
+          
+          // Keep the server's own reason and code for the results and reports
+          const failure = describeFailure(taskError);
+          if (taskError instanceof AlreadyCompletedError || taskError instanceof ActivityNotEligibleError) {
+            this.logger.warn(`⏭️ Task not completed: ${task.title} - ${failure.reason}`, { code: failure.code });
+          } else {
+            this.logger.error(`Error processing task - ${task.title}`, { 
+              error: failure.error,
+              code: failure.code
+            });
+          }
+          this.recordAttempt(task, null, failure.error);
           failedTasks.push({
+            id: task.id,
+            campaignId: this.campaignId,
             title: task.title,
             type: task.type,
-            error: taskError.message
+            ...failure,
+            durationMs: Date.now() - taskStartedAt
           });
         }
       }
@@ -559,15 +727,18 @@ class TaskService {
       // Task summary
       const summary = {
         walletAddress: this.walletAddress,
+        campaignId: this.campaignId,
+        ...(outage && { error: `API unavailable: ${outage}` }),
         totalTasks: tasks.length,
         completedCount: completedTasks.length,
         failedCount: failedTasks.length,
         totalPoints: totalPoints,
         completedTasks,
-        failedTasks
+        failedTasks,
+        durationMs: Date.now() - startedAt
       };
 
-      this.logger.info(`=== TASKS SUMMARY FOR ${this.walletAddress} ===`, {
+      this.logger.info(`=== TASKS SUMMARY FOR ${this.walletName} (campaign ${this.campaignId}) ===`, {
         totalTasks: tasks.length,
         completedTasks: completedTasks.length,
         failedTasks: failedTasks.length,
@@ -576,19 +747,21 @@ class TaskService {
 
       return summary;
     } catch (error) {
-      this.logger.error(`Fatal error in task processing for ${this.walletAddress}`, { 
+      this.logger.error(`Fatal error in task processing for ${this.walletName}`, { 
         error: error.message
       });
       
       return {
         walletAddress: this.walletAddress,
+        campaignId: this.campaignId,
         error: error.message,
         totalTasks: 0,
         completedCount: 0,
         failedCount: 0,
         totalPoints: 0,
         completedTasks: [],
-        failedTasks: []
+        failedTasks: [],
+        durationMs: Date.now() - startedAt
       };
     }
   }
@@ -0,0 +1,214 @@
+/**
+ * Wallet Definitions
+ *
+ * Reads the wallet definition file (WALLET_DEFINITIONS_FILE, JSON or YAML),
+ * a structured alternative to pk.txt. Each entry names a wallet by private
+ * key, or by address for keys held in the key source, and may set:
+ * - label: name shown in logs and reports instead of the bare address
+ * - group: wallet group (campaigns of the WALLET_GROUPS entry with that name apply)
+ * - enabled: false to skip the wallet in every command
+ * - campaigns: campaign IDs this wallet processes
+ * - allowTypes / allowActivities: only these activity types or IDs are run
+ * - denyTypes / denyActivities: these activity types or IDs are never run
+ *
+ * The file holds a list of entries, or an object with a "wallets" list. A file
+ * with private keys in it gets the same permission check as pk.txt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const YAML = require('yaml');
+const config = require('../config');
+const { normalizePrivateKey, checkKeyFilePermissions } = require('./key-store');
+
+const RULE_FIELDS = ['allowTypes', 'denyTypes', 'allowActivities', 'denyActivities'];
+
+/**
+ * Checks that a value is a list of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True if valid
+ */
+const isStringList = value =>
+  Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+/**
+ * Checks whether task rules exclude an activity
+ * @param {Object|null} rules - { allowTypes, denyTypes, allowActivities, denyActivities }
+ * @param {Object} activity - Activity with id and type
+ * @returns {string|null} Why the activity is excluded, or null if it may run
+ */
+function checkTaskRules(rules, activity) {
+  if (!rules) return null;
+
+  const { allowTypes = [], denyTypes = [], allowActivities = [], denyActivities = [] } = rules;
+
+  // Denials win over allowances
+  if (denyActivities.includes(activity.id)) return `activity ${activity.id} is denied for this wallet`;
+  if (denyTypes.includes(activity.type)) return `type ${activity.type} is denied for this wallet`;
+
+  if ((allowTypes.length > 0 || allowActivities.length > 0) &&
+      !allowTypes.includes(activity.type) && !allowActivities.includes(activity.id)) {
+    return `${activity.type} activity ${activity.id} is not in this wallet's allow list`;
+  }
+
+  return null;
+}
+
+class WalletDefinitions {
+  /**
+   * Creates a new wallet definition reader
+   * @param {Object} options - Reader options
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.filePath - Wallet definition file (.json, .yaml or .yml)
+   * @param {boolean} options.strictPermissions - Refuse a file with private keys and loose permissions
+   */
+  constructor(options = {}) {
+    const {
+      logger = console,
+      filePath = config.WALLET_DEFINITIONS_FILE,
+      strictPermissions = config.STRICT_KEY_PERMISSIONS
+    } = options;
+
+    this.logger = logger;
+    this.filePath = filePath;
+    this.strictPermissions = strictPermissions;
+  }
+
+  /**
+   * Checks whether the definition file exists
+   * @returns {boolean} True if it exists
+   */
+  exists() {
+    return Boolean(this.filePath) && fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Parses the definition file according to its extension
+   * @returns {*} Parsed content
+   * @throws {Error} If the file can't be parsed
+   */
+  parse() {
+    const text = fs.readFileSync(this.filePath, 'utf8');
+    const yaml = ['.yaml', '.yml'].includes(path.extname(this.filePath).toLowerCase());
+
+    try {
+      return yaml ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not parse wallet definitions ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads and validates every wallet definition
+   * @returns {Object[]} Definitions { privateKey, address, label, group, enabled, campaigns, taskRules }
+   *   (empty if there is no definition file)
+   * @throws {Error} Listing every invalid entry, or if the file holds private keys,
+   *   is readable by other users and STRICT_KEY_PERMISSIONS is set
+   */
+  load() {
+    if (!this.exists()) return [];
+
+    const content = this.parse();
+    const entries = Array.isArray(content) ? content : content?.wallets;
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`Wallet definitions ${this.filePath} must hold a list of wallets or { "wallets": [...] }`);
+    }
+
+    const problems = [];
+    const definitions = entries.map((entry, index) => {
+      try {
+        return WalletDefinitions.normalize(entry);
+      } catch (error) {
+        problems.push(`wallet #${index + 1}: ${error.message}`);
+        return null;
+      }
+    });
+
+    const seen = new Set();
+    definitions.filter(definition => definition).forEach(definition => {
+      if (seen.has(definition.address)) {
+        problems.push(`${definition.address} is defined more than once`);
+      }
+      seen.add(definition.address);
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid wallet definitions in ${this.filePath}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    }
+
+    if (definitions.some(definition => definition.privateKey)) {
+      checkKeyFilePermissions(this.filePath, {
+        strict: this.strictPermissions,
+        logger: this.logger,
+        advice: 'list wallets by address and keep their keys in a vault'
+      });
+    }
+
+    this.logger.info(`Loaded ${definitions.length} wallet definitions from ${this.filePath}`);
+    return definitions;
+  }
+
+  /**
+   * Validates one entry and fills in its defaults
+   * @param {Object} entry - Entry from the definition file
+   * @returns {Object} Normalized definition
+   * @throws {Error} If the entry is invalid
+   */
+  static normalize(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error('expected an object');
+    }
+
+    const { privateKey = null, address = null, label = null, group = null, enabled = true, campaigns = null } = entry;
+
+    if (!privateKey && !address) throw new Error('privateKey or address is required');
+    if (label !== null && (typeof label !== 'string' || label.trim() === '')) throw new Error('label must be a non-empty string');
+    if (group !== null && (typeof group !== 'string' || group.trim() === '')) throw new Error('group must be a non-empty string');
+    if (typeof enabled !== 'boolean') throw new Error('enabled must be true or false');
+    if (campaigns !== null && !isStringList(campaigns)) throw new Error('campaigns must be a list of campaign IDs');
+
+    RULE_FIELDS.forEach(field => {
+      if (entry[field] !== undefined && !isStringList(entry[field])) {
+        throw new Error(`${field} must be a list of strings`);
+      }
+    });
+
+    let key = null;
+    if (privateKey) {
+      try {
+        key = normalizePrivateKey(String(privateKey));
+      } catch (error) {
+        throw new Error('privateKey is not a valid private key');
+      }
+    }
+
+    if (address && !ethers.utils.isAddress(String(address))) {
+      throw new Error(`address ${address} is not a valid address`);
+    }
+
+    const derived = key ? new ethers.Wallet(key).address : ethers.utils.getAddress(String(address));
+    if (key && address && ethers.utils.getAddress(String(address)) !== derived) {
+      throw new Error(`address ${address} does not match the private key (${derived})`);
+    }
+
+    const hasRules = RULE_FIELDS.some(field => entry[field]?.length > 0);
+
+    return {
+      privateKey: key,
+      address: derived,
+      label: label?.trim() || null,
+      group: group?.trim() || null,
+      enabled,
+      campaigns: campaigns?.length ? campaigns : null,
+      taskRules: hasRules
+        ? Object.fromEntries(RULE_FIELDS.map(field => [field, entry[field] || []]))
+        : null
+    };
+  }
+}
+
+WalletDefinitions.checkTaskRules = checkTaskRules;
+
+module.exports = WalletDefinitions;
@@ -12,20 +12,166 @@ const config = require('./config');
 const Wallet = require('./models/wallet');
 const AuthService = require('./services/auth-service');
 const TaskService = require('./services/task-service');
-const { sleep } = require('./utils/retry');
+const HistoryStore = require('./services/history-store');
+const SessionStore = require('./services/session-store');
+const KeyStore = require('./services/key-store');
+const WalletDefinitions = require('./services/wallet-definitions');
+const ReportWriter = require('./services/report-writer');
+const { metrics } = require('./services/metrics');
+const { resetRetryBudget } = require('./services/retry-policy');
+const { circuitBreaker } = require('./services/circuit-breaker');
+const { createHandlerRegistry } = require('./handlers');
+const { mapWithConcurrency } = require('./utils/pool');
+const { createPrefixedLogger } = require('./utils/prefixed-logger');
 const { getProxyDisplayString } = require('./utils/proxy');
 
+/**
+ * Names the wallet of a processing result in logs
+ * @param {Object} result - Wallet result
+ * @returns {string} "label (address)", or the address if the wallet has no label
+ */
+function formatResultWallet(result) {
+  return result.label ? `${result.label} (${result.wallet})` : result.wallet;
+}
+
+/**
+ * Describes a campaign balance and its change since the last cycle
+ * @param {Object} balance - Balance from TaskProcessor.trackBalance
+ * @returns {string} Text such as "1230 points (+40 since last cycle), rank #12 (up 3)"
+ */
+function formatBalance(balance) {
+  let text = `${balance.points} points`;
+  
+  if (balance.pointsChange !== null) {
+    text += ` (${balance.pointsChange >= 0 ? '+' : ''}${balance.pointsChange} since last cycle)`;
+  }
+  
+  if (balance.rank !== null) {
+    text += `, rank #${balance.rank}`;
+    if (balance.rankChange) {
+      text += ` (${balance.rankChange > 0 ? 'up' : 'down'} ${Math.abs(balance.rankChange)})`;
+    }
+  }
+  
+  return text;
+}
+
 class TaskProcessor {
   /**
    * Creates a new task processor
    * @param {Object} options - Processor options
    * @param {Object} options.logger - Logger instance
+   * @param {HistoryStore} options.historyStore - Optional task history store
+   * @param {SessionStore} options.sessionStore - Optional authenticated session cache
+   * @param {KeyStore} options.keyStore - Optional private key source
+   * @param {WalletDefinitions} options.walletDefinitions - Optional wallet definition file reader
+   * @param {ReportWriter} options.reportWriter - Optional run report writer
+   * @param {HandlerRegistry} options.handlers - Optional task handler registry
+   * @param {number} options.concurrency - Wallets processed at the same time
+   * @param {CircuitBreaker} options.circuitBreaker - Outage detector (defaults to the one shared by all API clients)
+   * @param {Object} options.walletFilter - Optional filter to target specific wallets
+   * @param {string} options.walletFilter.address - Only the wallet with this address or label
+   * @param {number} options.walletFilter.index - Only the wallet at this 1-based position
    */
   constructor(options = {}) {
-    const { logger = console } = options;
+    const {
+      logger = console,
+      historyStore = null,
+      sessionStore = null,
+      keyStore = null,
+      walletDefinitions = null,
+      reportWriter = null,
+      handlers = null,
+      concurrency = config.WALLET_CONCURRENCY,
+      circuitBreaker: breaker = circuitBreaker,
+      walletFilter = null
+    } = options;
     
     this.logger = logger;
     this.wallets = [];
+    this.historyStore = historyStore || new HistoryStore({ logger });
+    this.sessionStore = sessionStore || new SessionStore({ logger });
+    this.keyStore = keyStore || new KeyStore({ logger });
+    this.walletDefinitions = walletDefinitions || new WalletDefinitions({ logger });
+    this.reportWriter = reportWriter || new ReportWriter({ logger });
+    this.handlers = handlers || createHandlerRegistry({ logger });
+    this.concurrency = concurrency;
+    this.circuitBreaker = breaker;
+    this.walletFilter = walletFilter;
+    this.runId = null;
+    this.lastReport = null;
+  }
+  
+  /**
+   * Gets the logger for work on one wallet. When several wallets are
+   * processed at once, every line is prefixed with the wallet's label or
+   * shortened address.
+   * @param {Wallet} wallet - Wallet
+   * @returns {Object} Logger instance
+   */
+  getWalletLogger(wallet) {
+    if (this.concurrency <= 1) {
+      return this.logger;
+    }
+    
+    const address = wallet.getAddress();
+    return createPrefixedLogger(this.logger, `[${wallet.label || `${address.slice(0, 6)}...${address.slice(-4)}`}]`);
+  }
+  
+  /**
+   * Applies the wallet filter, if any
+   * @param {Wallet[]} wallets - All wallets
+   * @returns {Wallet[]} Wallets selected by the filter
+   */
+  applyWalletFilter(wallets) {
+    const { address = null, index = null } = this.walletFilter || {};
+    
+    if (address === null && index === null) {
+      return wallets;
+    }
+    
+    const selected = wallets.filter(wallet =>
+      (address === null || [wallet.getAddress(), wallet.label].some(name => name?.toLowerCase() === address.toLowerCase())) &&
+      (index === null || wallet.index === Number(index))
+    );
+    
+    if (selected.length === 0) {
+      throw new Error(`No wallet matches ${address !== null ? `address ${address}` : `index ${index}`}`);
+    }
+    
+    return selected;
+  }
+  
+  /**
+   * Finds the configured wallet group for a wallet
+   * @param {string} address - Wallet address
+   * @param {number} index - 1-based wallet position
+   * @param {string} name - Group named by the wallet's definition, if any
+   * @returns {Object|null} The named group, or the first group from WALLET_GROUPS that lists the wallet
+   */
+  findWalletGroup(address, index, name = null) {
+    if (name) {
+      return (config.WALLET_GROUPS || []).find(group => group.name === name) || null;
+    }
+    
+    return (config.WALLET_GROUPS || []).find(group =>
+      group.wallets.some(member => typeof member === 'number'
+        ? member === index
+        : member.toLowerCase() === address.toLowerCase())
+    ) || null;
+  }
+  
+  /**
+   * Gets the campaigns a wallet should process
+   * @param {Wallet} wallet - Wallet
+   * @returns {string[]} Campaign IDs
+   */
+  getCampaignIds(wallet) {
+    if (wallet.getCampaigns()?.length) {
+      return wallet.getCampaigns();
+    }
+    
+    return config.CAMPAIGN_IDS?.length ? config.CAMPAIGN_IDS : [config.CAMPAIGN_ID];
   }
   
   /**
@@ -36,30 +182,68 @@ class TaskProcessor {
     this.logger.info('Initializing wallets');
     
     try {
-      // Get private keys and proxy configurations
-      const privateKeys = config.privateKeys;
+      // Get private keys (vault, keystore or plaintext), wallet definitions and proxy configurations
+      const definitions = this.walletDefinitions.load();
+      const privateKeys = [...(await this.keyStore.loadPrivateKeys() || [])];
+      const addresses = privateKeys.map(privateKey => new ethers.Wallet(privateKey).address);
       const proxyConfigs = config.proxyConfigs;
       
-      if (!privateKeys || privateKeys.length === 0) {
+      // Definitions with their own key add wallets after those of the key source
+      definitions.filter(definition => definition.privateKey && !addresses.includes(definition.address))
+        .forEach(definition => {
+          privateKeys.push(definition.privateKey);
+          addresses.push(definition.address);
+        });
+      
+      definitions.filter(definition => !addresses.includes(definition.address)).forEach(definition => {
+        this.logger.warn(`Wallet definition ${definition.label || definition.address} has no private key in the key source`);
+      });
+      
+      if (privateKeys.length === 0) {
         throw new Error('No private keys found in configuration');
       }
       
       this.logger.info(`Found ${privateKeys.length} private keys`);
       
       // Create wallet models
-      this.wallets = privateKeys.map((privateKey, index) => {
+      const wallets = privateKeys.map((privateKey, index) => {
         // Match proxy config or use null
         const proxyConfig = proxyConfigs.length >= privateKeys.length 
           ? proxyConfigs[index]
           : proxyConfigs[index % proxyConfigs.length] || null;
         
-        return new Wallet({ privateKey, proxyConfig });
+        const walletIndex = index + 1;
+        const definition = definitions.find(candidate => candidate.address === addresses[index]) || null;
+        const group = this.findWalletGroup(addresses[index], walletIndex, definition?.group);
+        
+        return new Wallet({
+          privateKey,
+          proxyConfig,
+          index: walletIndex,
+          group: definition?.group || group?.name || null,
+          campaigns: definition?.campaigns || group?.campaigns || null,
+          label: definition?.label || null,
+          taskRules: definition?.taskRules || null
+        });
+      });
+      
+      // Disabled wallets keep their position, so indexes don't shift when one is switched off
+      const enabled = wallets.filter(wallet => {
+        const definition = definitions.find(candidate => candidate.address === wallet.getAddress());
+        if (definition && !definition.enabled) {
+          this.logger.info(`Wallet ${wallet.index} (${wallet.getDisplayName()}) is disabled`);
+          return false;
+        }
+        return true;
       });
       
+      this.wallets = this.applyWalletFilter(enabled);
+      
       // Log wallet addresses
-      this.wallets.forEach((wallet, index) => {
-        this.logger.info(`Initialized wallet ${index + 1}`, { 
+      this.wallets.forEach(wallet => {
+        this.logger.info(`Initialized wallet ${wallet.index}`, { 
           address: wallet.getAddress(),
+          label: wallet.label,
           proxy: getProxyDisplayString(wallet.getProxyConfig())
         });
       });
@@ -74,27 +258,88 @@ class TaskProcessor {
     }
   }
   
+  /**
+   * Re-reads the wallet, proxy and quiz answer sources before a cycle and
+   * logs what changed since the previous one. If the wallets can't be
+   * loaded (e.g. a key file mid-edit), the previous wallets are kept.
+   * @returns {Promise<Object>} { added, removed, proxyChanged } wallet addresses and quiz answer changes
+   */
+  async reloadSources() {
+    const previous = this.wallets;
+    const { quizzes } = config.reloadSources();
+    
+    if (quizzes.error) {
+      this.logger.warn(`Could not reload quiz answers, keeping the previous ones: ${quizzes.error}`);
+    }
+    if (quizzes.added.length > 0) {
+      this.logger.info(`Quiz answers added: ${quizzes.added.join(', ')}`);
+    }
+    if (quizzes.updated.length > 0) {
+      this.logger.info(`Quiz answers updated: ${quizzes.updated.join(', ')}`);
+    }
+    if (quizzes.removed.length > 0) {
+      this.logger.info(`Quiz answers removed: ${quizzes.removed.join(', ')}`);
+    }
+    
+    try {
+      await this.initializeWallets();
+    } catch (error) {
+      this.logger.warn(`Could not reload wallets, keeping the previous ${previous.length}: ${error.message}`);
+      this.wallets = previous;
+      return { added: [], removed: [], proxyChanged: [], quizzes };
+    }
+    
+    const byAddress = new Map(previous.map(wallet => [wallet.getAddress(), wallet]));
+    const current = new Set(this.wallets.map(wallet => wallet.getAddress()));
+    
+    const added = [...current].filter(address => !byAddress.has(address));
+    const removed = [...byAddress.keys()].filter(address => !current.has(address));
+    const proxyChanged = this.wallets
+      .filter(wallet => byAddress.has(wallet.getAddress()))
+      .filter(wallet => JSON.stringify(wallet.getProxyConfig()) !==
+        JSON.stringify(byAddress.get(wallet.getAddress()).getProxyConfig()))
+      .map(wallet => wallet.getAddress());
+    
+    if (added.length > 0) {
+      this.logger.info(`Wallets added: ${added.join(', ')}`);
+    }
+    if (removed.length > 0) {
+      this.logger.info(`Wallets removed: ${removed.join(', ')}`);
+    }
+    if (proxyChanged.length > 0) {
+      this.logger.info(`Proxy changed for wallets: ${proxyChanged.join(', ')}`);
+    }
+    
+    return { added, removed, proxyChanged, quizzes };
+  }
+  
   /**
    * Performs authentication for a wallet
    * @param {Wallet} wallet - Wallet to authenticate
+   * @param {Object} options - Authentication options
+   * @param {boolean} options.fresh - Skip the session cache and log in again
    * @returns {Promise<Object>} Authentication result
    */
-  async authenticateWallet(wallet) {
-    this.logger.info(`Authenticating wallet: ${wallet.getAddress()}`);
+  async authenticateWallet(wallet, options = {}) {
+    const logger = this.getWalletLogger(wallet);
+    logger.info(`Authenticating wallet: ${wallet.getDisplayName()}`);
     
     try {
       const authService = new AuthService({
-        logger: this.logger,
+        logger,
         wallet: wallet.getEthersWallet(),
-        proxyConfig: wallet.getProxyConfig()
+        proxyConfig: wallet.getProxyConfig(),
+        sessionStore: this.sessionStore
       });
       
-      const authResult = await authService.login();
+      const authResult = options.fresh
+        ? await authService.refreshSession()
+        : await authService.authenticate();
       
       // Store authentication state in wallet
       wallet.setAuthenticated(authResult);
       
-      this.logger.info(`Authentication successful for ${wallet.getAddress()}`);
+      logger.info(`Authentication successful for ${wallet.getDisplayName()}`);
       
       return {
         wallet,
@@ -102,7 +347,8 @@ class TaskProcessor {
         apiClient: authResult.apiClient
       };
     } catch (error) {
-      this.logger.error(`Authentication failed for ${wallet.getAddress()}`, {
+      metrics.authFailures.inc({ wallet: wallet.getAddress(), reason: 'login_failed' });
+      logger.error(`Authentication failed for ${wallet.getDisplayName()}`, {
         error: error.message
       });
       throw error;
@@ -110,38 +356,191 @@ class TaskProcessor {
   }
   
   /**
-   * Processes tasks for a single wallet
+   * Describes the configured wallets without authenticating them
+   * @returns {Promise<Array>} Wallet summaries with group, campaigns, proxy and cached session expiry
+   */
+  async describeWallets() {
+    if (this.wallets.length === 0) {
+      await this.initializeWallets();
+    }
+    
+    return this.wallets.map(wallet => {
+      const session = this.sessionStore.load(wallet.getEthersWallet());
+      
+      return {
+        index: wallet.index,
+        address: wallet.getAddress(),
+        label: wallet.label,
+        group: wallet.group || null,
+        campaigns: this.getCampaignIds(wallet),
+        proxy: getProxyDisplayString(wallet.getProxyConfig()),
+        sessionExpiresAt: session ? new Date(session.expiresAt).toISOString() : null
+      };
+    });
+  }
+  
+  /**
+   * Gets the report of the latest cycle, from memory or the newest report file
+   * @returns {Object|null} Report data, or null if no cycle has been reported
+   */
+  getLatestReport() {
+    return this.lastReport || this.reportWriter.readLatest();
+  }
+  
+  /**
+   * Creates a task service for an authenticated wallet
+   * @param {Wallet} wallet - Authenticated wallet
+   * @param {ApiClient} apiClient - Authenticated API client
+   * @param {string} campaignId - Campaign the service works on
+   * @returns {TaskService} Task service
+   */
+  createTaskService(wallet, apiClient, campaignId) {
+    return new TaskService({
+      logger: this.getWalletLogger(wallet),
+      apiClient,
+      walletAddress: wallet.getAddress(),
+      walletLabel: wallet.label,
+      taskRules: wallet.getTaskRules(),
+      historyStore: this.historyStore,
+      runId: this.runId,
+      campaignId,
+      handlers: this.handlers,
+      circuitBreaker: this.circuitBreaker
+    });
+  }
+  
+  /**
+   * Lists the pending activities for a single wallet
+   * @param {Wallet} wallet - Wallet to list tasks for
+   * @param {Object} options - Listing options
+   * @param {boolean} options.includeSkipped - Include tasks that require manual action
+   * @param {boolean} options.includeUnavailable - List every activity, with why it is or isn't available
+   * @param {string} options.campaignId - Only this campaign (default: all of the wallet's campaigns)
+   * @returns {Promise<Array>} Pending activities, each tagged with its campaignId and availability
+   */
+  async getWalletTasks(wallet, options = {}) {
+    const { includeSkipped = false, includeUnavailable = false, campaignId = null } = options;
+    const { apiClient } = await this.authenticateWallet(wallet);
+    const campaignIds = campaignId ? [campaignId] : this.getCampaignIds(wallet);
+    
+    const tasks = [];
+    for (const id of campaignIds) {
+      const taskService = this.createTaskService(wallet, apiClient, id);
+      const campaignTasks = includeUnavailable
+        ? await taskService.explainAvailability()
+        : await taskService.getAvailableTasks({ includeSkipped });
+      tasks.push(...campaignTasks.map(task => ({ ...task, campaignId: id })));
+    }
+    
+    return tasks;
+  }
+  
+  /**
+   * Verifies a single activity for a single wallet
+   * @param {Wallet} wallet - Wallet to verify the activity for
+   * @param {string} activityId - Activity ID
+   * @param {Object} options - Verify options
+   * @param {string} options.campaignId - Campaign holding the activity (default: search the wallet's campaigns)
+   * @returns {Promise<Object>} Verified task and verification record
+   */
+  async verifyWalletTask(wallet, activityId, options = {}) {
+    const { campaignId = null } = options;
+    const { apiClient } = await this.authenticateWallet(wallet);
+    const campaignIds = campaignId ? [campaignId] : this.getCampaignIds(wallet);
+    
+    for (const id of campaignIds) {
+      const taskService = this.createTaskService(wallet, apiClient, id);
+      const tasks = await taskService.getAvailableTasks({ includeSkipped: true });
+      
+      if (tasks.some(task => task.id === activityId)) {
+        return taskService.verifyActivityById(activityId);
+      }
+    }
+    
+    throw new Error(`Activity ${activityId} is not available for wallet ${wallet.getDisplayName()} (unknown, hidden or already completed)`);
+  }
+  
+  /**
+   * Fetches a wallet's campaign balance, records it and compares it with the last cycle
+   * @param {TaskService} taskService - Task service for the wallet and campaign
+   * @returns {Promise<Object|null>} Balance with pointsChange and rankChange, or null if unavailable
+   */
+  async trackBalance(taskService) {
+    const balance = await taskService.getCampaignBalance();
+    if (!balance) return null;
+    
+    const wallet = taskService.walletAddress;
+    const previous = this.historyStore.getLastBalance(wallet, balance.campaignId);
+    this.historyStore.recordBalance({ runId: this.runId, wallet, ...balance });
+    
+    return {
+      ...balance,
+      previousPoints: previous ? previous.points : null,
+      previousRank: previous ? previous.rank : null,
+      pointsChange: previous ? balance.points - previous.points : null,
+      // Positive when the wallet moved up the leaderboard
+      rankChange: previous?.rank != null && balance.rank !== null ? previous.rank - balance.rank : null
+    };
+  }
+  
+  /**
+   * Processes tasks for a single wallet across all of its campaigns
    * @param {Wallet} wallet - Wallet to process tasks for
-   * @returns {Promise<Object>} Task processing result
+   * @returns {Promise<Object>} Task processing result with a per-campaign breakdown
    */
   async processWalletTasks(wallet) {
-    this.logger.info(`Processing tasks for wallet: ${wallet.getAddress()}`);
+    const logger = this.getWalletLogger(wallet);
+    logger.info(`Processing tasks for wallet: ${wallet.getDisplayName()}`);
+    const startedAt = Date.now();
     
     try {
       // Authenticate wallet
       const { apiClient } = await this.authenticateWallet(wallet);
       
-      // Create task service
-      const taskService = new TaskService({
-        logger: this.logger,
-        apiClient,
-        walletAddress: wallet.getAddress()
-      });
+      // Process all tasks of every campaign with the same session
+      const campaigns = [];
+      for (const campaignId of this.getCampaignIds(wallet)) {
+        const taskService = this.createTaskService(wallet, apiClient, campaignId);
+        const result = await taskService.processAllTasks();
+        
+        try {
+          result.balance = await this.trackBalance(taskService);
+        } catch (balanceError) {
+          result.balance = null;
+          result.error = result.error || balanceError.message;
+        }
+        campaigns.push(result);
+        
+        // The remaining campaigns wait for the retry run with the rest of the wallet
+        if (this.circuitBreaker.isOpen()) break;
+      }
       
-      // Process all tasks
-      const result = await taskService.processAllTasks();
+      const completedTasks = campaigns.flatMap(campaign => campaign.completedTasks);
+      const failedTasks = campaigns.flatMap(campaign => campaign.failedTasks);
       
       return {
         wallet: wallet.getAddress(),
-        ...result
+        walletAddress: wallet.getAddress(),
+        label: wallet.label,
+        group: wallet.group,
+        totalTasks: campaigns.reduce((sum, campaign) => sum + campaign.totalTasks, 0),
+        completedCount: completedTasks.length,
+        failedCount: failedTasks.length,
+        totalPoints: campaigns.reduce((sum, campaign) => sum + campaign.totalPoints, 0),
+        completedTasks,
+        failedTasks,
+        campaigns,
+        durationMs: Date.now() - startedAt
       };
     } catch (error) {
-      this.logger.error(`Failed to process tasks for ${wallet.getAddress()}`, {
+      logger.error(`Failed to process tasks for ${wallet.getDisplayName()}`, {
         error: error.message
       });
       
       return {
         wallet: wallet.getAddress(),
+        label: wallet.label,
+        group: wallet.group,
         error: error.message,
         success: false,
         totalTasks: 0,
@@ -149,11 +548,91 @@ class TaskProcessor {
         failedCount: 0,
         totalPoints: 0,
         completedTasks: [],
-        failedTasks: []
+        failedTasks: [],
+        campaigns: [],
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+  
+  /**
+   * Builds the result of a wallet left for a retry run because the API is down
+   * @param {Wallet} wallet - Wallet
+   * @returns {Object} Result marked as deferred
+   */
+  deferWallet(wallet) {
+    this.getWalletLogger(wallet).warn(`Deferring wallet ${wallet.getDisplayName()}: circuit breaker is open`);
+    
+    return {
+      wallet: wallet.getAddress(),
+      label: wallet.label,
+      group: wallet.group,
+      deferred: true,
+      deferredReason: this.circuitBreaker.reason,
+      totalTasks: 0,
+      completedCount: 0,
+      failedCount: 0,
+      totalPoints: 0,
+      completedTasks: [],
+      failedTasks: [],
+      campaigns: [],
+      durationMs: 0
+    };
+  }
+  
+  /**
+   * Builds the processing plan for a single wallet without verifying anything
+   * @param {Wallet} wallet - Wallet to plan for
+   * @returns {Promise<Object>} Plan with one entry per campaign
+   */
+  async planWalletTasks(wallet) {
+    try {
+      const { apiClient } = await this.authenticateWallet(wallet);
+      
+      const campaigns = [];
+      for (const campaignId of this.getCampaignIds(wallet)) {
+        const taskService = this.createTaskService(wallet, apiClient, campaignId);
+        campaigns.push(await taskService.planTasks());
+      }
+      
+      return {
+        wallet: wallet.getAddress(),
+        label: wallet.label,
+        group: wallet.group,
+        campaigns
+      };
+    } catch (error) {
+      this.logger.error(`Failed to plan tasks for ${wallet.getDisplayName()}`, {
+        error: error.message
+      });
+      
+      return {
+        wallet: wallet.getAddress(),
+        label: wallet.label,
+        group: wallet.group,
+        error: error.message,
+        campaigns: []
       };
     }
   }
   
+  /**
+   * Builds the processing plan for all wallets (dry run)
+   * @returns {Promise<Array>} Plans for all wallets
+   */
+  async planAllWallets() {
+    if (this.wallets.length === 0) {
+      await this.initializeWallets();
+    }
+    
+    const plans = [];
+    for (const wallet of this.wallets) {
+      plans.push(await this.planWalletTasks(wallet));
+    }
+    
+    return plans;
+  }
+  
   /**
    * Processes tasks for all wallets
    * @returns {Promise<Array>} Results for all wallets
@@ -161,41 +640,76 @@ class TaskProcessor {
   async processAllWallets() {
     this.logger.info('=== STARTING MULTI-ACCOUNT TASK PROCESSING ===');
     
+    // Tag every history record written during this cycle
+    const startedAt = new Date();
+    this.runId = startedAt.toISOString();
+    const retryBudget = resetRetryBudget();
+    this.circuitBreaker.reset();
+    
     try {
-      // Initialize wallets if not already done
+      // Pick up wallets, proxies and quiz answers edited since the last cycle
       if (this.wallets.length === 0) {
         await this.initializeWallets();
+      } else {
+        await this.reloadSources();
       }
       
-      const results = [];
+      const wallets = this.wallets;
+      if (this.concurrency > 1) {
+        this.logger.info(`Processing ${wallets.length} wallets, ${this.concurrency} at a time`);
+      }
       
-      // Process each wallet sequentially
-      for (const wallet of this.wallets) {
+      // Process the wallets in a pool; results keep the order of the wallet list
+      const results = await mapWithConcurrency(wallets, this.concurrency, async wallet => {
+        const logger = this.getWalletLogger(wallet);
+        
+        // Once the API is considered down, the remaining wallets wait for a retry run
+        if (this.circuitBreaker.isOpen()) {
+          return this.deferWallet(wallet);
+        }
+        
         try {
-          this.logger.info(`=== PROCESSING WALLET: ${wallet.getAddress()} ===`);
+          logger.info(`=== PROCESSING WALLET: ${wallet.getDisplayName()} ===`);
           
           const result = await this.processWalletTasks(wallet);
-          results.push(result);
-          
-          // Add delay between wallets to avoid rate limiting
-          if (wallet !== this.wallets[this.wallets.length - 1]) {
-            await sleep(5000);
-          }
+          const interrupted = result.error || result.campaigns.some(campaign => campaign.error);
+          return interrupted && this.circuitBreaker.isOpen() ? this.deferWallet(wallet) : result;
         } catch (walletError) {
-          this.logger.error(`Error processing wallet ${wallet.getAddress()}`, { 
+          logger.error(`Error processing wallet ${wallet.getDisplayName()}`, { 
             error: walletError.message
           });
           
-          results.push({
+          return {
             wallet: wallet.getAddress(),
+            label: wallet.label,
             error: walletError.message,
             success: false
-          });
+          };
         }
-      }
+      });
       
       // Log summary
       this.logSummary(results);
+      const deferred = results.filter(result => result.deferred).length;
+      if (deferred > 0) {
+        this.logger.warn(`Deferred ${deferred} wallets to a retry run: ${this.circuitBreaker.reason}`);
+      }
+      if (retryBudget.isExhausted()) {
+        this.logger.warn(`Retry budget of ${retryBudget.limit} retries was spent this cycle; later failures were not retried`);
+      }
+      
+      const finishedAt = new Date();
+      metrics.cycles.inc();
+      metrics.cycleDuration.set({}, (finishedAt - startedAt) / 1000);
+      metrics.lastCycleTimestamp.set({}, finishedAt.getTime() / 1000);
+      
+      // Reports are best effort; never fail a cycle because one couldn't be written
+      this.lastReport = this.reportWriter.buildReport(results, { runId: this.runId, startedAt, finishedAt });
+      try {
+        this.reportWriter.write(this.lastReport);
+      } catch (reportError) {
+        this.logger.warn('Could not write run report', { error: reportError.message });
+      }
       
       return results;
     } catch (error) {
@@ -215,25 +729,70 @@ class TaskProcessor {
     this.logger.info('=== MULTI-ACCOUNT TASKS SUMMARY ===');
     
     const totalWallets = results.length;
-    const successfulWallets = results.filter(r => !r.error).length;
+    const successfulWallets = results.filter(r => !r.error && !r.deferred).length;
     const failedWallets = results.filter(r => r.error).length;
+    const deferredWallets = results.filter(r => r.deferred).length;
     
     this.logger.info(`Total wallets processed: ${totalWallets}`);
     this.logger.info(`Successfully processed: ${successfulWallets}`);
     this.logger.info(`Failed to process: ${failedWallets}`);
+    if (deferredWallets > 0) {
+      this.logger.info(`Deferred to a retry run: ${deferredWallets}`);
+    }
     
     results.forEach(result => {
       const completedCount = result.completedTasks?.length || 0;
       const failedCount = result.failedTasks?.length || 0;
       
-      if (result.error) {
-        this.logger.info(`Wallet ${result.wallet}: FAILED - ${result.error}`);
+      if (result.deferred) {
+        this.logger.info(`Wallet ${formatResultWallet(result)}: DEFERRED - ${result.deferredReason}`);
+      } else if (result.error) {
+        this.logger.info(`Wallet ${formatResultWallet(result)}: FAILED - ${result.error}`);
       } else {
         // Calculate total points earned
         const totalPoints = result.completedTasks?.reduce((sum, task) => sum + (task.points || 0), 0) || 0;
-        this.logger.info(`Wallet ${result.wallet}: ${completedCount} completed, ${failedCount} failed, ${totalPoints} points earned`);
+        this.logger.info(`Wallet ${formatResultWallet(result)}: ${completedCount} completed, ${failedCount} failed, ${totalPoints} points earned`);
+        
+        // Break the wallet down per campaign when it processes more than one
+        if (result.campaigns?.length > 1) {
+          result.campaigns.forEach(campaign => {
+            const status = campaign.error ? `FAILED - ${campaign.error}` : 
+              `${campaign.completedCount} completed, ${campaign.failedCount} failed, ${campaign.totalPoints} points earned`;
+            this.logger.info(`  Campaign ${campaign.campaignId}: ${status}`);
+          });
+        }
+        
+        // Actual balance per campaign, flagging wallets whose points stopped growing
+        (result.campaigns || []).filter(campaign => campaign.balance).forEach(campaign => {
+          const label = result.campaigns.length > 1 ? `Balance in ${campaign.campaignId}` : 'Balance';
+          this.logger.info(`  ${label}: ${formatBalance(campaign.balance)}`);
+          
+          if (campaign.balance.pointsChange === 0) {
+            this.logger.warn(`Wallet ${formatResultWallet(result)}: points unchanged since last cycle (campaign ${campaign.campaignId})`);
+          }
+        });
       }
     });
+    
+    // Totals per campaign across all wallets
+    const campaignTotals = new Map();
+    results.forEach(result => {
+      (result.campaigns || []).forEach(campaign => {
+        const totals = campaignTotals.get(campaign.campaignId) || { wallets: 0, completed: 0, failed: 0, points: 0 };
+        totals.wallets += 1;
+        totals.completed += campaign.completedCount || 0;
+        totals.failed += campaign.failedCount || 0;
+        totals.points += campaign.totalPoints || 0;
+        campaignTotals.set(campaign.campaignId, totals);
+      });
+    });
+    
+    if (campaignTotals.size > 1) {
+      this.logger.info('=== PER-CAMPAIGN SUMMARY ===');
+      campaignTotals.forEach((totals, campaignId) => {
+        this.logger.info(`Campaign ${campaignId}: ${totals.wallets} wallets, ${totals.completed} completed, ${totals.failed} failed, ${totals.points} points earned`);
+      });
+    }
   }
 }
 
@@ -0,0 +1,55 @@
+/**
+ * Command Line Argument Parsing
+ *
+ * Small parser for subcommand-style arguments:
+ * - Positional arguments in order
+ * - --flag value, --flag=value and -f value options
+ * - Boolean flags that never consume a value
+ */
+
+/**
+ * Parses command line arguments
+ * @param {string[]} argv - Arguments (without node and script path)
+ * @param {Object} spec - Parser specification
+ * @param {string[]} spec.boolean - Option names that take no value
+ * @param {Object} spec.alias - Short or alternative names mapped to option names
+ * @returns {Object} { positionals: string[], options: Object }
+ */
+function parseArgs(argv, spec = {}) {
+  const { boolean = [], alias = {} } = spec;
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawName, inlineValue] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const name = alias[rawName] || rawName;
+
+    if (boolean.includes(name)) {
+      options[name] = inlineValue === undefined ? true : inlineValue !== 'false';
+    } else if (inlineValue !== undefined) {
+      options[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('-')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+
+  return { positionals, options };
+}
+
+module.exports = {
+  parseArgs
+};
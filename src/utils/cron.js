@@ -0,0 +1,214 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard five-field cron expressions and finds their next run time:
+ * - minute hour day-of-month month day-of-week
+ * - "*", lists (1,15), ranges (1-5), steps (0-30/5) and names (JAN, MON)
+ * - Macros: @hourly, @daily, @midnight, @weekly, @monthly, @yearly, @annually
+ *
+ * As in classic (Vixie) cron, when both day-of-month and day-of-week are
+ * restricted (neither starts with "*") a day matches if either one does. A
+ * field starting with "*", such as a step over every day, only narrows the other.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+// Upper bound on search steps; each step skips a whole month, day, hour or minute
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * Parses one value of a field, accepting names where the field has them
+ * @param {string} value - Value text
+ * @param {Object} field - Field definition
+ * @returns {number} Numeric value
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex !== -1 ? nameIndex + field.offset : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`invalid ${field.name} value "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Parses one cron field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`invalid step "${stepText}" in ${field.name}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`invalid range "${range}" in ${field.name}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field expression or macro
+ * @returns {Object} Parsed expression with one Set per field
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Invalid cron expression: expected a string');
+  }
+
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields, got ${parts.length}`);
+  }
+
+  try {
+    const parsed = { expression };
+    FIELDS.forEach((field, index) => {
+      parsed[field.name] = parseField(parts[index], field);
+    });
+
+    // Sunday can be written as 0 or 7
+    if (parsed.dayOfWeek.has(7)) {
+      parsed.dayOfWeek.add(0);
+    }
+
+    parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+    parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+
+    return parsed;
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+}
+
+/**
+ * Checks whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True if it parses
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Date accessors for UTC or local time
+ * @param {string} timezone - "UTC" or "local"
+ * @returns {Object} get(date, unit) and set(date, unit, ...values) helpers
+ */
+function getAccessors(timezone) {
+  const utc = timezone === 'UTC';
+  return {
+    get: (date, unit) => date[`get${utc ? 'UTC' : ''}${unit}`](),
+    set: (date, unit, ...values) => date[`set${utc ? 'UTC' : ''}${unit}`](...values)
+  };
+}
+
+/**
+ * Finds the first time after a given moment that matches a cron expression
+ * @param {string|Object} cron - Expression or result of parseCron
+ * @param {Date} after - Moment to search from (exclusive)
+ * @param {string} timezone - Evaluate fields in "UTC" (default) or "local" time
+ * @returns {Date} Next matching time (whole minute)
+ * @throws {Error} If no time matches within the search bound
+ */
+function getNextCronTime(cron, after = new Date(), timezone = 'UTC') {
+  const parsed = typeof cron === 'string' ? parseCron(cron) : cron;
+  const { get, set } = getAccessors(timezone);
+
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    if (!parsed.month.has(get(date, 'Month') + 1)) {
+      set(date, 'Month', get(date, 'Month') + 1, 1);
+      set(date, 'Hours', 0, 0);
+      continue;
+    }
+
+    const dayOfMonthMatches = parsed.dayOfMonth.has(get(date, 'Date'));
+    const dayOfWeekMatches = parsed.dayOfWeek.has(get(date, 'Day'));
+    const dayMatches = parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted
+      ? dayOfMonthMatches || dayOfWeekMatches
+      : dayOfMonthMatches && dayOfWeekMatches;
+
+    if (!dayMatches) {
+      set(date, 'Date', get(date, 'Date') + 1);
+      set(date, 'Hours', 0, 0);
+      continue;
+    }
+
+    if (!parsed.hour.has(get(date, 'Hours'))) {
+      set(date, 'Hours', get(date, 'Hours') + 1, 0);
+      continue;
+    }
+
+    if (!parsed.minute.has(get(date, 'Minutes'))) {
+      set(date, 'Minutes', get(date, 'Minutes') + 1);
+      continue;
+    }
+
+    return date;
+  }
+
+  throw new Error(`No time matches cron expression "${parsed.expression}"`);
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextCronTime
+};
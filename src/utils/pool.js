@@ -0,0 +1,33 @@
+/**
+ * Worker Pool
+ *
+ * Runs an async worker over a list with a bounded number of items in flight.
+ */
+
+/**
+ * Runs a worker over every item, at most `concurrency` at a time
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items processed at once
+ * @param {Function} worker - Async function (item, index) => result; should not throw
+ * @returns {Promise<Array>} Results in the order of the items, whatever order they finished in
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Math.min(Math.max(1, concurrency), items.length);
+  await Promise.all(Array.from({ length: workers }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,26 @@
+/**
+ * Prefixed Logger
+ *
+ * Tags every message of a logger, so that the lines of wallets processed at
+ * the same time can be told apart.
+ */
+
+/**
+ * Wraps a logger so that every message starts with a prefix
+ * @param {Object} logger - Logger instance
+ * @param {string} prefix - Text put before every message, e.g. "[main-1]"
+ * @returns {Object} Logger with the error, warn, info and debug methods
+ */
+function createPrefixedLogger(logger, prefix) {
+  const prefixed = {};
+
+  ['error', 'warn', 'info', 'debug'].forEach(level => {
+    prefixed[level] = (message, ...rest) => logger[level](`${prefix} ${message}`, ...rest);
+  });
+
+  return prefixed;
+}
+
+module.exports = {
+  createPrefixedLogger
+};
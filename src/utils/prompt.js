@@ -0,0 +1,67 @@
+/**
+ * Interactive Prompt Utilities
+ *
+ * Minimal readline helpers for commands that need user input
+ */
+
+const readline = require('readline');
+
+/**
+ * Checks whether interactive prompts are possible
+ * @returns {boolean} True if stdin and stdout are terminals
+ */
+function isInteractive() {
+  return Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Asks a question and resolves with the answer
+ * @param {string} question - Prompt text
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.hidden - Don't echo typed characters (for secrets)
+ * @returns {Promise<string>} Entered answer
+ */
+function prompt(question, options = {}) {
+  const { hidden = false } = options;
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true
+    });
+
+    if (hidden) {
+      // Print the question, then swallow the echo of everything typed after it
+      let questionWritten = false;
+      rl._writeToOutput = (text) => {
+        if (!questionWritten) {
+          rl.output.write(text);
+          questionWritten = true;
+        } else if (text.includes('\n')) {
+          rl.output.write('\n');
+        }
+      };
+    }
+
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Asks for a secret without echoing it
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered secret
+ */
+function promptHidden(question) {
+  return prompt(question, { hidden: true });
+}
+
+module.exports = {
+  isInteractive,
+  prompt,
+  promptHidden
+};
@@ -1,9 +1,22 @@
 /**
  * Simplified Retry Utility
- * 
- * A simple and direct implementation for retrying operations
+ *
+ * A simple and direct implementation for retrying operations. Failures are
+ * classified so that each class of error gets its own retry policy:
+ * - network: no response (connection refused or reset, DNS failures)
+ * - timeout: the request timed out, or the server answered 408
+ * - rate_limit: the server answered 429
+ * - server: the server answered 5xx
+ * - auth: the server answered 401 or 403
+ * - fatal: any other 4xx, which won't succeed however often it is sent
+ *
+ * Errors with a retryClass property are given that class instead.
  */
 
+const ERROR_CLASSES = ['network', 'timeout', 'rate_limit', 'server', 'auth', 'fatal'];
+
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ERR_CANCELED'];
+
 /**
  * Sleep/delay utility
  * @param {number} ms - Milliseconds to sleep
@@ -13,53 +26,164 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Calculates the delay before the next attempt: exponential backoff with full
+ * jitter, so that wallets failing together don't retry in lockstep
+ * @param {number} attempt - Zero-based index of the attempt that failed
+ * @param {number} baseDelay - Base delay in milliseconds
+ * @param {number} maxDelay - Maximum delay in milliseconds
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseDelay, maxDelay = 60000, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Works out the class of a failure
+ * @param {Error} error - Error thrown by the operation
+ * @returns {string} One of ERROR_CLASSES
+ */
+function classifyError(error) {
+  // Errors may name their class themselves (GraphQL errors arrive with HTTP 200)
+  if (ERROR_CLASSES.includes(error?.retryClass)) return error.retryClass;
+
+  const status = error?.response?.status;
+
+  if (status) {
+    if (status === 429) return 'rate_limit';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server';
+    if (status === 401 || status === 403) return 'auth';
+    return 'fatal';
+  }
+
+  if (TIMEOUT_ERROR_CODES.includes(error?.code) || /timeout/i.test(error?.message || '')) return 'timeout';
+
+  // Anything else without a response, including unknown codes, counts as a network failure
+  return 'network';
+}
+
+class RetryBudget {
+  /**
+   * Creates a new retry budget
+   * @param {number} limit - Retries allowed until the next reset (0 means unlimited)
+   */
+  constructor(limit = 0) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  /**
+   * Starts a new budget period
+   * @param {number} limit - Retries allowed (defaults to the current limit)
+   */
+  reset(limit = this.limit) {
+    this.limit = limit;
+    this.used = 0;
+  }
+
+  /**
+   * Takes one retry from the budget
+   * @returns {boolean} False if the budget is spent
+   */
+  take() {
+    if (this.limit > 0 && this.used >= this.limit) return false;
+
+    this.used++;
+    return true;
+  }
+
+  /**
+   * Checks whether the budget is spent
+   * @returns {boolean} True if no retries are left
+   */
+  isExhausted() {
+    return this.limit > 0 && this.used >= this.limit;
+  }
+}
+
 /**
  * Simple retry function - no recursion to avoid stack overflow
  * @param {Function} fn - Async function to retry
  * @param {Object} options - Options
+ * @param {number} options.retries - Maximum number of attempts for classes without a policy
+ * @param {number} options.delay - Base delay in milliseconds for classes without a policy
+ * @param {number} options.maxDelay - Maximum delay in milliseconds for classes without a policy
+ * @param {Object} options.policies - Per error class: { attempts, baseDelay, maxDelay }
+ *   (attempts of 1 fails straight away)
+ * @param {RetryBudget} options.budget - Budget every retry is taken from
+ * @param {Object} options.logger - Logger instance
+ * @param {Function} options.onRetry - Called with (attempt, error, errorClass) before each retry
+ * @param {Function} options.delayFor - Optional (error, attempt) => delay in milliseconds,
+ *   or null for the policy's backoff
  * @returns {Promise} - Result of the function
+ * @throws {Error} The last error, with errorClass and attempts set
  */
 async function retry(fn, options = {}) {
-  const { 
+  const {
     retries = 5,
     delay = 3000,
+    maxDelay = 60000,
+    policies = {},
+    budget = null,
     logger = console,
-    onRetry = null
+    onRetry = null,
+    delayFor = null
   } = options;
-  
-  let lastError;
-  
-  for (let i = 0; i < retries; i++) {
+
+  for (let i = 0; ; i++) {
     try {
       return await fn();
     } catch (err) {
-      lastError = err;
-      const retryDelay = Math.min(delay * (i + 1), 15000); // Cap at 15 seconds
-      
-      logger.warn(`Attempt ${i + 1}/${retries} failed: ${err.message || 'Unknown error'}`, {
+      const errorClass = classifyError(err);
+      const policy = { attempts: retries, baseDelay: delay, maxDelay, ...policies[errorClass] };
+      err.errorClass = errorClass;
+      err.attempts = i + 1;
+
+      if (policy.attempts <= 1) {
+        // Permanent failures aren't worth a second attempt
+        throw err;
+      }
+
+      logger.warn(`Attempt ${i + 1}/${policy.attempts} failed (${errorClass}): ${err.message || 'Unknown error'}`, {
         attempt: i + 1,
-        retries
+        retries: policy.attempts
       });
-      
-      if (i < retries - 1) {
-        if (onRetry) {
-          try {
-            await onRetry(i, err);
-          } catch (hookErr) {
-            // Ignore errors in the retry hook
-          }
+
+      if (i >= policy.attempts - 1) {
+        throw err;
+      }
+
+      if (budget && !budget.take()) {
+        logger.warn('Retry budget for this cycle is spent, not retrying');
+        err.retryBudgetExhausted = true;
+        throw err;
+      }
+
+      if (onRetry) {
+        try {
+          await onRetry(i, err, errorClass);
+        } catch (hookErr) {
+          // Ignore errors in the retry hook
         }
-        
-        logger.info(`Retrying in ${Math.round(retryDelay/1000)} seconds...`);
+      }
+
+      const retryDelay = (delayFor && delayFor(err, i)) ?? getBackoffDelay(i, policy.baseDelay, policy.maxDelay);
+      if (retryDelay > 0) {
+        logger.info(`Retrying in ${(retryDelay / 1000).toFixed(1)} seconds...`);
         await sleep(retryDelay);
       }
     }
   }
-  
-  throw lastError;
 }
 
 module.exports = {
+  ERROR_CLASSES,
   sleep,
+  getBackoffDelay,
+  classifyError,
+  RetryBudget,
   retry
 };
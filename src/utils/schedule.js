@@ -0,0 +1,106 @@
+/**
+ * Run Schedules
+ *
+ * Turns SCHEDULES entries into objects that compute their next run time:
+ * - { name, cron: "0 6 * * *" } runs whenever the cron expression matches
+ *   (a plain string is shorthand for a cron entry)
+ * - { name, afterResetMinutes: 10 } runs that many minutes after the
+ *   campaign's daily reset (DAILY_RESET_UTC, always UTC)
+ */
+
+const { parseCron, getNextCronTime } = require('./cron');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses an "HH:MM" time into minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ * @throws {Error} If the time is invalid
+ */
+function parseTimeOfDay(time) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+  const hours = match ? Number(match[1]) : NaN;
+  const minutes = match ? Number(match[2]) : NaN;
+
+  if (!(hours <= 23 && minutes <= 59)) {
+    throw new Error(`Invalid time of day "${time}": expected HH:MM`);
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Creates a schedule from a SCHEDULES entry
+ * @param {Object|string} definition - Schedule entry
+ * @param {Object} options - Schedule options
+ * @param {string} options.timezone - Time zone cron fields are evaluated in ("UTC" or "local")
+ * @param {string} options.dailyResetUtc - Daily reset time (HH:MM, UTC)
+ * @returns {Object} { name, description, getNextRunTime(from) }
+ * @throws {Error} If the entry is invalid
+ */
+function createSchedule(definition, options = {}) {
+  const { timezone = 'UTC', dailyResetUtc = '00:00' } = options;
+  const entry = typeof definition === 'string' ? { cron: definition } : definition;
+
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Invalid schedule: expected a cron string or an object');
+  }
+
+  const hasCron = entry.cron !== undefined;
+  const hasReset = entry.afterResetMinutes !== undefined;
+
+  if (hasCron === hasReset) {
+    throw new Error('Invalid schedule: set exactly one of "cron" or "afterResetMinutes"');
+  }
+
+  if (hasCron) {
+    const parsed = parseCron(entry.cron);
+    return {
+      name: entry.name || entry.cron,
+      description: `cron "${entry.cron}" (${timezone})`,
+      getNextRunTime: from => getNextCronTime(parsed, from, timezone)
+    };
+  }
+
+  const offset = entry.afterResetMinutes;
+  if (!Number.isInteger(offset) || offset < 0 || offset >= 24 * 60) {
+    throw new Error(`Invalid schedule: afterResetMinutes must be an integer from 0 to 1439, got ${JSON.stringify(offset)}`);
+  }
+
+  // Minutes after UTC midnight at which the run is due
+  const runMinute = (parseTimeOfDay(dailyResetUtc) + offset) % (24 * 60);
+
+  return {
+    name: entry.name || `reset+${offset}m`,
+    description: `${offset} minutes after the daily reset at ${dailyResetUtc} UTC`,
+    getNextRunTime: from => {
+      const midnight = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+      const today = midnight + runMinute * 60 * 1000;
+      return new Date(today > from.getTime() ? today : today + DAY);
+    }
+  };
+}
+
+/**
+ * Checks that a value is a valid SCHEDULES list
+ * @param {*} value - Value to check
+ * @returns {boolean} True if every entry can be turned into a schedule that ever runs
+ */
+function isScheduleList(value) {
+  if (!Array.isArray(value)) return false;
+
+  try {
+    // Expressions that parse but never match (e.g. "0 0 30 2 *") fail here rather than at runtime
+    value.forEach(entry => createSchedule(entry).getNextRunTime(new Date()));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  createSchedule,
+  isScheduleList,
+  parseTimeOfDay
+};
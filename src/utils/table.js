@@ -0,0 +1,39 @@
+/**
+ * Plain Text Table Formatting
+ *
+ * Renders rows as aligned columns for command output
+ */
+
+/**
+ * Formats rows as an aligned text table
+ * @param {Object[]} rows - Rows to render
+ * @param {Object[]} columns - Column definitions
+ * @param {string} columns[].key - Row property to render
+ * @param {string} columns[].header - Column header
+ * @returns {string} Rendered table
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => {
+    const value = row[column.key];
+    return value === null || value === undefined ? '' : String(value);
+  }));
+
+  const widths = columns.map((column, index) =>
+    Math.max(column.header.length, ...cells.map(row => row[index].length))
+  );
+
+  const renderRow = values => values
+    .map((value, index) => value.padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  return [
+    renderRow(columns.map(column => column.header)),
+    renderRow(widths.map(width => '-'.repeat(width))),
+    ...cells.map(renderRow)
+  ].join('\n');
+}
+
+module.exports = {
+  formatTable
+};
@@ -0,0 +1,23 @@
+/**
+ * Time Zone Helpers
+ */
+
+/**
+ * Checks that a string is a time zone the runtime understands
+ * @param {string} timeZone - IANA time zone name, e.g. "America/New_York"
+ * @returns {boolean} True if valid
+ */
+function isTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.trim() === '') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  isTimeZone
+};
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../src/utils/args');
+
+test('parseArgs separates positionals from options', () => {
+  assert.deepStrictEqual(parseArgs(['verify', 'abc', '--wallet', '0x1']), {
+    positionals: ['verify', 'abc'],
+    options: { wallet: '0x1' }
+  });
+});
+
+test('parseArgs supports --name=value and aliases', () => {
+  const { options } = parseArgs(['-w', '0x1', '--index=2'], { alias: { w: 'wallet' } });
+  assert.deepStrictEqual(options, { wallet: '0x1', index: '2' });
+});
+
+test('parseArgs never lets boolean flags consume a value', () => {
+  const { positionals, options } = parseArgs(['--once', 'extra', '-r'], {
+    boolean: ['once'],
+    alias: { r: 'once' }
+  });
+  assert.deepStrictEqual(positionals, ['extra']);
+  assert.deepStrictEqual(options, { once: true });
+});
+
+test('parseArgs treats a trailing option without a value as true', () => {
+  assert.deepStrictEqual(parseArgs(['--fresh']).options, { fresh: true });
+});
+
+test('parseArgs stops option parsing at --', () => {
+  assert.deepStrictEqual(parseArgs(['--', '--not-an-option']).positionals, ['--not-an-option']);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AvailabilityEngine } = require('../src/services/availability');
+
+const utc = new AvailabilityEngine({ timezone: 'UTC' });
+
+/**
+ * Builds an activity completed at the given times
+ * @param {Object} overrides - Activity fields
+ * @param {string[]} completedAt - Completion times
+ * @returns {Object} Activity
+ */
+function activity(overrides = {}, completedAt = []) {
+  return {
+    id: 'a1',
+    isHidden: false,
+    recurringPeriod: null,
+    recurringMaxCount: null,
+    startDateTimeAt: null,
+    endDateTimeAt: null,
+    records: completedAt.map(createdAt => ({ status: 'COMPLETED', createdAt })),
+    ...overrides
+  };
+}
+
+/**
+ * Evaluates an activity and returns its reason code
+ * @param {Object} subject - Activity
+ * @param {string} now - ISO reference time
+ * @param {AvailabilityEngine} engine - Engine to use
+ * @returns {string} Reason code
+ */
+function reason(subject, now, engine = utc) {
+  return engine.evaluate(subject, new Date(now)).reason;
+}
+
+test('hourly periods with a count wait that many hours', () => {
+  const everyThreeHours = activity({ recurringPeriod: { type: 'HOUR', count: 3 } }, ['2024-06-15T10:59:00Z']);
+
+  assert.strictEqual(reason(everyThreeHours, '2024-06-15T12:59:00Z'), 'completed_this_period');
+  assert.strictEqual(reason(everyThreeHours, '2024-06-15T13:00:00Z'), 'new_period');
+});
+
+test('weekly periods start on Monday', () => {
+  // 2024-06-16 is a Sunday
+  const weekly = activity({ recurringPeriod: { type: 'WEEK', count: 1 } }, ['2024-06-10T08:00:00Z']);
+
+  assert.strictEqual(reason(weekly, '2024-06-16T23:59:00Z'), 'completed_this_period');
+  assert.strictEqual(reason(weekly, '2024-06-17T00:00:00Z'), 'new_period');
+});
+
+test('monthly periods follow calendar months', () => {
+  const everyOtherMonth = activity({ recurringPeriod: { type: 'MONTH', count: 2 } }, ['2024-01-31T12:00:00Z']);
+
+  assert.strictEqual(reason(everyOtherMonth, '2024-02-29T12:00:00Z'), 'completed_this_period');
+  assert.strictEqual(reason(everyOtherMonth, '2024-03-01T00:00:00Z'), 'new_period');
+});
+
+test('daily periods follow the configured time zone', () => {
+  const tokyo = new AvailabilityEngine({ timezone: 'Asia/Tokyo' });
+  // 2024-06-14T15:00Z is midnight on the 15th in Tokyo
+  const daily = activity({ recurringPeriod: { type: 'DAY', count: 1 } }, ['2024-06-14T14:30:00Z']);
+
+  assert.strictEqual(reason(daily, '2024-06-14T15:00:00Z', tokyo), 'new_period');
+  assert.strictEqual(reason(daily, '2024-06-14T15:00:00Z'), 'completed_this_period');
+  assert.throws(() => new AvailabilityEngine({ timezone: 'Mars/Olympus' }), /Unknown time zone/);
+});
+
+test('recurringMaxCount caps the number of completions', () => {
+  const limited = activity(
+    { recurringPeriod: { type: 'DAY', count: 1 }, recurringMaxCount: 2 },
+    ['2024-06-13T08:00:00Z', '2024-06-14T08:00:00Z']
+  );
+
+  const result = utc.evaluate(limited, new Date('2024-06-15T08:00:00Z'));
+  assert.deepStrictEqual(result, { available: false, reason: 'max_count_reached', message: 'Completed 2 of 2 allowed times' });
+});
+
+test('activities are only available inside their start and end window', () => {
+  const windowed = activity({ startDateTimeAt: '2024-06-15T00:00:00Z', endDateTimeAt: '2024-06-16T00:00:00Z' });
+
+  assert.strictEqual(reason(windowed, '2024-06-14T23:59:00Z'), 'not_started');
+  assert.strictEqual(reason(windowed, '2024-06-15T12:00:00Z'), 'not_completed');
+  assert.strictEqual(reason(windowed, '2024-06-16T00:00:00Z'), 'ended');
+});
+
+test('unsupported periods are treated as one-off activities', () => {
+  const result = utc.evaluate(activity({ recurringPeriod: { type: 'FORTNIGHT', count: 1 } }, ['2024-01-01T00:00:00Z']));
+
+  assert.strictEqual(result.available, false);
+  assert.strictEqual(result.message, 'Already completed (unsupported recurring period FORTNIGHT)');
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CircuitBreaker, CircuitOpenError } = require('../src/services/circuit-breaker');
+const { classifyError } = require('../src/utils/retry');
+
+/**
+ * Creates an error like the ones axios throws for an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a response
+ */
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+test('the breaker opens after consecutive upstream failures', () => {
+  const breaker = new CircuitBreaker({ threshold: 3 });
+
+  assert.strictEqual(breaker.recordFailure('deform', httpError(503)), false);
+  assert.strictEqual(breaker.recordFailure('deform', new Error('connect ECONNREFUSED')), false);
+  assert.strictEqual(breaker.recordFailure('deform', httpError(502)), true);
+
+  assert.ok(breaker.isOpen());
+  assert.match(breaker.getStatus().reason, /^3 consecutive deform failures, last: Request failed with status code 502$/);
+  assert.throws(() => breaker.check(), error => {
+    assert.ok(error instanceof CircuitOpenError);
+    assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+    assert.strictEqual(classifyError(error), 'fatal');
+    return true;
+  });
+
+  breaker.reset();
+  assert.strictEqual(breaker.isOpen(), false);
+  assert.doesNotThrow(() => breaker.check());
+});
+
+test('any answer from the server restarts the count', () => {
+  const breaker = new CircuitBreaker({ threshold: 2 });
+
+  breaker.recordFailure('privy', httpError(500));
+  breaker.recordSuccess();
+  breaker.recordFailure('privy', httpError(500));
+  breaker.recordFailure('privy', httpError(400));
+  breaker.recordFailure('privy', httpError(500));
+
+  assert.strictEqual(breaker.isOpen(), false);
+  assert.strictEqual(breaker.getStatus().failures, 1);
+});
+
+test('a threshold of 0 disables the breaker', () => {
+  const breaker = new CircuitBreaker({ threshold: 0 });
+  for (let i = 0; i < 20; i++) breaker.recordFailure('deform', httpError(503));
+  assert.strictEqual(breaker.isOpen(), false);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseWalletFilter } = require('../src/commands/common');
+const TaskProcessor = require('../src/task-processor');
+
+test('parseWalletFilter accepts a wallet name and a positive index', () => {
+  assert.strictEqual(parseWalletFilter({}), null);
+  assert.deepStrictEqual(parseWalletFilter({ wallet: ' main-1 ' }), { address: 'main-1', index: null });
+  assert.deepStrictEqual(parseWalletFilter({ index: '2' }), { address: null, index: 2 });
+});
+
+test('parseWalletFilter rejects anything but a positive integer index and a non-empty wallet', () => {
+  ['0', 'abc', '-1', '1.5', '', true].forEach(index => {
+    assert.throws(() => parseWalletFilter({ index }), /Invalid --index/, `--index ${index}`);
+  });
+  [true, '', '  '].forEach(wallet => {
+    assert.throws(() => parseWalletFilter({ wallet }), /Invalid --wallet/, `--wallet ${wallet}`);
+  });
+});
+
+test('applyWalletFilter only returns every wallet without a filter', () => {
+  const wallets = [1, 2, 3].map(index => ({ index, label: `w${index}`, getAddress: () => `0x${index}` }));
+  const apply = walletFilter => TaskProcessor.prototype.applyWalletFilter.call({ walletFilter }, wallets);
+
+  assert.strictEqual(apply(null).length, 3);
+  assert.deepStrictEqual(apply({ address: null, index: 2 }).map(wallet => wallet.index), [2]);
+  assert.deepStrictEqual(apply({ address: 'W3', index: null }).map(wallet => wallet.index), [3]);
+  assert.throws(() => apply({ address: null, index: 0 }), /No wallet matches index 0/);
+});
@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const config = require('../src/config');
+const { createTempDir } = require('./helpers');
+
+const dir = createTempDir();
+
+/**
+ * Writes a proxy file and parses it
+ * @param {string} content - File content
+ * @returns {Object[]} Parsed proxy configurations
+ */
+function parseProxies(content) {
+  const filePath = path.join(dir, 'proxy.txt');
+  fs.writeFileSync(filePath, content);
+  return config.getProxyConfigs(filePath);
+}
+
+test('getProxyConfigs parses host:port:username:password lines', () => {
+  assert.deepStrictEqual(parseProxies('1.2.3.4:8080:user:pass\n5.6.7.8:3128:u2:p2\n'), [
+    { host: '1.2.3.4', port: '8080', username: 'user', password: 'pass' },
+    { host: '5.6.7.8', port: '3128', username: 'u2', password: 'p2' }
+  ]);
+});
+
+test('getProxyConfigs trims whitespace and CRLF line endings', () => {
+  assert.deepStrictEqual(parseProxies('  1.2.3.4:8080:user:pass  \r\n\r\n'), [
+    { host: '1.2.3.4', port: '8080', username: 'user', password: 'pass' }
+  ]);
+});
+
+test('getProxyConfigs skips malformed lines', () => {
+  assert.deepStrictEqual(parseProxies('1.2.3.4:8080\nhost:1:u:p\nnot-a-proxy\n'), [
+    { host: 'host', port: '1', username: 'u', password: 'p' }
+  ]);
+});
+
+test('getProxyConfigs returns an empty list for a missing file', () => {
+  assert.deepStrictEqual(config.getProxyConfigs(path.join(dir, 'missing.txt')), []);
+});
+
+test('loadSettings uses defaults when there is no config file or environment', () => {
+  const { settings, errors, configFile } = config.loadSettings({ env: {}, cwd: dir });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(configFile, null);
+  assert.strictEqual(settings.MAX_RETRIES, 10);
+  assert.strictEqual(settings.WALLETS_FILE, path.join(dir, 'pk.txt'));
+});
+
+test('loadSettings layers the config file under OFC_* environment variables', () => {
+  const layerDir = path.join(dir, 'layers');
+  fs.mkdirSync(layerDir, { recursive: true });
+  fs.writeFileSync(path.join(layerDir, 'ofc.config.json'), JSON.stringify({
+    MAX_RETRIES: 3,
+    INTERVAL_HOURS: 12,
+    WALLETS_FILE: 'keys/pk.txt'
+  }));
+
+  const { settings, sources, errors } = config.loadSettings({
+    env: { OFC_INTERVAL_HOURS: '6', OFC_STRICT_KEY_PERMISSIONS: 'true' },
+    cwd: layerDir
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(settings.MAX_RETRIES, 3);
+  assert.strictEqual(settings.INTERVAL_HOURS, 6);
+  assert.strictEqual(settings.STRICT_KEY_PERMISSIONS, true);
+  assert.strictEqual(settings.WALLETS_FILE, path.join(layerDir, 'keys/pk.txt'));
+  assert.strictEqual(sources.MAX_RETRIES, 'ofc.config.json');
+  assert.strictEqual(sources.INTERVAL_HOURS, 'OFC_INTERVAL_HOURS');
+});
+
+test('loadSettings reads a YAML config file', () => {
+  const yamlDir = path.join(dir, 'yaml');
+  fs.mkdirSync(yamlDir, { recursive: true });
+  fs.writeFileSync(path.join(yamlDir, 'ofc.config.yaml'), [
+    'MAX_RETRIES: 4',
+    'CAMPAIGN_IDS:',
+    '  - first',
+    '  - second',
+    'WALLETS_FILE: keys/pk.txt'
+  ].join('\n'));
+
+  const { settings, sources, errors, configFile } = config.loadSettings({ env: {}, cwd: yamlDir });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(configFile, path.join(yamlDir, 'ofc.config.yaml'));
+  assert.strictEqual(settings.MAX_RETRIES, 4);
+  assert.deepStrictEqual(settings.CAMPAIGN_IDS, ['first', 'second']);
+  assert.strictEqual(settings.WALLETS_FILE, path.join(yamlDir, 'keys/pk.txt'));
+  assert.strictEqual(sources.MAX_RETRIES, 'ofc.config.yaml');
+
+  const explicitPath = path.join(dir, 'explicit.yml');
+  fs.writeFileSync(explicitPath, '- not a mapping\n');
+  const explicit = config.loadSettings({ env: { OFC_CONFIG: explicitPath }, cwd: dir });
+  assert.match(explicit.errors[0], /could not parse config file \(expected a YAML mapping\)/);
+});
+
+test('loadSettings reports invalid values and keeps the defaults', () => {
+  const configPath = path.join(dir, 'invalid.json');
+  fs.writeFileSync(configPath, JSON.stringify({ MAX_RETRIES: 0, UNKNOWN_KEY: true }));
+
+  const { settings, errors } = config.loadSettings({
+    env: { OFC_CONFIG: configPath, OFC_BASE_URL: 'not a url', OFC_RETRY_DELAY: 'soon' },
+    cwd: dir
+  });
+
+  assert.strictEqual(settings.MAX_RETRIES, 10);
+  assert.strictEqual(settings.BASE_URL, 'https://api.deform.cc/');
+  assert.deepStrictEqual(errors, [
+    'invalid.json: MAX_RETRIES must be an integer >= 1, got 0',
+    'invalid.json: unknown setting "UNKNOWN_KEY"',
+    'OFC_BASE_URL: BASE_URL must be an http(s) URL, got "not a url"',
+    'OFC_RETRY_DELAY: RETRY_DELAY must be an integer >= 0, got "soon"'
+  ]);
+});
+
+test('loadSettings reports a missing explicit config file', () => {
+  const { errors } = config.loadSettings({ env: { OFC_CONFIG: 'nope.json' }, cwd: dir });
+  assert.match(errors[0], /config file not found/);
+});
+
+test('loadSettings parses campaign lists and validates wallet groups', () => {
+  const configPath = path.join(dir, 'groups.json');
+  fs.writeFileSync(configPath, JSON.stringify({ WALLET_GROUPS: [{ name: 'main', wallets: [0] }] }));
+
+  const { settings, errors } = config.loadSettings({
+    env: { OFC_CONFIG: configPath, OFC_CAMPAIGN_IDS: 'first, second' },
+    cwd: dir
+  });
+
+  assert.deepStrictEqual(settings.CAMPAIGN_IDS, ['first', 'second']);
+  assert.deepStrictEqual(settings.WALLET_GROUPS, []);
+  assert.match(errors[0], /^groups\.json: WALLET_GROUPS must be a list of/);
+});
+
+test('loadSettings validates schedules, the reset time and the schedule time zone', () => {
+  const { settings, errors } = config.loadSettings({
+    env: {
+      OFC_SCHEDULES: '["0 */6 * * *", {"name": "dailies", "afterResetMinutes": 10}]',
+      OFC_DAILY_RESET_UTC: '25:00',
+      OFC_SCHEDULE_TIMEZONE: 'Europe/Paris'
+    },
+    cwd: dir
+  });
+
+  assert.deepStrictEqual(settings.SCHEDULES, ['0 */6 * * *', { name: 'dailies', afterResetMinutes: 10 }]);
+  assert.strictEqual(settings.DAILY_RESET_UTC, '00:00');
+  assert.strictEqual(settings.SCHEDULE_TIMEZONE, 'UTC');
+  assert.deepStrictEqual(errors, [
+    'OFC_SCHEDULE_TIMEZONE: SCHEDULE_TIMEZONE must be UTC or local, got "Europe/Paris"',
+    'OFC_DAILY_RESET_UTC: DAILY_RESET_UTC must be a UTC time as HH:MM, got "25:00"'
+  ]);
+
+  const invalid = config.loadSettings({ env: { OFC_SCHEDULES: '[{"cron": "61 * * * *"}]' }, cwd: dir });
+  assert.deepStrictEqual(invalid.settings.SCHEDULES, []);
+  assert.match(invalid.errors[0], /SCHEDULES must be a list of cron strings/);
+
+  const impossible = config.loadSettings({ env: { OFC_SCHEDULES: '["0 0 30 2 *"]' }, cwd: dir });
+  assert.deepStrictEqual(impossible.settings.SCHEDULES, []);
+  assert.match(impossible.errors[0], /SCHEDULES must be a list of cron strings/);
+});
+
+test('loadSettings validates retry policies per error class', () => {
+  const { settings, errors } = config.loadSettings({
+    env: { OFC_RETRY_POLICIES: '{"server": {"attempts": 3, "baseDelay": 500}}', OFC_RETRY_BUDGET: '50' },
+    cwd: dir
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(settings.RETRY_POLICIES, { server: { attempts: 3, baseDelay: 500 } });
+  assert.strictEqual(settings.RETRY_BUDGET, 50);
+
+  const invalid = config.loadSettings({ env: { OFC_RETRY_POLICIES: '{"teapot": {"attempts": 0}}' }, cwd: dir });
+  assert.deepStrictEqual(invalid.settings.RETRY_POLICIES, {});
+  assert.match(invalid.errors[0], /RETRY_POLICIES must be an object of \{ attempts, baseDelay, maxDelay \} policies keyed by error class/);
+});
+
+test('reloadSources updates quiz answers in place and keeps them when the file is invalid', () => {
+  const saved = { QUIZ_ANSWERS_FILE: config.QUIZ_ANSWERS_FILE, quizAnswers: config.quizAnswers };
+  const answers = { quiz1: [{ questionId: 'q1', answers: [{ id: 'a' }] }], quiz2: [] };
+  const filePath = path.join(dir, 'reload-quiz-answers.json');
+
+  config.QUIZ_ANSWERS_FILE = filePath;
+  config.quizAnswers = answers;
+
+  try {
+    fs.writeFileSync(filePath, JSON.stringify({ quiz1: [{ questionId: 'q1', answers: [{ id: 'b' }] }], quiz3: [] }));
+    const { quizzes } = config.reloadSources();
+
+    assert.deepStrictEqual(quizzes, { added: ['quiz3'], updated: ['quiz1'], removed: ['quiz2'] });
+    assert.strictEqual(config.quizAnswers, answers);
+    assert.deepStrictEqual(Object.keys(answers), ['quiz1', 'quiz3']);
+
+    fs.writeFileSync(filePath, '{ "quiz1": ');
+    const invalid = config.reloadSources().quizzes;
+    assert.ok(invalid.error);
+    assert.deepStrictEqual(Object.keys(answers), ['quiz1', 'quiz3']);
+  } finally {
+    Object.assign(config, saved);
+  }
+});
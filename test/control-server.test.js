@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const axios = require('axios');
+const TaskScheduler = require('../src/scheduler');
+const ControlServer = require('../src/services/control-server');
+const { createSilentLogger, sendRawRequest } = require('./helpers');
+
+const logger = createSilentLogger();
+const token = 'test-token';
+const report = { runId: 'run-1', finishedAt: '2024-06-15T12:00:00.000Z', totals: { wallets: 1, points: 10 } };
+
+let cycles = 0;
+const scheduler = new TaskScheduler({ logger, processor: async () => ++cycles });
+const processor = {
+  wallets: [{}],
+  describeWallets: async () => [{ index: 1, address: '0xabc' }],
+  getLatestReport: () => (cycles > 0 ? report : null)
+};
+
+let server;
+let client;
+
+before(async () => {
+  server = await new ControlServer({ logger, scheduler, processor, token, port: 0, host: '127.0.0.1' }).start();
+  client = axios.create({
+    baseURL: server.url,
+    headers: { Authorization: `Bearer ${token}` },
+    validateStatus: () => true
+  });
+});
+
+after(() => server.stop());
+
+test('requires a token', () => {
+  assert.throws(() => new ControlServer({ logger, scheduler, processor, token: null }), /CONTROL_TOKEN must be set/);
+});
+
+test('rejects requests without the right token', async () => {
+  const response = await axios.get(`${server.url}/status`, {
+    headers: { Authorization: 'Bearer wrong' },
+    validateStatus: () => true
+  });
+  assert.strictEqual(response.status, 401);
+});
+
+test('GET /runs/latest is 404 before the first run', async () => {
+  const response = await client.get('/runs/latest');
+  assert.strictEqual(response.status, 404);
+});
+
+test('POST /run-now starts a cycle and GET /runs/latest returns its report', async () => {
+  const completed = once(scheduler, 'executionCompleted');
+  const response = await client.post('/run-now');
+  assert.strictEqual(response.status, 202);
+  await completed;
+
+  const latest = await client.get('/runs/latest');
+  assert.strictEqual(latest.status, 200);
+  assert.deepStrictEqual(latest.data, report);
+});
+
+test('POST /pause and /resume toggle the scheduler', async () => {
+  const paused = await client.post('/pause');
+  assert.strictEqual(paused.data.paused, true);
+  assert.strictEqual(scheduler.paused, true);
+
+  const resumed = await client.post('/resume');
+  assert.strictEqual(resumed.data.paused, false);
+});
+
+test('GET /status and /wallets describe the daemon', async () => {
+  const status = await client.get('/status');
+  assert.strictEqual(status.status, 200);
+  assert.strictEqual(status.data.wallets, 1);
+  assert.deepStrictEqual(status.data.latestRun.totals, report.totals);
+
+  const wallets = await client.get('/wallets');
+  assert.deepStrictEqual(wallets.data, { wallets: [{ index: 1, address: '0xabc' }] });
+});
+
+test('unknown routes are 404', async () => {
+  const response = await client.get('/run-now');
+  assert.strictEqual(response.status, 404);
+});
+
+test('a malformed request path gets 400 and the server keeps running', async () => {
+  const status = await sendRawRequest(server.url, 'GET //[ HTTP/1.1', { Authorization: `Bearer ${token}` });
+  assert.strictEqual(status, 400);
+
+  const response = await client.get('/status');
+  assert.strictEqual(response.status, 200);
+});
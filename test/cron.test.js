@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCron, isValidCron, getNextCronTime } = require('../src/utils/cron');
+const { createSchedule } = require('../src/utils/schedule');
+
+/**
+ * Finds the next run of an expression after a UTC time
+ * @param {string} expression - Cron expression
+ * @param {string} after - ISO time
+ * @returns {string} ISO time of the next run
+ */
+function next(expression, after) {
+  return getNextCronTime(expression, new Date(after)).toISOString();
+}
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const parsed = parseCron('0,30 9-17/4 */10 JAN-MAR mon-fri');
+
+  assert.deepStrictEqual([...parsed.minute], [0, 30]);
+  assert.deepStrictEqual([...parsed.hour], [9, 13, 17]);
+  assert.deepStrictEqual([...parsed.dayOfMonth], [1, 11, 21, 31]);
+  assert.deepStrictEqual([...parsed.month], [1, 2, 3]);
+  assert.deepStrictEqual([...parsed.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields, got 4/);
+  assert.throws(() => parseCron('60 * * * *'), /invalid minute value "60"/);
+  assert.throws(() => parseCron('*/0 * * * *'), /invalid step "0"/);
+  assert.throws(() => parseCron('0 10-5 * * *'), /invalid range "10-5"/);
+  assert.strictEqual(isValidCron('@daily'), true);
+  assert.strictEqual(isValidCron('@sometimes'), false);
+});
+
+test('getNextCronTime finds the next matching minute in UTC', () => {
+  assert.strictEqual(next('*/15 * * * *', '2024-06-15T12:07:30Z'), '2024-06-15T12:15:00.000Z');
+  assert.strictEqual(next('5 0 * * *', '2024-06-15T00:05:00Z'), '2024-06-16T00:05:00.000Z');
+  assert.strictEqual(next('@monthly', '2024-12-31T23:59:00Z'), '2025-01-01T00:00:00.000Z');
+  assert.strictEqual(next('0 0 29 2 *', '2024-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('getNextCronTime matches either day field when both are restricted', () => {
+  // 2024-06-15 is a Saturday: Monday the 17th matches before the 20th does
+  assert.strictEqual(next('0 12 20 * 1', '2024-06-15T13:00:00Z'), '2024-06-17T12:00:00.000Z');
+  assert.strictEqual(next('0 12 * * 7', '2024-06-15T13:00:00Z'), '2024-06-16T12:00:00.000Z');
+});
+
+test('getNextCronTime requires both day fields when one of them starts with "*"', () => {
+  // Odd days that are also Mondays: after Monday the 17th, the next is Monday 1 July
+  assert.strictEqual(next('0 0 */2 * 1', '2024-06-17T01:00:00Z'), '2024-07-01T00:00:00.000Z');
+  // The 1st of a month that falls on Sunday, Tuesday, Thursday or Saturday: Thursday 1 August
+  assert.strictEqual(next('0 0 1 * */2', '2024-06-15T13:00:00Z'), '2024-08-01T00:00:00.000Z');
+});
+
+test('reset-aligned schedules run the given minutes after the daily reset', () => {
+  const schedule = createSchedule({ name: 'dailies', afterResetMinutes: 10 }, { dailyResetUtc: '23:55' });
+
+  assert.strictEqual(schedule.name, 'dailies');
+  assert.strictEqual(schedule.getNextRunTime(new Date('2024-06-15T00:04:59Z')).toISOString(), '2024-06-15T00:05:00.000Z');
+  assert.strictEqual(schedule.getNextRunTime(new Date('2024-06-15T00:05:00Z')).toISOString(), '2024-06-16T00:05:00.000Z');
+  assert.throws(() => createSchedule({ cron: '@daily', afterResetMinutes: 5 }), /exactly one of/);
+  assert.throws(() => createSchedule({ afterResetMinutes: -1 }), /afterResetMinutes must be an integer/);
+});
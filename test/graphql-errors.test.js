@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  GraphqlError,
+  AuthExpiredError,
+  AlreadyCompletedError,
+  ActivityNotEligibleError,
+  RateLimitedError,
+  parseGraphqlErrors,
+  describeFailure
+} = require('../src/services/graphql-errors');
+const { classifyError } = require('../src/utils/retry');
+
+/**
+ * Builds a response carrying GraphQL errors
+ * @param {Array} errors - GraphQL errors
+ * @param {number} status - HTTP status
+ * @returns {Object} Response
+ */
+const response = (errors, status = 200) => ({ status, data: { data: null, errors } });
+
+test('parseGraphqlErrors picks the error type by code, then by message', () => {
+  const byCode = parseGraphqlErrors('VerifyActivity', response([{ message: 'Nope', extensions: { code: 'ALREADY_COMPLETED' } }]));
+  assert.ok(byCode instanceof AlreadyCompletedError);
+  assert.deepStrictEqual([byCode.operation, byCode.code, byCode.reason], ['VerifyActivity', 'ALREADY_COMPLETED', 'Nope']);
+  assert.strictEqual(byCode.message, 'VerifyActivity failed: Nope (ALREADY_COMPLETED)');
+
+  assert.ok(parseGraphqlErrors('VerifyActivity', response([{ message: 'Wallet is not eligible for this activity' }])) instanceof ActivityNotEligibleError);
+  assert.ok(parseGraphqlErrors('VerifyActivity', response([{ message: 'Rate limit exceeded' }])) instanceof RateLimitedError);
+
+  const other = parseGraphqlErrors('CampaignSpot', response([{ message: 'Something broke' }]));
+  assert.strictEqual(other.constructor, GraphqlError);
+  assert.strictEqual(other.code, null);
+
+  assert.strictEqual(parseGraphqlErrors('CampaignSpot', { status: 200, data: { data: {} } }), null);
+});
+
+test('authentication failures outrank other errors and cover bare 401 responses', () => {
+  const mixed = parseGraphqlErrors('CampaignSpot', response([
+    { message: 'Something broke' },
+    { message: 'Unauthorized: jwt expired', extensions: { code: 'UNAUTHENTICATED' } }
+  ]));
+  assert.ok(mixed instanceof AuthExpiredError);
+  assert.strictEqual(mixed.message, 'Authentication failed: Unauthorized: jwt expired');
+
+  const bare = parseGraphqlErrors('CampaignSpot', { status: 401, data: '' });
+  assert.ok(bare instanceof AuthExpiredError);
+  assert.strictEqual(bare.code, 'UNAUTHENTICATED');
+});
+
+test('typed errors name the retry class they are handled as', () => {
+  const classOf = (message, code) => classifyError(parseGraphqlErrors('Op', response([{ message, extensions: { code } }])));
+
+  assert.strictEqual(classOf('Slow down', 'RATE_LIMITED'), 'rate_limit');
+  assert.strictEqual(classOf('Boom', 'INTERNAL_SERVER_ERROR'), 'server');
+  assert.strictEqual(classOf('Done', 'ALREADY_COMPLETED'), 'fatal');
+  assert.strictEqual(classOf('Expired', 'UNAUTHENTICATED'), 'auth');
+});
+
+test('describeFailure reports the server reason and code of any failure', () => {
+  const graphql = parseGraphqlErrors('VerifyActivity', response([{ message: 'Not eligible', extensions: { code: 'NOT_ELIGIBLE' } }]));
+  assert.deepStrictEqual(describeFailure(graphql), {
+    error: 'VerifyActivity failed: Not eligible (NOT_ELIGIBLE)',
+    code: 'NOT_ELIGIBLE',
+    reason: 'Not eligible'
+  });
+
+  const http = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: { error: 'Maintenance' } } });
+  assert.deepStrictEqual(describeFailure(http), { error: http.message, code: 'HTTP_503', reason: 'Maintenance' });
+
+  const network = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  assert.deepStrictEqual(describeFailure(network), { error: 'connect ECONNREFUSED', code: 'ECONNREFUSED', reason: null });
+});
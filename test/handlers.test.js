@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const TaskService = require('../src/services/task-service');
+const { HandlerRegistry, createHandlerRegistry } = require('../src/handlers');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+const logger = createSilentLogger();
+
+/**
+ * Creates a task service whose verify requests are recorded instead of sent
+ * @param {HandlerRegistry} handlers - Handler registry
+ * @returns {Object} { service, sent }
+ */
+function createService(handlers) {
+  const sent = [];
+  const apiClient = {
+    graphqlRequest: async (operation, query, variables) => {
+      sent.push(variables.data);
+      return { data: { data: { verifyActivity: { record: { status: 'COMPLETED', rewardRecords: [] } } } } };
+    }
+  };
+  return { service: new TaskService({ logger, apiClient, handlers }), sent };
+}
+
+test('built-in handlers cover the known activity types', () => {
+  const registry = createHandlerRegistry({ logger, handlersDir: null });
+
+  assert.strictEqual(registry.get('QUIZ').name, 'quiz');
+  assert.strictEqual(registry.get('REFERRAL').manual, true);
+  assert.strictEqual(registry.has('NEW_TYPE'), false);
+  assert.strictEqual(registry.get('NEW_TYPE').name, 'generic');
+  assert.deepStrictEqual(registry.list().find(h => h.name === 'check-in').types, ['GM', 'CHECK_IN']);
+});
+
+test('invalid handlers are rejected with the reason', () => {
+  const registry = new HandlerRegistry({ logger });
+
+  assert.throws(() => registry.register({ name: 'x', types: [], priority: 1, verify() {} }), /types must be a non-empty list/);
+  assert.throws(() => registry.register({ name: 'x', types: ['A'], priority: '1', verify() {} }), /priority must be a number/);
+  assert.throws(() => registry.register({ name: 'x', types: ['A'], priority: 1 }, 'my-file.js'), /\(my-file\.js\): verify must be a function/);
+});
+
+test('handlers from the user directory add types and replace built-ins', async () => {
+  const dir = createTempDir();
+  fs.writeFileSync(path.join(dir, 'poll.js'), `module.exports = [
+    { name: 'poll', types: ['POLL'], priority: 5, verify: (task, context) => context.verify({ choice: task.properties.choice }) },
+    { name: 'quick-quiz', types: ['QUIZ'], priority: 1, verify: (task, context) => context.verify({ responses: ['A'] }) }
+  ];`);
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a handler');
+
+  const registry = createHandlerRegistry({ logger, handlersDir: dir });
+  const { service, sent } = createService(registry);
+
+  const tasks = [
+    { id: 'c', type: 'CHECK_IN' },
+    { id: 'p', type: 'POLL', properties: { choice: 2 } },
+    { id: 'q', type: 'QUIZ' }
+  ];
+  assert.deepStrictEqual(service.sortTasks(tasks).map(t => t.id), ['q', 'p', 'c']);
+
+  await service.verifyTask(tasks[1]);
+  await service.verifyTask(tasks[2]);
+  assert.deepStrictEqual(sent, [
+    { activityId: 'p', metadata: { choice: 2 } },
+    { activityId: 'q', metadata: { responses: ['A'] } }
+  ]);
+});
+
+test('a handler module that fails to load names the file', () => {
+  const dir = createTempDir();
+  fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = {');
+
+  assert.throws(() => createHandlerRegistry({ logger, handlersDir: dir }), /Could not load task handler .*broken\.js/);
+});
+
+test('unknown activity types are verified by the generic handler', async () => {
+  const { service, sent } = createService(createHandlerRegistry({ logger, handlersDir: null }));
+
+  const result = await service.verifyTask({ id: 'n', type: 'NEW_TYPE' });
+
+  assert.strictEqual(result.status, 'COMPLETED');
+  assert.deepStrictEqual(sent, [{ activityId: 'n' }]);
+  assert.strictEqual(service.getHandlerName('NEW_TYPE'), 'generic');
+});
+
+test('quiz verifications record whether the answers were accepted', () => {
+  const { service } = createService(createHandlerRegistry({ logger, handlersDir: null }));
+  const task = { id: 'q', type: 'QUIZ' };
+
+  assert.deepStrictEqual(service.getResultDetails(task, { status: 'COMPLETED' }), { answersAccepted: true });
+  assert.deepStrictEqual(service.getResultDetails(task, { status: 'FAILED' }), { answersAccepted: false });
+  assert.strictEqual(service.getResultDetails(task, null), null);
+  assert.strictEqual(service.getResultDetails({ id: 'c', type: 'CHECK_IN' }, { status: 'COMPLETED' }), null);
+});
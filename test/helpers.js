@@ -0,0 +1,57 @@
+/**
+ * Shared Test Helpers
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Creates a logger that discards everything
+ * @returns {Object} Logger with the winston level methods
+ */
+function createSilentLogger() {
+  const noop = () => {};
+  return { error: noop, warn: noop, info: noop, debug: noop };
+}
+
+/**
+ * Creates a temporary directory that is removed when the process exits
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Directory path
+ */
+function createTempDir(prefix = 'ofc-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Sends a raw HTTP/1.1 request line, which HTTP clients would refuse to send
+ * @param {string} url - Server base URL
+ * @param {string} requestLine - Request line, e.g. "GET //[ HTTP/1.1"
+ * @param {Object} headers - Request headers
+ * @returns {Promise<number>} Response status code
+ */
+function sendRawRequest(url, requestLine, headers = {}) {
+  const { hostname, port } = new URL(url);
+  const head = Object.entries({ Host: `${hostname}:${port}`, Connection: 'close', ...headers })
+    .map(([name, value]) => `${name}: ${value}\r\n`)
+    .join('');
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(Number(port), hostname, () => socket.write(`${requestLine}\r\n${head}\r\n`));
+    let response = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('error', reject);
+    socket.on('end', () => resolve(Number(response.split(' ')[1])));
+  });
+}
+
+module.exports = {
+  createSilentLogger,
+  createTempDir,
+  sendRawRequest
+};
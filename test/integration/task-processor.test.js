@@ -0,0 +1,413 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const config = require('../../src/config');
+const TaskProcessor = require('../../src/task-processor');
+const HistoryStore = require('../../src/services/history-store');
+const SessionStore = require('../../src/services/session-store');
+const KeyStore = require('../../src/services/key-store');
+const WalletDefinitions = require('../../src/services/wallet-definitions');
+const ReportWriter = require('../../src/services/report-writer');
+const { metrics } = require('../../src/services/metrics');
+const { createMockServer } = require('../../src/mock-server');
+const { sleep } = require('../../src/utils/retry');
+const { createSilentLogger, createTempDir } = require('../helpers');
+
+const logger = createSilentLogger();
+const dir = createTempDir();
+const mockServer = createMockServer();
+const privateKey = ethers.Wallet.createRandom().privateKey;
+const address = new ethers.Wallet(privateKey).address;
+
+/**
+ * Creates a processor wired to temporary stores
+ * @returns {TaskProcessor} Processor
+ */
+function createProcessor() {
+  return new TaskProcessor({
+    logger,
+    historyStore: new HistoryStore({ logger, dataDir: dir }),
+    sessionStore: new SessionStore({ logger, dataDir: dir }),
+    keyStore: new KeyStore({
+      logger,
+      walletsFile: path.join(dir, 'pk.txt'),
+      vaultFile: path.join(dir, 'missing.vault'),
+      keystoreDir: path.join(dir, 'missing-keystore')
+    }),
+    walletDefinitions: new WalletDefinitions({ logger, filePath: path.join(dir, 'wallets.yaml') }),
+    reportWriter: new ReportWriter({ logger, reportsDir: path.join(dir, 'reports'), formats: ['json'] })
+  });
+}
+
+before(async () => {
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+  await mockServer.start();
+  Object.assign(config, mockServer.getConfigOverrides());
+});
+
+after(() => mockServer.stop());
+
+test('planAllWallets lists the plan without verifying anything', async () => {
+  const [plan] = await createProcessor().planAllWallets();
+  const [campaign] = plan.campaigns;
+
+  assert.strictEqual(plan.wallet, address);
+  assert.deepStrictEqual(campaign.tasks.map(t => [t.id, t.handler]), [
+    ['mock-daily-check-in', 'check-in'],
+    ['mock-twitter-follow', 'twitter-follow'],
+    ['mock-external-link', 'external-link'],
+    ['d05d17cb-9ecd-404e-850e-f7d92b895bb4', 'quiz'],
+    ['mock-unanswered-quiz', 'quiz']
+  ]);
+  assert.deepStrictEqual(
+    campaign.tasks.filter(t => t.unmetPrerequisites.length > 0).map(t => [t.id, t.unmetPrerequisites]),
+    [['mock-unanswered-quiz', ['No answers configured for this quiz']]]
+  );
+  assert.ok(!mockServer.requests.some(r => r.operation === 'VerifyActivity'));
+});
+
+test('processAllWallets completes available tasks and records history', async () => {
+  const [result] = await createProcessor().processAllWallets();
+
+  assert.strictEqual(result.wallet, address);
+  assert.strictEqual(result.error, undefined);
+
+  // Hidden tasks and manual-only types are never attempted
+  const attempted = [...result.completedTasks, ...result.failedTasks].map(t => t.id);
+  assert.ok(!attempted.includes('mock-hidden-task'));
+  assert.ok(!attempted.includes('mock-referral'));
+
+  assert.deepStrictEqual(result.completedTasks.map(t => t.id).sort(), [
+    'd05d17cb-9ecd-404e-850e-f7d92b895bb4',
+    'mock-daily-check-in',
+    'mock-external-link',
+    'mock-twitter-follow'
+  ]);
+  assert.deepStrictEqual(result.failedTasks.map(t => t.id), ['mock-unanswered-quiz']);
+  assert.strictEqual(result.totalPoints, 180);
+  assert.strictEqual(metrics.tasksCompleted.get({ type: 'QUIZ' }), 1);
+  assert.strictEqual(metrics.tasksFailed.get({ type: 'QUIZ' }), 1);
+  assert.strictEqual(metrics.tasksVerified.get({ type: 'EXTERNAL_LINK' }), 1);
+  assert.ok(metrics.apiResponses.get({ api: 'deform', operation: 'VerifyActivity', status: 200 }) >= 4);
+  assert.strictEqual(metrics.cycles.get(), 1);
+  assert.deepStrictEqual(result.campaigns[0].balance, {
+    campaignId: config.CAMPAIGN_ID,
+    points: 180,
+    rank: 3,
+    previousPoints: null,
+    previousRank: null,
+    pointsChange: null,
+    rankChange: null
+  });
+
+  const history = new HistoryStore({ logger, dataDir: dir }).query({ wallet: address });
+  assert.strictEqual(history.length, 5);
+  assert.strictEqual(history.filter(r => r.status === 'COMPLETED').length, 4);
+  assert.deepStrictEqual(
+    history.filter(r => r.type === 'QUIZ').map(r => [r.activityId, r.details]),
+    [['d05d17cb-9ecd-404e-850e-f7d92b895bb4', { answersAccepted: true }], ['mock-unanswered-quiz', null]]
+  );
+
+  const [reportFile] = fs.readdirSync(path.join(dir, 'reports'));
+  const report = JSON.parse(fs.readFileSync(path.join(dir, 'reports', reportFile), 'utf8'));
+  assert.strictEqual(report.totals.points, 180);
+  assert.strictEqual(report.tasks.length, 5);
+  assert.strictEqual(report.tasks.find(t => t.status === 'FAILED').reason, 'Prerequisite not met: No answers configured for this quiz');
+
+  // Quizzes without answers are never submitted
+  const verified = mockServer.requests.filter(r => r.operation === 'VerifyActivity');
+  assert.ok(!verified.some(r => r.body?.variables?.data?.activityId === 'mock-unanswered-quiz'));
+});
+
+test('a second cycle reuses the session and skips completed tasks', async () => {
+  const loginsBefore = mockServer.requests.filter(r => r.operation === 'siwe/authenticate').length;
+
+  const [result] = await createProcessor().processAllWallets();
+
+  const loginsAfter = mockServer.requests.filter(r => r.operation === 'siwe/authenticate').length;
+  assert.strictEqual(loginsAfter, loginsBefore);
+  assert.deepStrictEqual(result.completedTasks, []);
+  assert.strictEqual(result.campaigns[0].balance.points, 180);
+  assert.strictEqual(result.campaigns[0].balance.pointsChange, 0);
+  assert.deepStrictEqual(result.failedTasks.map(t => t.id), ['mock-unanswered-quiz']);
+});
+
+test('an expired session is refreshed and the request replayed', async () => {
+  mockServer.addFault({ operation: 'CampaignActivitiesPanel', expireToken: true });
+  const loginsBefore = mockServer.requests.filter(r => r.operation === 'siwe/authenticate').length;
+
+  const [result] = await createProcessor().processAllWallets();
+
+  const loginsAfter = mockServer.requests.filter(r => r.operation === 'siwe/authenticate').length;
+  assert.strictEqual(loginsAfter, loginsBefore + 1);
+  assert.strictEqual(metrics.authFailures.get({ wallet: address, reason: 'session_rejected' }), 1);
+  assert.strictEqual(result.error, undefined);
+  assert.deepStrictEqual(result.failedTasks.map(t => t.id), ['mock-unanswered-quiz']);
+});
+
+test('a 429 with Retry-After pauses the host and the request is retried', async () => {
+  mockServer.addFault({ operation: 'CampaignActivitiesPanel', status: 429, headers: { 'Retry-After': '1' } });
+  const panelsBefore = mockServer.requests.filter(r => r.operation === 'CampaignActivitiesPanel').length;
+  const started = Date.now();
+
+  const [result] = await createProcessor().processAllWallets();
+
+  const panelsAfter = mockServer.requests.filter(r => r.operation === 'CampaignActivitiesPanel').length;
+  assert.strictEqual(result.error, undefined);
+  assert.ok(panelsAfter >= panelsBefore + 2);
+  // The retry waits for Retry-After instead of the 3s default backoff
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 950 && elapsed < 3000, `took ${elapsed}ms`);
+});
+
+test('server errors are retried with backoff while client errors fail at once', async () => {
+  const retryDelay = config.RETRY_DELAY;
+  config.RETRY_DELAY = 10;
+  const panelRequests = () => mockServer.requests.filter(r => r.operation === 'CampaignActivitiesPanel').length;
+
+  try {
+    mockServer.addFault({ operation: 'CampaignActivitiesPanel', status: 503, times: 2 });
+    let before = panelRequests();
+    const [retried] = await createProcessor().processAllWallets();
+
+    assert.strictEqual(retried.error, undefined);
+    assert.strictEqual(panelRequests() - before, 3);
+    assert.strictEqual(metrics.requestRetries.get({ api: 'deform', operation: 'CampaignActivitiesPanel', reason: 'server' }), 2);
+
+    mockServer.addFault({ operation: 'CampaignActivitiesPanel', status: 400 });
+    before = panelRequests();
+    await createProcessor().processAllWallets();
+
+    assert.strictEqual(panelRequests() - before, 1);
+  } finally {
+    config.RETRY_DELAY = retryDelay;
+  }
+});
+
+test('a rejected login is not retried', async () => {
+  mockServer.addFault({ operation: 'CampaignActivitiesPanel', expireToken: true });
+  mockServer.addFault({ operation: 'siwe/authenticate', status: 403 });
+
+  await createProcessor().processAllWallets();
+
+  // The 403 was answered once and never sent again
+  assert.strictEqual(metrics.apiResponses.get({ api: 'privy', operation: '/authenticate', status: 403 }), 1);
+  assert.strictEqual(metrics.requestRetries.get({ api: 'privy', operation: '/authenticate', reason: 'auth' }), 0);
+});
+
+test('wallets process every configured campaign', async () => {
+  config.CAMPAIGN_IDS = [config.CAMPAIGN_ID, 'mock-matchday-campaign'];
+
+  try {
+    const [result] = await createProcessor().processAllWallets();
+
+    assert.deepStrictEqual(result.campaigns.map(c => c.campaignId), [config.CAMPAIGN_ID, 'mock-matchday-campaign']);
+    assert.deepStrictEqual(result.completedTasks.map(t => [t.campaignId, t.id]), [['mock-matchday-campaign', 'mock-matchday-link']]);
+    assert.strictEqual(result.totalPoints, 30);
+
+    const history = new HistoryStore({ logger, dataDir: dir }).query({ campaignId: 'mock-matchday-campaign' });
+    assert.strictEqual(history.length, 1);
+  } finally {
+    config.CAMPAIGN_IDS = [];
+  }
+});
+
+test('wallet definitions label wallets, add keys and exclude tasks', async () => {
+  const disabledKey = ethers.Wallet.createRandom().privateKey;
+  fs.writeFileSync(path.join(dir, 'wallets.yaml'), [
+    `- address: "${address}"`,
+    '  label: main-1',
+    '  denyTypes: [QUIZ]',
+    '  denyActivities: [mock-external-link]',
+    `- privateKey: "${disabledKey}"`,
+    '  label: spare',
+    '  enabled: false'
+  ].join('\n'));
+
+  try {
+    const processor = createProcessor();
+    const plans = await processor.planAllWallets();
+
+    assert.deepStrictEqual(processor.wallets.map(wallet => [wallet.index, wallet.label]), [[1, 'main-1']]);
+    assert.strictEqual(plans[0].label, 'main-1');
+    // Only the unanswered quiz was still pending, and quizzes are denied
+    assert.deepStrictEqual(plans[0].campaigns[0].tasks, []);
+
+    const activities = await processor.getWalletTasks(processor.wallets[0], { includeUnavailable: true });
+    assert.deepStrictEqual(activities.filter(a => a.availability.reason === 'excluded').map(a => a.id).sort(), [
+      'd05d17cb-9ecd-404e-850e-f7d92b895bb4',
+      'mock-external-link',
+      'mock-unanswered-quiz'
+    ]);
+
+    const [wallet] = await createProcessor().describeWallets();
+    assert.strictEqual(wallet.label, 'main-1');
+  } finally {
+    fs.rmSync(path.join(dir, 'wallets.yaml'));
+  }
+});
+
+test('wallets, proxies and quiz answers are re-read before each cycle', async () => {
+  const processor = createProcessor();
+  await processor.initializeWallets();
+
+  const addedKey = ethers.Wallet.createRandom().privateKey;
+  const addedAddress = new ethers.Wallet(addedKey).address;
+  const saved = {
+    QUIZ_ANSWERS_FILE: config.QUIZ_ANSWERS_FILE,
+    PROXIES_FILE: config.PROXIES_FILE,
+    proxyConfigs: config.proxyConfigs
+  };
+
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n${addedKey}\n`, { mode: 0o600 });
+  fs.writeFileSync(path.join(dir, 'proxy.txt'), '127.0.0.1:8080:user:pass\n');
+  fs.writeFileSync(path.join(dir, 'quiz-answers.json'), JSON.stringify({
+    ...config.quizAnswers,
+    'mock-unanswered-quiz': [{ questionId: 'q1', answers: [{ id: 'a', text: 'Yes' }] }]
+  }));
+  config.QUIZ_ANSWERS_FILE = path.join(dir, 'quiz-answers.json');
+  config.PROXIES_FILE = path.join(dir, 'proxy.txt');
+
+  try {
+    const changes = await processor.reloadSources();
+
+    assert.deepStrictEqual(changes.added, [addedAddress]);
+    assert.deepStrictEqual(changes.removed, []);
+    assert.deepStrictEqual(changes.proxyChanged, [address]);
+    assert.deepStrictEqual(changes.quizzes.added, ['mock-unanswered-quiz']);
+    assert.strictEqual(processor.wallets.length, 2);
+    assert.ok(config.quizAnswers['mock-unanswered-quiz']);
+
+    // A key file emptied mid-edit keeps the wallets already loaded
+    fs.writeFileSync(path.join(dir, 'pk.txt'), '', { mode: 0o600 });
+    const unchanged = await processor.reloadSources();
+    assert.deepStrictEqual(unchanged.removed, []);
+    assert.strictEqual(processor.wallets.length, 2);
+  } finally {
+    fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+    delete config.quizAnswers['mock-unanswered-quiz'];
+    Object.assign(config, saved);
+  }
+});
+
+test('wallets are processed concurrently and results keep the wallet order', async () => {
+  const secondKey = ethers.Wallet.createRandom().privateKey;
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n${secondKey}\n`, { mode: 0o600 });
+
+  const lines = [];
+  const processor = new TaskProcessor({
+    logger: { ...logger, info: message => lines.push(message) },
+    historyStore: new HistoryStore({ logger, dataDir: dir }),
+    keyStore: new KeyStore({
+      logger,
+      walletsFile: path.join(dir, 'pk.txt'),
+      vaultFile: path.join(dir, 'missing.vault'),
+      keystoreDir: path.join(dir, 'missing-keystore')
+    }),
+    walletDefinitions: new WalletDefinitions({ logger, filePath: path.join(dir, 'wallets.yaml') }),
+    reportWriter: new ReportWriter({ logger, reportsDir: path.join(dir, 'reports'), formats: [] }),
+    concurrency: 2
+  });
+
+  let running = 0;
+  let maxRunning = 0;
+  processor.processWalletTasks = async wallet => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    // The first wallet finishes last
+    await sleep(wallet.index === 1 ? 60 : 10);
+    processor.getWalletLogger(wallet).info('done');
+    running--;
+    return { wallet: wallet.getAddress(), completedTasks: [], failedTasks: [], campaigns: [] };
+  };
+
+  try {
+    const results = await processor.processAllWallets();
+
+    assert.strictEqual(maxRunning, 2);
+    assert.deepStrictEqual(results.map(r => r.wallet), [address, new ethers.Wallet(secondKey).address]);
+    assert.ok(lines.includes(`[${address.slice(0, 6)}...${address.slice(-4)}] done`));
+  } finally {
+    fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+  }
+});
+
+test('failed tasks carry the reason and code of GraphQL errors', async () => {
+  const freshKey = ethers.Wallet.createRandom().privateKey;
+  const retryDelay = config.RETRY_DELAY;
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${freshKey}\n`, { mode: 0o600 });
+  config.RETRY_DELAY = 10;
+
+  // The first verification is throttled once, then rejected
+  mockServer.addFault({ operation: 'VerifyActivity', graphqlErrors: [{ message: 'Too many requests', extensions: { code: 'RATE_LIMITED' } }] });
+  mockServer.addFault({ operation: 'VerifyActivity', graphqlErrors: [{ message: 'Wallet is not eligible', extensions: { code: 'NOT_ELIGIBLE' } }] });
+
+  try {
+    const processor = createProcessor();
+    const [result] = await processor.processAllWallets();
+    const [rejected] = result.failedTasks;
+
+    assert.strictEqual(rejected.id, 'mock-daily-check-in');
+    assert.strictEqual(rejected.code, 'NOT_ELIGIBLE');
+    assert.strictEqual(rejected.reason, 'Wallet is not eligible');
+    assert.strictEqual(rejected.error, 'VerifyActivity failed: Wallet is not eligible (NOT_ELIGIBLE)');
+    assert.strictEqual(metrics.requestRetries.get({ api: 'deform', operation: 'VerifyActivity', reason: 'rate_limit' }), 1);
+
+    const reported = processor.lastReport.tasks.find(task => task.activityId === 'mock-daily-check-in');
+    assert.deepStrictEqual([reported.status, reported.code, reported.reason], ['FAILED', 'NOT_ELIGIBLE', 'Wallet is not eligible']);
+  } finally {
+    fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+    config.RETRY_DELAY = retryDelay;
+  }
+});
+
+test('an API outage opens the circuit breaker and defers the wallet that tripped it and the remaining ones', async () => {
+  const secondKey = ethers.Wallet.createRandom().privateKey;
+  const saved = { RETRY_DELAY: config.RETRY_DELAY, CIRCUIT_BREAKER_THRESHOLD: config.CIRCUIT_BREAKER_THRESHOLD };
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n${secondKey}\n`, { mode: 0o600 });
+  Object.assign(config, { RETRY_DELAY: 10, CIRCUIT_BREAKER_THRESHOLD: 3 });
+
+  // The first wallet's session is cached, so its first request is the one that keeps failing
+  mockServer.addFault({ operation: 'CampaignActivitiesPanel', status: 503, times: 3 });
+  const requestsBefore = mockServer.requests.length;
+
+  try {
+    const processor = createProcessor();
+    const [first, second] = await processor.processAllWallets();
+
+    assert.strictEqual(first.deferred, true);
+    assert.strictEqual(second.deferred, true);
+    assert.match(second.deferredReason, /^3 consecutive deform failures/);
+    // Nothing was sent once the breaker opened: no balance query, no login for the second wallet
+    assert.strictEqual(mockServer.requests.length - requestsBefore, 3);
+    assert.strictEqual(processor.lastReport.totals.deferredWallets, 2);
+    assert.strictEqual(processor.lastReport.totals.failedWallets, 0);
+  } finally {
+    fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+    Object.assign(config, saved);
+  }
+});
+
+test('tasks stop at once when the circuit breaker opens mid-wallet, without recording attempts', async () => {
+  const freshKey = ethers.Wallet.createRandom().privateKey;
+  const freshAddress = new ethers.Wallet(freshKey).address;
+  const saved = { RETRY_DELAY: config.RETRY_DELAY, CIRCUIT_BREAKER_THRESHOLD: config.CIRCUIT_BREAKER_THRESHOLD };
+  fs.writeFileSync(path.join(dir, 'pk.txt'), `${freshKey}\n`, { mode: 0o600 });
+  Object.assign(config, { RETRY_DELAY: 10, CIRCUIT_BREAKER_THRESHOLD: 3 });
+  mockServer.addFault({ operation: 'VerifyActivity', status: 503, times: 3 });
+  const verifiesBefore = mockServer.requests.filter(r => r.operation === 'VerifyActivity').length;
+
+  try {
+    const [result] = await createProcessor().processAllWallets();
+
+    assert.strictEqual(result.deferred, true);
+    // Only the first task was tried; neither it nor the ones after it count as failed attempts
+    assert.strictEqual(mockServer.requests.filter(r => r.operation === 'VerifyActivity').length - verifiesBefore, 3);
+    assert.deepStrictEqual(new HistoryStore({ logger, dataDir: dir }).query({ wallet: freshAddress }), []);
+  } finally {
+    fs.writeFileSync(path.join(dir, 'pk.txt'), `${privateKey}\n`, { mode: 0o600 });
+    Object.assign(config, saved);
+  }
+});
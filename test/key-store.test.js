@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const KeyStore = require('../src/services/key-store');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+test('rotating keystore files rewrites them in place, whatever their names', async () => {
+  const dir = createTempDir();
+  const keystoreDir = path.join(dir, 'keystore');
+  const wallet = ethers.Wallet.createRandom();
+  fs.mkdirSync(keystoreDir);
+  // Named like a geth keystore rather than after the address
+  const fileName = `UTC--2024-06-15T00-00-00.000Z--${wallet.address.slice(2).toLowerCase()}`;
+  fs.writeFileSync(path.join(keystoreDir, fileName), await wallet.encrypt('old', { scrypt: { N: 1024 } }));
+
+  const options = { logger: createSilentLogger(), keystoreDir, vaultFile: path.join(dir, 'missing.vault'), walletsFile: path.join(dir, 'pk.txt') };
+  const keyStore = new KeyStore(options);
+  await keyStore.rotateKeystoreFiles('old', 'new');
+
+  assert.deepStrictEqual(fs.readdirSync(keystoreDir), [fileName]);
+
+  const reloaded = new KeyStore(options);
+  reloaded.passphrase = 'new';
+  assert.deepStrictEqual(await reloaded.loadPrivateKeys(), [wallet.privateKey]);
+});
+
+test('rotating keystore files leaves every file untouched if one cannot be decrypted', async () => {
+  const dir = createTempDir();
+  const keystoreDir = path.join(dir, 'keystore');
+  fs.mkdirSync(keystoreDir);
+  const first = await ethers.Wallet.createRandom().encrypt('old', { scrypt: { N: 1024 } });
+  fs.writeFileSync(path.join(keystoreDir, 'a.json'), first);
+  fs.writeFileSync(path.join(keystoreDir, 'b.json'), await ethers.Wallet.createRandom().encrypt('other', { scrypt: { N: 1024 } }));
+
+  const keyStore = new KeyStore({ logger: createSilentLogger(), keystoreDir, vaultFile: path.join(dir, 'missing.vault') });
+  await assert.rejects(keyStore.rotateKeystoreFiles('old', 'new'), /Could not decrypt keystore b\.json/);
+  assert.strictEqual(fs.readFileSync(path.join(keystoreDir, 'a.json'), 'utf8'), first);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createTempDir } = require('./helpers');
+
+// The logger creates its logs directory on load; keep it out of the repository
+process.chdir(createTempDir());
+const { maskSensitiveData } = require('../src/config/logger');
+
+test('maskSensitiveData keeps the first four characters of sensitive strings', () => {
+  const masked = maskSensitiveData({ message: 'hi', privateKey: '0x1234567890abcdef' });
+  assert.strictEqual(masked.privateKey, '0x12********');
+  assert.strictEqual(masked.message, 'hi');
+});
+
+test('maskSensitiveData matches field names case-insensitively and by substring', () => {
+  const masked = maskSensitiveData({ Authorization: 'Bearer abcdef', deformToken: 'eyJhbGciOi' });
+  assert.strictEqual(masked.Authorization, 'Bear********');
+  assert.strictEqual(masked.deformToken, 'eyJh********');
+});
+
+test('maskSensitiveData masks nested objects and non-string values', () => {
+  const masked = maskSensitiveData({
+    request: { headers: { 'privy-id-token': 'abcdefgh' } },
+    secret: { nested: true }
+  });
+  assert.strictEqual(masked.request.headers['privy-id-token'], 'abcd********');
+  assert.strictEqual(masked.secret, '********');
+});
+
+test('maskSensitiveData passes through non-objects', () => {
+  assert.strictEqual(maskSensitiveData(null), null);
+  assert.strictEqual(maskSensitiveData('text'), 'text');
+});
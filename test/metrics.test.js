@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { MetricsRegistry } = require('../src/services/metrics');
+const MetricsServer = require('../src/services/metrics-server');
+const { createSilentLogger, sendRawRequest } = require('./helpers');
+
+test('counters render labelled samples in the exposition format', () => {
+  const registry = new MetricsRegistry();
+  const verified = registry.counter('test_verified_total', 'Verify attempts', ['type']);
+
+  verified.inc({ type: 'QUIZ' });
+  verified.inc({ type: 'QUIZ' });
+  verified.inc({ type: 'say "hi"\n' });
+
+  assert.strictEqual(verified.get({ type: 'QUIZ' }), 2);
+  assert.strictEqual(registry.render(), [
+    '# HELP test_verified_total Verify attempts',
+    '# TYPE test_verified_total counter',
+    'test_verified_total{type="QUIZ"} 2',
+    'test_verified_total{type="say \\"hi\\"\\n"} 1',
+    ''
+  ].join('\n'));
+});
+
+test('gauges without labels default to 0 and refresh from their collector', () => {
+  const registry = new MetricsRegistry();
+  const gauge = registry.gauge('test_next_run_seconds', 'Next run');
+
+  assert.match(registry.render(), /^test_next_run_seconds 0$/m);
+
+  gauge.setCollector(() => 1700000000);
+  assert.match(registry.render(), /^test_next_run_seconds 1700000000$/m);
+});
+
+test('registering the same name twice throws', () => {
+  const registry = new MetricsRegistry();
+  registry.counter('test_total', 'Total');
+  assert.throws(() => registry.gauge('test_total', 'Total'), /already registered/);
+});
+
+test('the metrics server serves /metrics and 404s anything else', async () => {
+  const registry = new MetricsRegistry();
+  registry.counter('test_cycles_total', 'Cycles').inc();
+
+  const server = await new MetricsServer({ logger: createSilentLogger(), registry, port: 0, host: '127.0.0.1' }).start();
+
+  try {
+    const response = await axios.get(`${server.url}/metrics`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers['content-type'], /^text\/plain/);
+    assert.match(response.data, /^test_cycles_total 1$/m);
+
+    const missing = await axios.get(`${server.url}/`, { validateStatus: () => true });
+    assert.strictEqual(missing.status, 404);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the metrics server answers a malformed request path with 400 and keeps running', async () => {
+  const server = await new MetricsServer({ logger: createSilentLogger(), registry: new MetricsRegistry(), port: 0, host: '127.0.0.1' }).start();
+
+  try {
+    assert.strictEqual(await sendRawRequest(server.url, 'GET //[ HTTP/1.1'), 400);
+
+    const response = await axios.get(`${server.url}/metrics`);
+    assert.strictEqual(response.status, 200);
+  } finally {
+    await server.stop();
+  }
+});
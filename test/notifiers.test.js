@@ -0,0 +1,148 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { NotificationManager } = require('../src/notifiers');
+const WebhookNotifier = require('../src/notifiers/webhook');
+const EmailNotifier = require('../src/notifiers/email');
+const CommandNotifier = require('../src/notifiers/command');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+const logger = createSilentLogger();
+
+/**
+ * Builds a run report with the given number of failed wallets
+ * @param {number} failed - Failed wallets
+ * @returns {Object} Report
+ */
+function report(failed = 0) {
+  const wallets = [
+    { wallet: '0xok', error: null },
+    ...Array.from({ length: failed }, (_, i) => ({ wallet: `0xbad${i}`, error: 'Authentication failed' }))
+  ];
+
+  return {
+    runId: 'run-1',
+    startedAt: '2024-06-15T12:00:00.000Z',
+    finishedAt: '2024-06-15T12:01:00.000Z',
+    totals: { wallets: wallets.length, failedWallets: failed, completed: 4, failed: 1, points: 180 },
+    wallets
+  };
+}
+
+/**
+ * Creates a notifier that records what it was sent
+ * @returns {Object} Notifier with a sent array
+ */
+function recordingNotifier() {
+  const sent = [];
+  return { name: 'recording', sent, send: async notification => sent.push(notification) };
+}
+
+test('completed cycles are notified only at or above the failed wallet threshold', async () => {
+  const notifier = recordingNotifier();
+  const manager = new NotificationManager({ logger, notifiers: [notifier], minFailedWallets: 2 });
+
+  await manager.notifyCycle(report(1));
+  assert.strictEqual(notifier.sent.length, 0);
+
+  // Exactly as many failures as the threshold is enough
+  await manager.notifyCycle(report(2));
+  assert.strictEqual(notifier.sent.length, 1);
+
+  const [notification] = notifier.sent;
+  assert.strictEqual(notification.event, 'cycle_completed');
+  assert.strictEqual(notification.title, '[OFC] Cycle completed, 2 wallets failed');
+  assert.deepStrictEqual(notification.failedWallets.map(w => w.wallet), ['0xbad0', '0xbad1']);
+  assert.match(notification.summary, /4 tasks completed, 1 failed, 180 points earned\. 2 wallets failed: 0xbad0/);
+});
+
+test('the NOTIFY_FAILED_WALLETS_AT_LEAST default of 0 notifies clean cycles too', async () => {
+  const notifier = recordingNotifier();
+  const manager = new NotificationManager({ logger, notifiers: [notifier] });
+
+  assert.strictEqual(manager.minFailedWallets, 0);
+  await manager.notifyCycle(report(0));
+  assert.strictEqual(notifier.sent.length, 1);
+});
+
+test('failed cycles are always notified and sink errors are not thrown', async () => {
+  const notifier = recordingNotifier();
+  const broken = { name: 'broken', send: async () => { throw new Error('down'); } };
+  const manager = new NotificationManager({ logger, notifiers: [broken, notifier], minFailedWallets: 5 });
+
+  const results = await manager.notifyFailure(new Error('No wallets found'));
+
+  assert.deepStrictEqual(results.map(r => r.status), ['rejected', 'fulfilled']);
+  assert.strictEqual(notifier.sent[0].event, 'cycle_failed');
+  assert.strictEqual(notifier.sent[0].error, 'No wallets found');
+});
+
+test('renderTemplate keeps raw values for whole placeholders and interpolates text', () => {
+  const rendered = WebhookNotifier.renderTemplate(
+    { text: 'Run {{runId}}: {{totals.points}} points{{missing}}', points: '{{totals.points}}', tags: ['{{event}}'] },
+    { runId: 'r1', event: 'cycle_completed', totals: { points: 180 } }
+  );
+
+  assert.deepStrictEqual(rendered, { text: 'Run r1: 180 points', points: 180, tags: ['cycle_completed'] });
+});
+
+test('the webhook notifier posts the rendered template', async () => {
+  let received = null;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received = JSON.parse(body);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const notifier = new WebhookNotifier({
+      logger,
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      template: { content: '{{summary}}' }
+    });
+    await notifier.send({ summary: 'All good' });
+    assert.deepStrictEqual(received, { content: 'All good' });
+  } finally {
+    server.close();
+  }
+});
+
+test('the email notifier sends the title and summary', async () => {
+  const notifier = new EmailNotifier({
+    logger,
+    from: 'ofc@example.com',
+    to: 'ops@example.com',
+    transport: nodemailer.createTransport({ jsonTransport: true })
+  });
+
+  const info = await notifier.send({ title: '[OFC] Cycle failed', summary: 'OFC cycle failed: boom' });
+  const message = JSON.parse(info.message);
+
+  assert.strictEqual(message.subject, '[OFC] Cycle failed');
+  assert.deepStrictEqual(message.to, [{ address: 'ops@example.com', name: '' }]);
+  assert.match(message.text, /^OFC cycle failed: boom/);
+});
+
+test('the command notifier passes the notification on stdin and in the environment', async () => {
+  const output = path.join(createTempDir(), 'notification.json');
+  const script = `let s='';process.stdin.on('data',d=>s+=d).on('end',()=>require('fs').writeFileSync(${JSON.stringify(output)},JSON.stringify({env:process.env.OFC_EVENT,body:JSON.parse(s)})))`;
+  const notifier = new CommandNotifier({ logger, command: `"${process.execPath}" -e "${script.replace(/"/g, '\\"')}"` });
+
+  await notifier.send({ event: 'cycle_completed', runId: 'r1', summary: 'done' });
+
+  const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+  assert.strictEqual(written.env, 'cycle_completed');
+  assert.strictEqual(written.body.summary, 'done');
+});
+
+test('the command notifier rejects on a non-zero exit code', async () => {
+  const notifier = new CommandNotifier({ logger, command: `"${process.execPath}" -e "process.exit(3)"` });
+  await assert.rejects(notifier.send({ event: 'cycle_failed', summary: 'x' }), /exited with code 3/);
+});
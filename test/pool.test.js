@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency } = require('../src/utils/pool');
+const { createPrefixedLogger } = require('../src/utils/prefixed-logger');
+const { sleep } = require('../src/utils/retry');
+
+test('mapWithConcurrency keeps input order and never exceeds the limit', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  // Later items finish first
+  const results = await mapWithConcurrency([40, 30, 20, 10, 5], 2, async (delay, index) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(delay);
+    running--;
+    return index;
+  });
+
+  assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+  assert.strictEqual(maxRunning, 2);
+});
+
+test('mapWithConcurrency handles empty lists and limits above the item count', async () => {
+  assert.deepStrictEqual(await mapWithConcurrency([], 4, async item => item), []);
+  assert.deepStrictEqual(await mapWithConcurrency(['a'], 4, async item => item.toUpperCase()), ['A']);
+});
+
+test('createPrefixedLogger prefixes every level and passes metadata through', () => {
+  const lines = [];
+  const base = {};
+  ['error', 'warn', 'info', 'debug'].forEach(level => {
+    base[level] = (message, meta) => lines.push([level, message, meta]);
+  });
+
+  const logger = createPrefixedLogger(base, '[main-1]');
+  logger.info('Authenticating', { attempt: 1 });
+  logger.error('Failed');
+
+  assert.deepStrictEqual(lines, [
+    ['info', '[main-1] Authenticating', { attempt: 1 }],
+    ['error', '[main-1] Failed', undefined]
+  ]);
+});
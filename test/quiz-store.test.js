@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const QuizStore = require('../src/services/quiz-store');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+const logger = createSilentLogger();
+
+const quiz = {
+  id: 'quiz-1',
+  title: 'Quiz #1',
+  type: 'QUIZ',
+  properties: {
+    questions: [
+      { id: 'q1', text: 'First?', answers: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }] },
+      { id: 'q2', text: 'Second?', answers: [{ id: 'c', text: 'Maybe' }] }
+    ]
+  }
+};
+
+/**
+ * Creates a store backed by a temporary file
+ * @param {Object} answers - Initial answers
+ * @returns {QuizStore} Store
+ */
+function createStore(answers = {}) {
+  return new QuizStore({ logger, filePath: path.join(createTempDir(), 'data', 'quiz-answers.json'), answers });
+}
+
+test('getQuestions normalizes the questions in the activity properties', () => {
+  assert.deepStrictEqual(QuizStore.getQuestions(quiz)[1], { id: 'q2', text: 'Second?', answers: [{ id: 'c', text: 'Maybe' }] });
+  assert.deepStrictEqual(QuizStore.getQuestions({ properties: {} }), []);
+});
+
+test('validate accepts answers matching the live questions', () => {
+  const store = createStore({
+    'quiz-1': [
+      { questionId: 'q1', answers: [{ id: 'a', text: 'Yes' }] },
+      { questionId: 'q2', answers: [{ id: 'c', text: 'Maybe' }] }
+    ]
+  });
+
+  assert.deepStrictEqual(store.validate(quiz), { activityId: 'quiz-1', title: 'Quiz #1', status: 'ok', problems: [] });
+});
+
+test('validate reports unknown IDs, changed texts and unanswered questions', () => {
+  const store = createStore({
+    'quiz-1': [
+      { questionId: 'q1', answers: [{ id: 'b', text: 'Nope' }, { id: 'z', text: '' }] },
+      { questionId: 'q9', answers: [{ id: 'a' }] }
+    ]
+  });
+
+  const result = store.validate(quiz);
+
+  assert.strictEqual(result.status, 'invalid');
+  assert.deepStrictEqual(result.problems, [
+    'Answer b for question q1 is now "No" (file has "Nope")',
+    'Unknown answer z for question q1',
+    'Unknown question q9',
+    'Question q2 has no answer'
+  ]);
+  assert.strictEqual(createStore().validate(quiz).status, 'missing');
+  assert.strictEqual(store.validate({ ...quiz, properties: {} }).status, 'unchecked');
+});
+
+test('setAnswers saves responses built from the chosen answer IDs', () => {
+  const answers = {};
+  const store = new QuizStore({ logger, filePath: path.join(createTempDir(), 'nested', 'answers.json'), answers });
+
+  store.setAnswers('quiz-1', store.buildResponses(quiz, { q1: ['a', 'b'], q2: [] }));
+
+  const expected = { 'quiz-1': [{ questionId: 'q1', answers: [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }] }] };
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.filePath, 'utf8')), expected);
+  assert.deepStrictEqual(answers, expected);
+  assert.strictEqual(store.hasAnswers('quiz-1'), true);
+});
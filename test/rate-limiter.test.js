@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, TokenBucket, parseRetryAfter, parseRateLimitReset, getBackoff } = require('../src/services/rate-limiter');
+
+test('RateLimiter allows a burst, then spaces out concurrent requests', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 2 });
+  const started = Date.now();
+
+  const waits = await Promise.all([1, 2, 3, 4].map(() => limiter.acquire('api.example')));
+
+  // Two requests go at once, the rest get slots 500ms apart in call order
+  assert.deepStrictEqual(waits.slice(0, 2), [0, 0]);
+  assert.ok(waits[2] >= 450 && waits[3] >= 950, `waited ${waits.join(', ')}ms`);
+  assert.ok(Date.now() - started >= 950);
+});
+
+test('RateLimiter keeps a separate bucket per host', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1 });
+
+  assert.strictEqual(await limiter.acquire('auth.example'), 0);
+  assert.strictEqual(await limiter.acquire('api.example'), 0);
+  assert.ok(limiter.getBucket('auth.example').reserve() > 900);
+});
+
+test('RateLimiter with a rate of 0 never waits', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 0 });
+  const waits = await Promise.all([1, 2, 3].map(() => limiter.acquire('api.example')));
+  assert.deepStrictEqual(waits, [0, 0, 0]);
+});
+
+test('Retry-After on a 429 pauses the host and halves its rate', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 0 });
+  const pause = limiter.update('api.example', { status: 429, headers: { 'retry-after': '2' } });
+
+  assert.strictEqual(pause, 2000);
+  const wait = limiter.getBucket('api.example').reserve();
+  assert.ok(wait > 1900 && wait <= 2000, `waits ${wait}ms`);
+  assert.strictEqual(limiter.getBucket('other.example').reserve(), 0);
+});
+
+test('token buckets slow down after a 429 and recover after successes', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 8 });
+  const bucket = limiter.getBucket('api.example');
+
+  [1, 2, 3, 4, 5].forEach(() => limiter.update('api.example', { status: 429, headers: {} }));
+  assert.strictEqual(bucket.rate, 1);
+
+  [1, 2, 3].forEach(() => limiter.update('api.example', { status: 200, headers: {} }));
+  assert.ok(Math.abs(bucket.rate - 3.4) < 1e-9);
+
+  [1, 2, 3, 4, 5, 6, 7, 8].forEach(() => limiter.update('api.example', { status: 200, headers: {} }));
+  assert.strictEqual(bucket.rate, 8);
+});
+
+test('a paused token bucket lets the first request through when the pause ends', () => {
+  const bucket = new TokenBucket(1);
+  const now = Date.now();
+
+  bucket.pause(now + 1000);
+  assert.strictEqual(bucket.reserve(now), 1000);
+  assert.strictEqual(bucket.reserve(now), 2000);
+});
+
+test('rate-limit headers are parsed as delays, dates and timestamps', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  assert.strictEqual(parseRetryAfter('3', now), 3000);
+  assert.strictEqual(parseRetryAfter('Thu, 01 Jan 2026 00:00:05 GMT', now), 5000);
+  assert.strictEqual(parseRetryAfter('soon', now), null);
+  assert.strictEqual(parseRetryAfter(null, now), null);
+
+  assert.strictEqual(parseRateLimitReset('10', now), 10000);
+  assert.strictEqual(parseRateLimitReset(String(now / 1000 + 7), now), 7000);
+
+  assert.strictEqual(getBackoff({ status: 200, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '4' } }, now), 4000);
+  assert.strictEqual(getBackoff({ status: 200, headers: { 'ratelimit-remaining': '3', 'ratelimit-reset': '4' } }, now), null);
+  assert.strictEqual(getBackoff({ status: 500, headers: { 'retry-after': '4' } }, now), null);
+});
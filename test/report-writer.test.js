@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ReportWriter = require('../src/services/report-writer');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+const logger = createSilentLogger();
+const cycle = {
+  runId: '2024-06-15T12:00:00.000Z',
+  startedAt: new Date('2024-06-15T12:00:00.000Z'),
+  finishedAt: new Date('2024-06-15T12:01:05.000Z')
+};
+
+const results = [
+  {
+    wallet: '0xaaa',
+    label: 'main-1',
+    group: 'main',
+    durationMs: 60000,
+    completedCount: 1,
+    failedCount: 1,
+    totalPoints: 10,
+    completedTasks: [{ id: 'a1', campaignId: 'c1', title: 'Check-in', type: 'CHECK_IN', points: 10, durationMs: 300 }],
+    failedTasks: [{
+      id: 'a2',
+      campaignId: 'c1',
+      title: 'Quiz, "hard"',
+      type: 'QUIZ',
+      error: 'VerifyActivity failed: Wrong | answer (WRONG_ANSWER)',
+      code: 'WRONG_ANSWER',
+      reason: 'Wrong | answer',
+      durationMs: 400
+    }],
+    campaigns: [{ campaignId: 'c1', completedCount: 1, failedCount: 1, totalPoints: 10 }]
+  },
+  { wallet: '0xbbb', error: 'Login failed', completedTasks: [], failedTasks: [], campaigns: [] }
+];
+
+test('buildReport flattens tasks and totals wallets', () => {
+  const report = new ReportWriter({ logger, reportsDir: createTempDir() }).buildReport(results, cycle);
+
+  assert.strictEqual(report.durationMs, 65000);
+  assert.deepStrictEqual(report.totals, { wallets: 2, failedWallets: 1, deferredWallets: 0, completed: 1, failed: 1, points: 10 });
+  assert.deepStrictEqual(report.tasks.map(t => [t.activityId, t.status, t.code, t.reason]), [
+    ['a1', 'COMPLETED', null, null],
+    ['a2', 'FAILED', 'WRONG_ANSWER', 'Wrong | answer']
+  ]);
+});
+
+test('toCsv escapes cells and lists wallet errors', () => {
+  const writer = new ReportWriter({ logger, reportsDir: createTempDir() });
+  const lines = writer.toCsv(writer.buildReport(results, cycle)).trim().split('\n');
+
+  assert.strictEqual(lines.length, 4);
+  assert.ok(lines[1].startsWith(`${cycle.runId},0xaaa,main-1,c1,a1,`));
+  assert.ok(lines[2].includes('"Quiz, ""hard"""'));
+  assert.ok(lines[2].endsWith(',400,WRONG_ANSWER,Wrong | answer'));
+  assert.ok(lines[3].endsWith('WALLET_ERROR,0,,,Login failed'));
+});
+
+test('toMarkdown escapes pipes in table cells', () => {
+  const writer = new ReportWriter({ logger, reportsDir: createTempDir() });
+  const markdown = writer.toMarkdown(writer.buildReport(results, cycle));
+
+  assert.match(markdown, /^# OFC Run Report 2024-06-15T12:00:00.000Z/);
+  assert.ok(markdown.includes('Wrong \\| answer'));
+  assert.ok(markdown.includes('| 2 | 1 | 0 | 1 | 1 | 10 | 1m 05s |'));
+  // Wallets with a label are named by it, the others by address
+  assert.ok(markdown.includes('| main-1 | main | all |'));
+  assert.ok(markdown.includes('| 0xbbb |'));
+});
+
+test('write creates one file per format and readLatest returns the newest JSON report', () => {
+  const reportsDir = createTempDir();
+  const writer = new ReportWriter({ logger, reportsDir, formats: ['json', 'csv', 'html'] });
+  const files = writer.write(writer.buildReport(results, cycle));
+
+  assert.deepStrictEqual(files.map(file => path.basename(file)), [
+    'report-2024-06-15T12-00-00-000Z.json',
+    'report-2024-06-15T12-00-00-000Z.csv',
+    'report-2024-06-15T12-00-00-000Z.html'
+  ]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(files[0], 'utf8')).runId, cycle.runId);
+
+  const laterRunId = '2024-06-16T12:00:00.000Z';
+  writer.write(writer.buildReport(results, { ...cycle, runId: laterRunId }));
+  assert.strictEqual(writer.readLatest().runId, laterRunId);
+});
+
+test('cleanup removes only reports older than the retention period', () => {
+  const reportsDir = createTempDir();
+  const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+
+  ['report-old.json', 'notes.txt'].forEach(name => {
+    fs.writeFileSync(path.join(reportsDir, name), '');
+    fs.utimesSync(path.join(reportsDir, name), old, old);
+  });
+  fs.writeFileSync(path.join(reportsDir, 'report-new.json'), '');
+
+  const deleted = new ReportWriter({ logger, reportsDir, retentionDays: 7 }).cleanup();
+
+  assert.deepStrictEqual(deleted.map(file => path.basename(file)), ['report-old.json']);
+  assert.deepStrictEqual(fs.readdirSync(reportsDir).sort(), ['notes.txt', 'report-new.json']);
+});
+
+test('unsupported formats are rejected', () => {
+  assert.throws(() => new ReportWriter({ logger, formats: ['pdf'] }), /Unsupported report format: pdf/);
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { retry, getBackoffDelay, classifyError, RetryBudget } = require('../src/utils/retry');
+const { createSilentLogger } = require('./helpers');
+
+const logger = createSilentLogger();
+
+/**
+ * Creates an error like the ones axios throws for an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with a response
+ */
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+test('getBackoffDelay grows exponentially up to maxDelay, with full jitter', () => {
+  const top = () => 0.999999;
+  assert.strictEqual(getBackoffDelay(0, 1000, 60000, top), 1000);
+  assert.strictEqual(getBackoffDelay(3, 1000, 60000, top), 8000);
+  assert.strictEqual(getBackoffDelay(10, 1000, 60000, top), 60000);
+  assert.strictEqual(getBackoffDelay(3, 1000, 60000, () => 0.5), 4000);
+  assert.strictEqual(getBackoffDelay(3, 1000, 60000, () => 0), 0);
+});
+
+test('classifyError sorts failures into retry classes', () => {
+  assert.strictEqual(classifyError(httpError(429)), 'rate_limit');
+  assert.strictEqual(classifyError(httpError(408)), 'timeout');
+  assert.strictEqual(classifyError(httpError(503)), 'server');
+  assert.strictEqual(classifyError(httpError(401)), 'auth');
+  assert.strictEqual(classifyError(httpError(403)), 'auth');
+  assert.strictEqual(classifyError(httpError(400)), 'fatal');
+  assert.strictEqual(classifyError(Object.assign(new Error('timeout of 5000ms exceeded'), { code: 'ECONNABORTED' })), 'timeout');
+  assert.strictEqual(classifyError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })), 'network');
+});
+
+test('retry returns the first successful result', async () => {
+  let calls = 0;
+  const result = await retry(async () => {
+    calls++;
+    if (calls < 3) throw new Error('transient');
+    return 'ok';
+  }, { retries: 5, delay: 1, logger });
+
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(calls, 3);
+});
+
+test('retry throws the last error once attempts are exhausted', async () => {
+  let calls = 0;
+  await assert.rejects(
+    retry(async () => {
+      calls++;
+      throw new Error(`failure ${calls}`);
+    }, { retries: 3, delay: 1, logger }),
+    /failure 3/
+  );
+  assert.strictEqual(calls, 3);
+});
+
+test('retry calls onRetry between attempts and ignores hook errors', async () => {
+  const hookCalls = [];
+  await assert.rejects(retry(async () => {
+    throw new Error('boom');
+  }, {
+    retries: 3,
+    delay: 1,
+    logger,
+    onRetry: (attempt) => {
+      hookCalls.push(attempt);
+      throw new Error('hook failure');
+    }
+  }), /boom/);
+
+  assert.deepStrictEqual(hookCalls, [0, 1]);
+});
+
+test('retry lets delayFor override the backoff of an attempt', async () => {
+  const delays = [];
+  let calls = 0;
+  const started = Date.now();
+
+  const result = await retry(async () => {
+    calls++;
+    if (calls < 3) throw Object.assign(new Error('limited'), { limited: calls === 1 });
+    return 'ok';
+  }, {
+    retries: 3,
+    delay: 5000,
+    logger,
+    delayFor: (error, attempt) => {
+      delays.push(attempt);
+      return error.limited ? 0 : 150;
+    }
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(delays, [0, 1]);
+  // Neither retry waited for the 5s backoff
+  const elapsed = Date.now() - started;
+  assert.ok(elapsed >= 140 && elapsed < 1000, `took ${elapsed}ms`);
+});
+
+test('retry fails straight away on classes whose policy allows one attempt', async () => {
+  let calls = 0;
+  await assert.rejects(retry(async () => {
+    calls++;
+    throw httpError(400);
+  }, { retries: 5, delay: 1, logger, policies: { fatal: { attempts: 1 } } }), error => {
+    assert.deepStrictEqual([error.errorClass, error.attempts], ['fatal', 1]);
+    return true;
+  });
+
+  assert.strictEqual(calls, 1);
+});
+
+test('retry applies the policy of the class of each failure', async () => {
+  let calls = 0;
+  await assert.rejects(retry(async () => {
+    calls++;
+    throw httpError(calls === 1 ? 503 : 400);
+  }, {
+    retries: 5,
+    delay: 1,
+    logger,
+    policies: { server: { attempts: 4, baseDelay: 1 }, fatal: { attempts: 1 } }
+  }), /status code 400/);
+
+  assert.strictEqual(calls, 2);
+});
+
+test('retry stops once the retry budget is spent', async () => {
+  const budget = new RetryBudget(3);
+  let calls = 0;
+  const failing = () => retry(async () => {
+    calls++;
+    throw httpError(500);
+  }, { retries: 3, delay: 1, logger, budget });
+
+  await assert.rejects(failing(), error => !error.retryBudgetExhausted);
+  await assert.rejects(failing(), error => error.retryBudgetExhausted === true);
+  assert.strictEqual(calls, 5);
+  assert.ok(budget.isExhausted());
+
+  budget.reset();
+  assert.ok(budget.take());
+  assert.ok(new RetryBudget(0).take());
+});
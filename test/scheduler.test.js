@@ -0,0 +1,204 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const TaskScheduler = require('../src/scheduler');
+const { createSilentLogger } = require('./helpers');
+
+const logger = createSilentLogger();
+const HOUR = 60 * 60 * 1000;
+
+test('requires a processor function', () => {
+  assert.throws(() => new TaskScheduler({ logger }), /processor function is required/);
+});
+
+test('calculateNextRunTime adds the configured interval', () => {
+  const scheduler = new TaskScheduler({ logger, processor: async () => {}, intervalHours: 2 });
+  const before = Date.now();
+  const next = scheduler.calculateNextRunTime().getTime();
+
+  assert.ok(next >= before + 2 * HOUR);
+  assert.ok(next <= Date.now() + 2 * HOUR);
+});
+
+test('formatTimeRemaining renders hours, minutes and seconds', () => {
+  const scheduler = new TaskScheduler({ logger, processor: async () => {} });
+  assert.strictEqual(scheduler.formatTimeRemaining(HOUR + 2 * 60 * 1000 + 3500), '1h 2m 3s');
+  assert.strictEqual(scheduler.formatTimeRemaining(0), '0h 0m 0s');
+});
+
+test('start runs immediately and schedules the next run one interval later', async () => {
+  let runs = 0;
+  const scheduler = new TaskScheduler({
+    logger,
+    processor: async () => ++runs,
+    intervalHours: 3
+  });
+
+  const completed = once(scheduler, 'executionCompleted');
+  await scheduler.start();
+  const [results] = await completed;
+
+  assert.strictEqual(results, 1);
+
+  // The next run is scheduled right after the execution completes
+  await new Promise(resolve => setImmediate(resolve));
+  const status = scheduler.getStatus();
+  assert.strictEqual(status.running, true);
+  assert.ok(status.nextRunTime.getTime() > Date.now() + 3 * HOUR - 5000);
+
+  scheduler.stop();
+  assert.strictEqual(scheduler.getStatus().running, false);
+  assert.strictEqual(runs, 1);
+});
+
+test('a failing processor emits executionFailed and keeps the scheduler alive', async () => {
+  const scheduler = new TaskScheduler({
+    logger,
+    processor: async () => { throw new Error('cycle failed'); }
+  });
+
+  const failed = once(scheduler, 'executionFailed');
+  await scheduler.start();
+  const [error] = await failed;
+
+  assert.strictEqual(error.message, 'cycle failed');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(scheduler.getStatus().running, true);
+  scheduler.stop();
+});
+
+test('a run that cannot be planned after a cycle stops the scheduler instead of throwing', async () => {
+  const scheduler = new TaskScheduler({ logger, processor: async () => {}, runOnStart: true });
+  scheduler.planNextRun = () => { throw new Error('No time matches cron expression "0 0 30 2 *"'); };
+
+  const stopped = once(scheduler, 'stopped');
+  await scheduler.start();
+  await stopped;
+
+  assert.strictEqual(scheduler.getStatus().running, false);
+});
+
+test('a paused scheduler skips scheduled runs but still runs on request', async () => {
+  let runs = 0;
+  const scheduler = new TaskScheduler({ logger, processor: async () => ++runs });
+
+  scheduler.pause();
+  await scheduler.start();
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(runs, 0);
+  assert.strictEqual(scheduler.getStatus().paused, true);
+
+  await scheduler.runOnce();
+  assert.strictEqual(runs, 1);
+  assert.ok(scheduler.getStatus().lastRun.finishedAt instanceof Date);
+
+  scheduler.resume();
+  assert.strictEqual(scheduler.getStatus().paused, false);
+  scheduler.stop();
+});
+
+test('overlapping executions are skipped', async () => {
+  let release;
+  const scheduler = new TaskScheduler({
+    logger,
+    processor: () => new Promise(resolve => { release = resolve; })
+  });
+
+  const first = scheduler.runOnce();
+  assert.deepStrictEqual(await scheduler.runOnce(), { skipped: true });
+
+  release('done');
+  assert.strictEqual(await first, 'done');
+  assert.strictEqual(scheduler.getStatus().executing, false);
+});
+
+test('the earliest of several schedules is run next', () => {
+  const scheduler = new TaskScheduler({
+    logger,
+    processor: async () => {},
+    schedules: [
+      { name: 'dailies', afterResetMinutes: 10 },
+      { name: 'sweep', cron: '0 */6 * * *' }
+    ]
+  });
+
+  assert.deepStrictEqual(scheduler.getNextRun(new Date('2024-06-15T23:30:00Z')), {
+    time: new Date('2024-06-16T00:00:00Z'),
+    schedule: 'sweep'
+  });
+  assert.deepStrictEqual(scheduler.getNextRun(new Date('2024-06-16T00:00:00Z')), {
+    time: new Date('2024-06-16T00:10:00Z'),
+    schedule: 'dailies'
+  });
+  assert.deepStrictEqual(scheduler.getStatus().schedules.map(schedule => schedule.name), ['dailies', 'sweep']);
+});
+
+test('runs are triggered by the wall clock, not by one long timer', async () => {
+  let runs = 0;
+  const scheduler = new TaskScheduler({
+    logger,
+    processor: async () => ++runs,
+    schedules: ['@yearly'],
+    runOnStart: false,
+    tickInterval: 5
+  });
+
+  await scheduler.start();
+  assert.strictEqual(scheduler.getStatus().nextSchedule, '@yearly');
+
+  // Pretend the machine slept through the scheduled time
+  const completed = once(scheduler, 'executionCompleted');
+  scheduler.nextRunTime = new Date(Date.now() - HOUR);
+  await completed;
+
+  assert.strictEqual(runs, 1);
+  assert.strictEqual(scheduler.getStatus().lastRun.trigger, '@yearly');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.ok(scheduler.getStatus().nextRunTime.getTime() > Date.now());
+
+  scheduler.stop();
+});
+
+test('a retry requested during a cycle brings the next run forward once', async () => {
+  let runs = 0;
+  const scheduler = new TaskScheduler({
+    logger,
+    intervalHours: 3,
+    tickInterval: 5,
+    processor: async () => {
+      runs++;
+      if (runs === 1) scheduler.requestRetry(50, 'wallets deferred');
+      return runs;
+    }
+  });
+
+  const firstDone = once(scheduler, 'executionCompleted');
+  await scheduler.start();
+  await firstDone;
+  await new Promise(resolve => setImmediate(resolve));
+
+  const afterFirst = scheduler.getStatus();
+  assert.strictEqual(afterFirst.nextSchedule, 'retry');
+  assert.ok(afterFirst.nextRunTime.getTime() <= Date.now() + 50);
+
+  // The retry run happens, then the interval takes over again
+  const [results] = await once(scheduler, 'executionCompleted');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(results, 2);
+  assert.strictEqual(scheduler.getStatus().lastRun.trigger, 'retry');
+  assert.strictEqual(scheduler.getStatus().nextSchedule, 'interval');
+  scheduler.stop();
+});
+
+test('a retry later than the next scheduled run changes nothing', async () => {
+  const scheduler = new TaskScheduler({ logger, intervalHours: 1, runOnStart: false, processor: async () => {} });
+  await scheduler.start();
+  const { nextRunTime } = scheduler.getStatus();
+
+  scheduler.requestRetry(2 * HOUR, 'wallets deferred');
+
+  assert.strictEqual(scheduler.getStatus().nextRunTime, nextRunTime);
+  assert.strictEqual(scheduler.getStatus().nextSchedule, 'interval');
+  scheduler.stop();
+});
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const TaskService = require('../src/services/task-service');
+const { createSilentLogger } = require('./helpers');
+
+const service = new TaskService({ logger: createSilentLogger(), apiClient: {} });
+
+// Daily periods follow UTC days, whatever the machine's time zone
+const now = new Date('2024-06-15T00:30:00Z');
+const earlierToday = '2024-06-15T00:05:00Z';
+const yesterday = '2024-06-14T23:55:00Z';
+
+/**
+ * Builds an activity for filtering
+ * @param {Object} overrides - Activity fields
+ * @returns {Object} Activity
+ */
+function activity(overrides = {}) {
+  return { id: 'a1', title: 'Task', type: 'EXTERNAL_LINK', isHidden: false, records: [], ...overrides };
+}
+
+const daily = { type: 'DAY', count: 1 };
+
+/**
+ * Returns the IDs of the activities that pass the filter
+ * @param {Object[]} activities - Activities
+ * @returns {string[]} Activity IDs
+ */
+function available(activities) {
+  return service.filterIncompleteTasks(activities, now).map(a => a.id);
+}
+
+test('activities without records are available', () => {
+  assert.deepStrictEqual(available([activity({ records: [] }), activity({ id: 'a2', records: null })]), ['a1', 'a2']);
+});
+
+test('hidden activities are never available', () => {
+  assert.deepStrictEqual(available([activity({ isHidden: true })]), []);
+});
+
+test('completed one-off activities are not available', () => {
+  assert.deepStrictEqual(available([activity({ records: [{ status: 'COMPLETED', createdAt: yesterday }] })]), []);
+});
+
+test('one-off activities with only failed records stay available', () => {
+  assert.deepStrictEqual(available([activity({ records: [{ status: 'FAILED', createdAt: yesterday }] })]), ['a1']);
+});
+
+test('a completed reward record counts as completion', () => {
+  const records = [{ status: 'PENDING', createdAt: yesterday, rewardRecords: [{ status: 'COMPLETED' }] }];
+  assert.deepStrictEqual(available([activity({ records })]), []);
+});
+
+test('daily activities completed today are not available', () => {
+  const records = [{ status: 'COMPLETED', createdAt: earlierToday }];
+  assert.deepStrictEqual(available([activity({ recurringPeriod: daily, records })]), []);
+});
+
+test('daily activities completed on a previous day are available again', () => {
+  const records = [{ status: 'COMPLETED', createdAt: yesterday }];
+  assert.deepStrictEqual(available([activity({ recurringPeriod: daily, records })]), ['a1']);
+});
+
+test('daily recurrence looks at the most recent record', () => {
+  const records = [
+    { status: 'COMPLETED', createdAt: yesterday },
+    { status: 'COMPLETED', createdAt: earlierToday }
+  ];
+  assert.deepStrictEqual(available([activity({ recurringPeriod: daily, records })]), []);
+});
+
+test('a failed attempt after yesterday\'s completion does not block a daily activity', () => {
+  const records = [
+    { status: 'COMPLETED', createdAt: yesterday },
+    { status: 'FAILED', createdAt: earlierToday }
+  ];
+  assert.deepStrictEqual(available([activity({ recurringPeriod: daily, records })]), ['a1']);
+});
+
+test('available activities carry the reason they were judged available', () => {
+  const [task] = service.filterIncompleteTasks([activity({ recurringPeriod: daily, records: [{ status: 'COMPLETED', createdAt: yesterday }] })], now);
+  assert.strictEqual(task.availability.reason, 'new_period');
+  assert.match(task.availability.message, /recurs every day \(UTC\)/);
+});
@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+const WalletDefinitions = require('../src/services/wallet-definitions');
+const TaskService = require('../src/services/task-service');
+const { createSilentLogger, createTempDir } = require('./helpers');
+
+const logger = createSilentLogger();
+const privateKey = ethers.Wallet.createRandom().privateKey;
+const address = new ethers.Wallet(privateKey).address;
+
+/**
+ * Writes a definition file and returns a reader for it
+ * @param {string} name - File name (the extension picks JSON or YAML)
+ * @param {string} content - File content
+ * @returns {WalletDefinitions} Reader
+ */
+function createDefinitions(name, content) {
+  const filePath = path.join(createTempDir(), name);
+  fs.writeFileSync(filePath, content);
+  return new WalletDefinitions({ logger, filePath });
+}
+
+test('load reads YAML definitions and fills in defaults', () => {
+  const other = ethers.Wallet.createRandom().address;
+  const definitions = createDefinitions('wallets.yaml', [
+    'wallets:',
+    `  - privateKey: "${privateKey.slice(2)}"`,
+    '    label: main-1',
+    '    group: main',
+    '    denyTypes: [QUIZ]',
+    `  - address: "${other}"`,
+    '    enabled: false'
+  ].join('\n'));
+
+  const [first, second] = definitions.load();
+
+  assert.deepStrictEqual(first, {
+    privateKey,
+    address,
+    label: 'main-1',
+    group: 'main',
+    enabled: true,
+    campaigns: null,
+    taskRules: { allowTypes: [], denyTypes: ['QUIZ'], allowActivities: [], denyActivities: [] }
+  });
+  assert.deepStrictEqual([second.address, second.privateKey, second.enabled], [other, null, false]);
+});
+
+test('load reads JSON definitions by address and returns nothing without a file', () => {
+  const definitions = createDefinitions('wallets.json', JSON.stringify({
+    wallets: [{ address: address.toLowerCase(), label: 'vault wallet', campaigns: ['c1'] }]
+  }));
+
+  const [definition] = definitions.load();
+  assert.strictEqual(definition.privateKey, null);
+  assert.strictEqual(definition.address, address);
+  assert.deepStrictEqual(definition.campaigns, ['c1']);
+  assert.strictEqual(definition.taskRules, null);
+
+  assert.deepStrictEqual(new WalletDefinitions({ logger, filePath: path.join(createTempDir(), 'missing.json') }).load(), []);
+});
+
+test('load lists every invalid entry', () => {
+  const definitions = createDefinitions('wallets.json', JSON.stringify([
+    { label: 'no key' },
+    { privateKey, enabled: 'yes' },
+    { privateKey, address: ethers.Wallet.createRandom().address },
+    { address, allowTypes: 'QUIZ' }
+  ]));
+
+  assert.throws(() => definitions.load(), error => {
+    assert.match(error.message, /wallet #1: privateKey or address is required/);
+    assert.match(error.message, /wallet #2: enabled must be true or false/);
+    assert.match(error.message, /wallet #3: address .* does not match the private key/);
+    assert.match(error.message, /wallet #4: allowTypes must be a list of strings/);
+    return true;
+  });
+});
+
+test('definitions holding private keys get the key file permission check', { skip: process.platform === 'win32' }, () => {
+  const withKeys = createDefinitions('wallets.json', JSON.stringify([{ privateKey }]));
+  const byAddress = createDefinitions('wallets.json', JSON.stringify([{ address }]));
+  fs.chmodSync(withKeys.filePath, 0o644);
+  fs.chmodSync(byAddress.filePath, 0o644);
+
+  const warnings = [];
+  const warningLogger = { ...logger, warn: message => warnings.push(message) };
+
+  new WalletDefinitions({ logger: warningLogger, filePath: byAddress.filePath, strictPermissions: true }).load();
+  assert.deepStrictEqual(warnings, []);
+
+  new WalletDefinitions({ logger: warningLogger, filePath: withKeys.filePath, strictPermissions: false }).load();
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /is accessible by other users \(mode 644\)/);
+
+  assert.throws(
+    () => new WalletDefinitions({ logger, filePath: withKeys.filePath, strictPermissions: true }).load(),
+    /run "chmod 600 .*wallets\.json" or list wallets by address/
+  );
+
+  fs.chmodSync(withKeys.filePath, 0o600);
+  assert.strictEqual(new WalletDefinitions({ logger, filePath: withKeys.filePath, strictPermissions: true }).load().length, 1);
+});
+
+test('checkTaskRules applies denials before allowances', () => {
+  const rules = { allowTypes: ['QUIZ', 'CHECK_IN'], denyTypes: [], allowActivities: ['link-1'], denyActivities: ['quiz-2'] };
+  const check = activity => WalletDefinitions.checkTaskRules(rules, activity);
+
+  assert.strictEqual(check({ id: 'quiz-1', type: 'QUIZ' }), null);
+  assert.strictEqual(check({ id: 'link-1', type: 'EXTERNAL_LINK' }), null);
+  assert.match(check({ id: 'quiz-2', type: 'QUIZ' }), /activity quiz-2 is denied/);
+  assert.match(check({ id: 'link-2', type: 'EXTERNAL_LINK' }), /not in this wallet's allow list/);
+  assert.strictEqual(WalletDefinitions.checkTaskRules(null, { id: 'x', type: 'QUIZ' }), null);
+});
+
+test('task services mark activities excluded by the wallet rules as unavailable', () => {
+  const service = new TaskService({
+    logger,
+    apiClient: {},
+    taskRules: { allowTypes: [], denyTypes: ['QUIZ'], allowActivities: [], denyActivities: [] }
+  });
+
+  const [quiz, link] = service.evaluateActivities([
+    { id: 'quiz-1', type: 'QUIZ', records: [] },
+    { id: 'link-1', type: 'EXTERNAL_LINK', records: [] }
+  ]);
+
+  assert.deepStrictEqual([quiz.availability.available, quiz.availability.reason], [false, 'excluded']);
+  assert.match(quiz.availability.message, /type QUIZ is denied/);
+  assert.strictEqual(link.availability.available, true);
+});